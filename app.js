@@ -114,90 +114,70 @@ class DataStore {
       serviceRecords: [],
       dailySchedules: [],
       users: [],
+      waitlist: [],
+      // Payment ledgers loaded on demand: { queueId: [entries] }
+      payments: {},
+      // Learned service durations: { groupKey: { count, total } } (see QueueRules.getDurationGroups)
+      durationStats: {},
       settings: this.getDefaultSettings()
     };
 
     this.initializedCollections = new Set();
     this.initializedCollections = new Set();
     // OPTIMIZATION: Remove 'queue' and 'serviceRecords' from generic load
-    this.initialCollections = ['customers', 'pets', 'groomers', 'dailySchedules', 'users'];
+    this.initialCollections = ['customers', 'pets', 'groomers', 'dailySchedules', 'users', 'waitlist'];
+
+    // Google Calendar sync endpoints (server.js)
+    this.calendarApiUrl = '/api/calendar';
+    // Queue fields that appear in the calendar event; changing any of them re-sends the event
+    this.calendarFields = [
+      'date', 'appointmentTime', 'estimatedEndTime', 'duration', 'serviceType',
+      'assignedGroomerId', 'groomerId', 'checkInWeight', 'notes', 'health', 'ticks',
+      'depositAmount', 'isTransportIncluded', 'marketingSource', 'bookerName'
+    ];
+    // Personal calendar events per date: { 'YYYY-MM-DD': { groomerId: [{ start, end, summary }] } } (minutes of day)
+    this.groomerBusyTimes = {};
+
+    // Live updates from other devices: 'snapshot' (onSnapshot listeners) or 'polling' (Safari fallback)
+    this.liveCollections = ['queue', 'customers', 'pets', 'groomers', 'waitlist'];
+    this.liveUpdateMode = null;
+    this.snapshotUnsubscribes = [];
+    this.pollTimer = null;
+    this.pollIntervalMs = 30000;
+    this.queueWindowDays = 7; // Queue is loaded from 7 days ago onwards (plus boarding stays still open)
+    this.liveSources = {}; // col -> one Set of document ids per live query (see applySnapshotChanges)
 
     // Initial data load
     this.initRealtimeListeners();
   }
 
   getDefaultSettings() {
-    return {
-      shopName: 'QueSanrue Grooming',
-      queueNumberPrefix: 'Q',
-      serviceTypes: [
-        'อาบน้ำ',
-        'อาบ Set C',
-        'อาบประกวด',
-        'อาบน้ำ-ตัดขน ด้วยกรรไกร',
-        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน',
-        'อาบน้ำ พร้อมทำสปา',
-        'ฝากเลี้ยง',
-        'อื่นๆ'
-      ],
-      priceList: {
-        'อาบน้ำ': 0,
-        'อาบ Set C': 0,
-        'อาบประกวด': 0,
-        'อาบน้ำ-ตัดขน ด้วยกรรไกร': 0,
-        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน': 0,
-        'อาบน้ำ พร้อมทำสปา': 0,
-        'หมาใหญ่': 0,
-        'ฝากเลี้ยง': 0,
-        'อื่นๆ': 0
-      },
-      serviceDurations: {
-        'อาบน้ำ': 60,
-        'อาบ Set C': 60,
-        'อาบประกวด': 60,
-        'อาบน้ำ-ตัดขน ด้วยกรรไกร': 120,
-        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน': 120, // Formerly 90-120
-        'อาบน้ำ พร้อมทำสปา': 90,
-        'หมาใหญ่': 60,
-        'ฝากเลี้ยง': 0,
-        'อื่นๆ': 30
-      },
-      defaultWorkingHours: {
-        start: '09:00',
-        end: '18:00'
-      },
-      catPricing: {
-        weightTiers: [
-          { max: 2, short: 300, long: 400 },
-          { max: 3.5, short: 350, long: 450 },
-          { max: 5, short: 400, long: 500 },
-          { max: 7, short: 500, long: 600 },
-          { max: 10, short: 600, long: 700 },
-          { max: 999, short: 700, long: 800 }
-        ],
-        addons: {
-          'ตัดขน-ปัตตาเลี่ยน': 150,
-          'ตัดขน-กรรไกร': 250,
-          'ตัดเฉพาะจุด': 50,
-          'แปรงฟัน': 50,
-          'เชื้อรา': 80,
-          'ทรีตเมนต์': 50,
-          'ขจัดคราบมัน': 250, // Full body
-          'หยดเห็บหมัด': 50,
-          'สางสังกะตัง': 50, // Per spot
-          'เครื่องเป่าขน': 50
-        }
-      }
-    };
+    return QueueRules.getDefaultSettings();
   }
 
-  // Initialize listeners (Modified to use one-time get() for Safari compatibility)
+  // Initial load with one-time get() (works everywhere, including Safari),
+  // then keep queue/customers/pets/groomers live via startLiveUpdates()
   async initRealtimeListeners() {
     if (!this.db) {
       console.warn('Firestore not initialized, falling back to empty state');
       return;
     }
 
+    await this.loadInitialData();
+    this.startLiveUpdates();
+
+    // After all fetches are done
+    // Always notify app that initial data is loaded (or re-loaded/late-loaded)
+    if (window.app) {
+      console.log('[DEBUG] All initial collections loaded via GET');
+      window.app.onInitDataLoaded();
+
+      // OPTIMIZATION: Load Service Records in background AFTER UI render
+      setTimeout(() => this.loadServiceRecordsInBackground(), 2000);
+    }
+  }
+
+  async loadInitialData() {
     const collections = this.initialCollections;
 
     const fetchPromises = collections.map(async (col) => {
@@ -224,20 +204,8 @@ class DataStore {
     const queuePromise = (async () => {
       try {
         console.log('[DEBUG] Fetching optimized queue data...');
-        const today = new Date();
-        const pastDate = new Date();
-        pastDate.setDate(today.getDate() - 7); // Last 7 days
-        const dateStr = pastDate.toISOString().split('T')[0];
-
-        // Fetch queues with date >= 7 days ago
-        const snapshot = await this.db.collection('queue')
-          .where('date', '>=', dateStr)
-          .get();
-
-        this.data['queue'] = snapshot.docs.map(doc => {
-          const data = doc.data();
-          return { ...data, id: doc.id };
-        });
+        // Fetch queues with date >= 7 days ago, and older stays that haven't checked out yet
+        this.data['queue'] = await this.fetchLiveDocuments('queue');
         this.initializedCollections.add('queue');
         console.log(`[DEBUG] Loaded ${this.data.queue.length} active queue items`);
       } catch (err) {
@@ -245,17 +213,204 @@ class DataStore {
       }
     })();
 
+    // Shop settings (Settings page), defaults when the document doesn't exist yet
+    const settingsPromise = (async () => {
+      try {
+        const doc = await this.db.collection('settings').doc('shop').get();
+        this.data.settings = QueueRules.mergeSettings(doc.exists ? doc.data() : null);
+      } catch (err) {
+        console.error('Error fetching settings, using defaults:', err);
+      }
+    })();
+
     // Wait for all fetches to complete (including queue)
-    await Promise.all([...fetchPromises, queuePromise]);
+    await Promise.all([...fetchPromises, queuePromise, settingsPromise]);
+    // Needs pets and settings when the totals are built for the first time
+    await this.loadDurationStats();
+  }
 
-    // After all fetches are done
-    // Always notify app that initial data is loaded (or re-loaded/late-loaded)
-    if (window.app) {
-      console.log('[DEBUG] All initial collections loaded via GET');
-      window.app.onInitDataLoaded();
+  async saveSettings(settings) {
+    try {
+      await this.db.collection('settings').doc('shop').set(settings);
+      this.data.settings = QueueRules.mergeSettings(settings);
+      return this.data.settings;
+    } catch (e) {
+      console.error("Error saving settings: ", e);
+      alert('บันทึกการตั้งค่าไม่สำเร็จ');
+      return null;
+    }
+  }
 
-      // OPTIMIZATION: Load Service Records in background AFTER UI render
-      setTimeout(() => this.loadServiceRecordsInBackground(), 2000);
+  // Why the shop is closed on a date ({ type, reason }), or null when open
+  getClosure(date) {
+    return QueueRules.getClosure(date, this.data.settings);
+  }
+
+  // First date from `date` on (inclusive) that the shop is open
+  getNextOpenDate(date) {
+    return QueueRules.getNextOpenDate(date, this.data.settings);
+  }
+
+  // Bookings from today on that fall on a closed day and need to be moved
+  getQueuesOnClosedDays() {
+    const today = QueueRules.getLocalDateString(new Date());
+    return this.data.queue
+      .filter(q => q.date >= today && !QueueRules.isReleasedQueue(q) && q.status !== 'completed')
+      .map(q => ({ queue: q, closure: this.getClosure(q.date) }))
+      .filter(item => item.closure)
+      .sort((a, b) => a.queue.date.localeCompare(b.queue.date) ||
+        (a.queue.appointmentTime || '').localeCompare(b.queue.appointmentTime || ''));
+  }
+
+  getQueueWindowStart() {
+    const pastDate = new Date();
+    pastDate.setDate(pastDate.getDate() - this.queueWindowDays);
+    return QueueRules.getLocalDateString(pastDate);
+  }
+
+  // Queue documents from queueWindowDays ago onwards
+  getQueueWindowQuery() {
+    return this.db.collection('queue').where('date', '>=', this.getQueueWindowStart());
+  }
+
+  // Boarding stays still holding a kennel in the window, however long ago they checked in
+  getOpenStaysQuery() {
+    return this.db.collection('queue').where('boarding.checkOutDate', '>=', this.getQueueWindowStart());
+  }
+
+  // Queries that together make up this.data[col]
+  getLiveQueries(col) {
+    return col === 'queue' ? [this.getQueueWindowQuery(), this.getOpenStaysQuery()] : [this.db.collection(col)];
+  }
+
+  // One get() of every live query of a collection, merged by document id
+  async fetchLiveDocuments(col) {
+    const snapshots = await Promise.all(this.getLiveQueries(col).map(query => query.get()));
+    const items = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => items.set(doc.id, { ...doc.data(), id: doc.id })));
+    return [...items.values()];
+  }
+
+  // ===================================
+  // LIVE UPDATES (multi-device)
+  // ===================================
+
+  // onSnapshot has hung on Safari/WebKit in the past, so Safari polls instead.
+  // Override with localStorage.setItem('liveUpdateMode', 'snapshot' | 'polling').
+  shouldUsePolling() {
+    const override = localStorage.getItem('liveUpdateMode');
+    if (override === 'polling') return true;
+    if (override === 'snapshot') return false;
+    const ua = navigator.userAgent || '';
+    return /safari/i.test(ua) && !/chrome|chromium|crios|fxios|edg|android/i.test(ua);
+  }
+
+  startLiveUpdates() {
+    this.stopLiveUpdates();
+    if (this.shouldUsePolling()) {
+      this.startPolling();
+    } else {
+      this.startSnapshotListeners();
+    }
+  }
+
+  stopLiveUpdates() {
+    this.snapshotUnsubscribes.forEach(unsubscribe => unsubscribe());
+    this.snapshotUnsubscribes = [];
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.liveUpdateMode = null;
+  }
+
+  startSnapshotListeners() {
+    this.liveUpdateMode = 'snapshot';
+    console.log('[DEBUG] Starting snapshot listeners for', this.liveCollections.join(', '));
+
+    this.liveCollections.forEach(col => {
+      const queries = this.getLiveQueries(col);
+      this.liveSources[col] = queries.map(() => new Set());
+      queries.forEach((query, source) => {
+        const unsubscribe = query.onSnapshot(snapshot => {
+          // The first snapshot is applied too: it carries anything written between loadInitialData and now
+          if (this.applySnapshotChanges(col, snapshot.docChanges(), source)) {
+            window.app?.onLiveDataChanged(col);
+          }
+        }, error => {
+          console.error(`Snapshot listener for ${col} failed, switching to polling:`, error);
+          if (this.liveUpdateMode === 'snapshot') {
+            this.stopLiveUpdates();
+            this.startPolling();
+          }
+        });
+        this.snapshotUnsubscribes.push(unsubscribe);
+      });
+    });
+  }
+
+  // Patch this.data[col] in place. Returns true if anything changed.
+  // source: which of the collection's live queries sent the changes. A document leaving one query
+  // is only dropped when no other query still has it (a stay can be in both queue queries).
+  applySnapshotChanges(col, changes, source = 0) {
+    const sources = this.liveSources[col] || [];
+    let changed = false;
+    changes.forEach(change => {
+      if (change.type === 'removed') sources[source]?.delete(change.doc.id);
+      else sources[source]?.add(change.doc.id);
+
+      // Our own writes are already applied locally by add/update/delete
+      if (change.doc.metadata.hasPendingWrites) return;
+
+      const item = { ...change.doc.data(), id: change.doc.id };
+      const index = this.data[col].findIndex(x => x.id === item.id);
+
+      if (change.type === 'removed') {
+        if (index === -1 || sources.some(ids => ids.has(item.id))) return;
+        this.data[col].splice(index, 1);
+      } else if (index === -1) {
+        this.data[col].push(item);
+      } else {
+        // The first snapshot mostly repeats loadInitialData; unchanged documents don't re-render
+        if (this.hasSameDocuments([item], [this.data[col][index]])) return;
+        this.data[col][index] = item;
+      }
+      changed = true;
+    });
+    return changed;
+  }
+
+  startPolling() {
+    this.liveUpdateMode = 'polling';
+    console.log(`[DEBUG] Polling for changes every ${this.pollIntervalMs / 1000}s`);
+    this.pollTimer = setInterval(() => this.pollLiveCollections(), this.pollIntervalMs);
+  }
+
+  // Order-insensitive comparison of two document lists
+  hasSameDocuments(a, b) {
+    if (a.length !== b.length) return false;
+    const serialize = (value) => {
+      if (Array.isArray(value)) return `[${value.map(serialize).join(',')}]`;
+      if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${key}:${serialize(value[key])}`).join(',')}}`;
+      }
+      return JSON.stringify(value);
+    };
+    const serializedB = new Map(b.map(item => [item.id, serialize(item)]));
+    return a.every(item => serializedB.get(item.id) === serialize(item));
+  }
+
+  async pollLiveCollections() {
+    for (const col of this.liveCollections) {
+      try {
+        const items = await this.fetchLiveDocuments(col);
+        if (!this.hasSameDocuments(items, this.data[col])) {
+          this.data[col] = items;
+          window.app?.onLiveDataChanged(col);
+        }
+      } catch (error) {
+        console.warn(`Polling ${col} failed:`, error);
+      }
     }
   }
 
@@ -329,24 +484,6 @@ class DataStore {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  async syncData() {
-    try {
-      console.log('[DEBUG] Manual sync triggered');
-      await this.store.initRealtimeListeners(); // One-time fetch for all collections
-      this.renderDashboard();
-      this.renderQueue();
-      this.renderCustomers();
-      this.renderPets();
-      this.renderGroomers();
-      this.renderUsers();
-      this.renderServices();
-      alert('ซิงค์ข้อมูลล่าสุดสำเร็จ!');
-    } catch (e) {
-      console.error('[DEBUG] Sync error:', e);
-      alert('การซิงค์ข้อมูลล้มเหลว กรุณาลองใหม่');
-    }
-  }
-
   // Customer operations
   // Getters remain synchronous because data is synced via listeners
   getCustomers() {
@@ -465,6 +602,48 @@ class DataStore {
     return this.data.groomers;
   }
 
+  // Running duration totals from the durationStats collection. The first time (no documents yet)
+  // they are built from every service record, after that createServiceRecord keeps them up to date.
+  async loadDurationStats() {
+    try {
+      const snapshot = await this.db.collection('durationStats').get();
+      if (!snapshot.empty) {
+        this.data.durationStats = {};
+        snapshot.docs.forEach(doc => {
+          const { key, count, total } = doc.data();
+          if (key) this.data.durationStats[key] = { count, total };
+        });
+        return;
+      }
+
+      const records = await this.db.collection('serviceRecords').get();
+      const samples = records.docs
+        .map(doc => QueueRules.getDurationSample(doc.data(), this.getPetById(doc.data().petId)))
+        .filter(Boolean);
+      this.data.durationStats = QueueRules.summarizeDurationSamples(samples, this.data.settings);
+      await Promise.all(Object.entries(this.data.durationStats).map(([key, stat]) =>
+        this.db.collection('durationStats').doc(QueueRules.getDurationStatsDocId(key)).set({ key, ...stat })));
+      console.log(`[DEBUG] Built duration stats from ${samples.length} service records`);
+    } catch (err) {
+      console.warn('Loading duration stats failed, using the settings table:', err);
+    }
+  }
+
+  // Add a finished job to its durationStats groups (atomic, so two tablets completing at once both count)
+  async recordDurationSample(record) {
+    const sample = QueueRules.getDurationSample(record, this.getPetById(record.petId));
+    if (!sample) return;
+
+    const { increment } = firebase.firestore.FieldValue;
+    await Promise.all(QueueRules.getDurationGroups(sample, this.data.settings).map(({ key }) => {
+      const stat = this.data.durationStats[key] || (this.data.durationStats[key] = { count: 0, total: 0 });
+      stat.count += 1;
+      stat.total += sample.duration;
+      return this.db.collection('durationStats').doc(QueueRules.getDurationStatsDocId(key))
+        .set({ key, count: increment(1), total: increment(sample.duration) }, { merge: true });
+    }));
+  }
+
   getGroomerById(id) {
     return this.data.groomers.find(g => g.id === id);
   }
@@ -476,91 +655,45 @@ class DataStore {
   // NEW: Calculate service duration based on services selected
   calculateServiceDuration(serviceTypes) {
     console.log('[DEBUG] calculateServiceDuration called with', serviceTypes);
-    if (!serviceTypes || serviceTypes.length === 0) return 60;
-
-    // Safety check for serviceDurations
-    const durations = this.data?.settings?.serviceDurations;
-    if (!durations) {
-      // Default durations if not found
-      const defaultDurations = {
-        'อาบน้ำ': 60,
-        'ตัดขน': 90,
-        'ตัดเล็บ': 30,
-        'ทำสปา': 45,
-        'ดูแลพิเศษ': 60
-      };
-      let total = 0;
-      serviceTypes.forEach(service => {
-        total += defaultDurations[service] || 60;
-      });
-      return total;
-    }
-
-    const servicesKey = serviceTypes.sort().join(',');
+    return QueueRules.calculateServiceDuration(serviceTypes, this.data?.settings);
+  }
 
-    // Check for combo override
-    if (durations[servicesKey]) {
-      return durations[servicesKey];
+  // Booking length for a pet: the average of similar past jobs (durationStats) when there is enough history,
+  // otherwise the settings table. options: { groomerId, weight (overrides the pet's weight) }
+  // returns { minutes, tableMinutes, history: { minutes, average, count, basis } | null }
+  estimateServiceDuration(serviceTypes, petId = null, options = {}) {
+    const tableMinutes = this.calculateServiceDuration(serviceTypes);
+    const pet = petId ? this.getPetById(petId) : null;
+    if (!pet || serviceTypes.includes(Pricing.BOARDING_SERVICE)) {
+      return { minutes: tableMinutes, tableMinutes, history: null };
     }
 
-    // Sum individual services
-    let total = 0;
-    serviceTypes.forEach(service => {
-      total += durations[service] || 60;
-    });
-
-    return total;
+    const history = QueueRules.estimateDurationFromStats(this.data.durationStats, {
+      services: serviceTypes,
+      petType: pet.type,
+      breed: pet.breed,
+      weight: options.weight || pet.weight,
+      groomerId: options.groomerId || null
+    }, this.data.settings);
+    return { minutes: history ? history.minutes : tableMinutes, tableMinutes, history };
   }
 
   // Queue operations
   // Queue operations
   async addQueue(queueItem) {
     console.log('[DEBUG] DataStore.addQueue started', queueItem);
-    const selectedDate = queueItem.date || new Date().toISOString().split('T')[0];
-
-    // We need to fetch current count for queue number (this might have race conditions in high concurrency but sufficient for now)
-    // For better reliability, we should use a transaction, but keeping it simple for now
-    const queuesOnDate = this.data.queue.filter(q => q.date === selectedDate);
-    const queueNumber = queuesOnDate.length + 1;
-
-    const duration = this.calculateServiceDuration(queueItem.serviceType);
-    let estimatedEndTime = null;
-
-    if (queueItem.appointmentTime) {
-      const [hours, minutes] = queueItem.appointmentTime.split(':').map(Number);
-      const startTime = new Date();
-      startTime.setHours(hours, minutes, 0, 0);
-
-      const endTime = new Date(startTime.getTime() + duration * 60000);
-      estimatedEndTime = `${String(endTime.getHours()).padStart(2, '0')}:${String(endTime.getMinutes()).padStart(2, '0')}`;
-    }
-
-    const newQueue = {
-      queueNumber,
-      date: selectedDate,
-      appointmentTime: queueItem.appointmentTime || null,
-      estimatedEndTime,
-      duration,
-      assignedGroomerId: queueItem.assignedGroomerId || null,
-      status: 'booking',
-      bookingAt: new Date().toISOString(),
-      depositAmount: null,
-      depositMethod: null,
-      depositAt: null,
-      checkInWeight: null,
-      checkInNotes: '',
-      checkInAt: null,
-      completionImages: [],
-      completedAt: null,
-      ...queueItem,
-      createdAt: new Date().toISOString()
-    };
+    const selectedDate = queueItem.date || QueueRules.getLocalDateString();
 
     try {
+      const queueNumber = await this.allocateQueueNumber(selectedDate);
+      const newQueue = QueueRules.buildNewQueue({ ...queueItem, date: selectedDate }, queueNumber, this.data.settings,
+        queueItem.duration);
+
       const docRef = await this.db.collection('queue').add(newQueue);
       console.log('[DEBUG] DataStore.addQueue Firestore add success', docRef.id);
       const createdQueue = { id: docRef.id, ...newQueue };
       this.data.queue.push(createdQueue);
+      this.syncQueueToCalendar(createdQueue.id);
       return createdQueue;
     } catch (e) {
       console.error("Error adding queue: ", e);
@@ -569,20 +702,69 @@ class DataStore {
     }
   }
 
+  // Next queue number for a date from counters/queue-YYYY-MM-DD.
+  // The transaction keeps two tablets booking at once from getting the same number;
+  // numbers of cancelled/deleted queues are never reused.
+  async allocateQueueNumber(date) {
+    const nextNumber = await this.incrementCounter(QueueRules.getQueueCounterId(date), { date }, this.getHighestQueueNumber(date));
+    return QueueRules.formatQueueNumber(nextNumber, this.data.settings);
+  }
+
+  // Highest number among the loaded queues of a date; the first booking since counters were
+  // introduced continues after it
+  getHighestQueueNumber(date) {
+    let highestExisting = 0;
+    this.data.queue.filter(q => q.date === date).forEach(q => {
+      const match = String(q.queueNumber ?? '').match(/(\d+)$/);
+      if (match) highestExisting = Math.max(highestExisting, parseInt(match[1], 10));
+    });
+    return highestExisting;
+  }
+
+  // Write a queue update that moves it to another date. The queue gets a number from the target
+  // date's counter in the same transaction, so it can't clash with one booked there meanwhile.
+  // Returns the new queue number.
+  async moveQueueToDate(id, updates) {
+    const counterRef = this.db.collection('counters').doc(QueueRules.getQueueCounterId(updates.date));
+    const queueRef = this.db.collection('queue').doc(id);
+    const initial = this.getHighestQueueNumber(updates.date);
+
+    return this.db.runTransaction(async (transaction) => {
+      const counterDoc = await transaction.get(counterRef);
+      const number = (counterDoc.exists ? (counterDoc.data().lastNumber || 0) : initial) + 1;
+      const queueNumber = QueueRules.formatQueueNumber(number, this.data.settings);
+      transaction.set(counterRef, { date: updates.date, lastNumber: number, updatedAt: new Date().toISOString() }, { merge: true });
+      transaction.update(queueRef, { ...updates, queueNumber });
+      return queueNumber;
+    });
+  }
+
+  // Shop-wide receipt number (counters/receipt), e.g. 'R000125'
+  async allocateReceiptNumber() {
+    const nextNumber = await this.incrementCounter('receipt');
+    return `${this.data.settings.receiptNumberPrefix || ''}${String(nextNumber).padStart(6, '0')}`;
+  }
+
+  // Atomically bump counters/{counterId}.lastNumber; `initial` is used when the counter doesn't exist yet
+  async incrementCounter(counterId, extra = {}, initial = 0) {
+    const counterRef = this.db.collection('counters').doc(counterId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const counterDoc = await transaction.get(counterRef);
+      const lastNumber = counterDoc.exists ? (counterDoc.data().lastNumber || 0) : initial;
+      const number = lastNumber + 1;
+      transaction.set(counterRef, { ...extra, lastNumber: number, updatedAt: new Date().toISOString() }, { merge: true });
+      return number;
+    });
+  }
+
   async updateQueue(id, updates) {
     // Auto-update timestamps based on status logic (moved from original)
     const queue = this.data.queue.find(q => q.id === id);
     if (!queue) return null;
 
-    const timestampUpdates = {};
-    if (updates.status === 'deposit' && !queue.depositAt) {
-      timestampUpdates.depositAt = new Date().toISOString();
-    }
-    if (updates.status === 'check-in' && !queue.checkInAt) {
-      timestampUpdates.checkInAt = new Date().toISOString();
-    }
-    if (updates.status === 'completed' && !queue.completedAt) {
-      timestampUpdates.completedAt = new Date().toISOString();
+    const timestampUpdates = QueueRules.getStatusTimestamps(queue, updates);
+    if (timestampUpdates.completedAt) {
       // Create service record
       this.createServiceRecord({ ...queue, ...updates, ...timestampUpdates });
     }
@@ -597,11 +779,28 @@ class DataStore {
     }
 
     try {
-      await this.db.collection('queue').doc(id).update(finalUpdates);
+      if (finalUpdates.date && finalUpdates.date !== queue.date) {
+        finalUpdates.queueNumber = await this.moveQueueToDate(id, finalUpdates);
+      } else {
+        await this.db.collection('queue').doc(id).update(finalUpdates);
+      }
       const index = this.data.queue.findIndex(q => q.id === id);
       if (index !== -1) {
         this.data.queue[index] = { ...this.data.queue[index], ...finalUpdates };
       }
+
+      // Keep Google Calendar in step with the queue: cancelled and no-show queues come off it,
+      // and go back on when the status is reverted
+      const isRestored = !!finalUpdates.status && QueueRules.isReleasedQueue(queue);
+      if (QueueRules.isReleasedQueue(finalUpdates)) {
+        this.removeQueueFromCalendar({ ...queue, ...finalUpdates });
+      } else if (isRestored || this.calendarFields.some(field => field in finalUpdates)) {
+        this.syncQueueToCalendar(id);
+      }
+      if (QueueRules.isReleasedQueue(finalUpdates) && !QueueRules.isReleasedQueue(queue)) this.offerFreedTime(queue);
+
+      await this.updateAttendanceCounts(queue, { ...queue, ...finalUpdates });
+
       return { id, ...queue, ...finalUpdates };
     } catch (e) {
       console.error("Error updating queue: ", e);
@@ -610,156 +809,908 @@ class DataStore {
     }
   }
 
+  // Customer no-show / late / arrival counters after a queue update (see QueueRules.getAttendanceDeltas).
+  // Written as increments so counts from other devices (or the REST API) at the same time aren't lost.
+  async updateAttendanceCounts(before, after) {
+    const deltas = QueueRules.getAttendanceDeltas(before, after, this.data.settings);
+    if (!before.customerId || Object.keys(deltas).length === 0) return;
+
+    const increments = {};
+    Object.entries(deltas).forEach(([field, delta]) => {
+      increments[field] = firebase.firestore.FieldValue.increment(delta);
+    });
+    try {
+      await this.db.collection('customers').doc(before.customerId).update(increments);
+      const customer = this.getCustomerById(before.customerId);
+      if (customer) Object.assign(customer, QueueRules.applyAttendanceDeltas(customer, deltas));
+    } catch (e) {
+      console.error("Error updating customer attendance counts: ", e);
+    }
+  }
+
+  getCustomerReliability(customerId) {
+    return QueueRules.getCustomerReliability(this.getCustomerById(customerId), this.data.settings);
+  }
+
+  // A queue that took or paid out money stays (cancel it instead): the daily close reads its ledger
   async deleteQueue(id) {
+    const queue = this.getQueueById(id);
     try {
+      const payments = await this.paymentsRef(id).get();
+      if (!payments.empty || Number(queue?.depositAmount) > 0) {
+        alert('คิวนี้มีรายการชำระเงินแล้ว ลบไม่ได้ กรุณายกเลิกคิวแทน');
+        return false;
+      }
+
       await this.db.collection('queue').doc(id).delete();
       this.data.queue = this.data.queue.filter(q => q.id !== id);
+      if (queue) {
+        this.removeQueueFromCalendar(queue);
+        if (!QueueRules.isReleasedQueue(queue)) this.offerFreedTime(queue);
+      }
+      return true;
     } catch (e) {
       console.error("Error deleting queue: ", e);
       alert('ลบคิวไม่สำเร็จ');
+      return false;
     }
   }
 
-  // Get today's queue (using local date, not UTC)
-  getTodayQueue() {
-    const today = new Date();
-    const localDate = new Date(today.getTime() - (today.getTimezoneOffset() * 60000))
-      .toISOString()
-      .split('T')[0];
-    return this.data.queue.filter(q => q.date === localDate);
-  }
+  // ===================================
+  // RECURRING APPOINTMENTS
+  // ===================================
 
-  // NEW: Get queue by specific date
-  getQueueByDate(dateString) {
-    return this.data.queue.filter(q => q.date === dateString);
+  // Fresh id shared by every occurrence of a series (no document is written)
+  createSeriesId() {
+    return this.db.collection('queue').doc().id;
   }
 
-  getQueue() {
-    return this.data.queue;
+  // All occurrences of a series, in date order
+  getSeriesQueues(seriesId) {
+    return this.data.queue
+      .filter(q => q.recurrence && q.recurrence.seriesId === seriesId)
+      .sort((a, b) => a.date.localeCompare(b.date));
   }
 
-  getQueueById(id) {
-    return this.data.queue.find(q => q.id === id);
+  // Later occurrences that haven't been confirmed yet (still 'booking'); these follow series edits
+  getUpcomingSeriesQueues(queue) {
+    if (!queue || !queue.recurrence) return [];
+    return this.getSeriesQueues(queue.recurrence.seriesId)
+      .filter(q => q.id !== queue.id && q.date > queue.date && q.status === 'booking');
   }
 
-  // NEW: Daily Schedule Management
-  getDailySchedule(date) {
-    return this.data.dailySchedules.find(ds => ds.date === date);
+  // Book the later occurrences of a series created from queueData (occurrence 0).
+  // Clashing occurrences are still booked so staff can move them; returns the created queues.
+  async addRecurringQueues(queueData) {
+    const { recurrence } = queueData;
+    const created = [];
+    for (const [i, date] of QueueRules.getRecurrenceDates(queueData.date, recurrence.intervalWeeks, recurrence.endDate).entries()) {
+      if (this.getClosure(date)) continue; // Shop closed: that occurrence is skipped
+      const queue = await this.addQueue({ ...queueData, date, recurrence: { ...recurrence, index: i + 1 } });
+      if (!queue) break; // addQueue has already told the user
+      created.push(queue);
+    }
+    return created;
   }
 
-  setDailySchedule(date, groomers) {
-    const existingIndex = this.data.dailySchedules.findIndex(s => s.date === date);
-    const existingId = existingIndex >= 0 ? this.data.dailySchedules[existingIndex].id : null;
-
-    const schedule = {
-      date,
-      groomers: groomers.map(g => ({
-        groomerId: g.groomerId,
-        name: g.name || this.getGroomerById(g.groomerId)?.name,
-        workingHours: g.workingHours || this.data.settings.defaultWorkingHours,
-        status: 'available'
-      })),
-      totalCapacity: groomers.length
-    };
+  // Apply an edit of one occurrence to the later unconfirmed ones. dayShift moves each
+  // occurrence by the same number of days as the edited one (keeps the weekday change).
+  // Like addRecurringQueues, a move onto a closed day or past the series end date isn't made:
+  // that occurrence gets the other changes but keeps its date.
+  // Returns { updated: [queues], unmoved: [{ queue, date (the skipped target), reason }] }
+  async updateSeriesQueues(queue, updates, dayShift = 0) {
+    const updated = [];
+    const unmoved = [];
+    for (const q of this.getUpcomingSeriesQueues(queue)) {
+      const date = QueueRules.addDays(q.date, dayShift);
+      const closure = dayShift ? this.getClosure(date) : null;
+      const endDate = q.recurrence.endDate;
+      const reason = closure ? `ร้านปิด (${closure.reason})` : (endDate && date > endDate ? 'เลยวันสิ้นสุดของคิวประจำ' : null);
+      if (reason) unmoved.push({ queue: q, date, reason });
 
-    // Save to Firestore
-    if (existingId) {
-      this.db.collection('dailySchedules').doc(existingId).update(schedule)
-        .catch(e => console.error("Error creating daily schedule: ", e));
-    } else {
-      this.db.collection('dailySchedules').add(schedule)
-        .catch(e => console.error("Error creating daily schedule: ", e));
+      const result = await this.updateQueue(q.id, { ...updates, date: reason ? q.date : date });
+      if (!result) break;
+      updated.push(result);
     }
-
-    return schedule;
+    return { updated, unmoved };
   }
 
-  // NEW: Get available groomers for a specific date/time slot
-  getAvailableGroomersForSlot(date, startTime, duration) {
-    const schedule = this.getDailySchedule(date);
-    if (!schedule) {
-      // No schedule set, use all active groomers
-      return this.getActiveGroomers();
+  async cancelSeriesQueues(queue) {
+    const upcoming = this.getUpcomingSeriesQueues(queue);
+    for (const q of upcoming) {
+      if (!await this.updateQueue(q.id, { status: 'cancelled' })) break;
     }
+    return upcoming.length;
+  }
 
-    const [startHour, startMin] = startTime.split(':').map(Number);
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = startMinutes + duration;
+  // ===================================
+  // WAITLIST
+  // ===================================
+  // waitlist/{id}: { customerId, petId, serviceTypes (main), addons, dateFrom, dateTo, timeFrom, timeTo, notes,
+  //   status: 'waiting' | 'booked' | 'removed', offer: { date, time, endTime, freedQueueNumber, offeredAt } | null,
+  //   queueId (once booked), createdAt, createdBy }
 
-    const queuesOnDate = this.getQueueByDate(date);
+  getWaitlist() {
+    return this.data.waitlist
+      .filter(e => e.status === 'waiting')
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  }
 
-    // Check each groomer's availability
-    return schedule.groomers.filter(groomer => {
-      // Check if within working hours
-      const [workStart] = groomer.workingHours.start.split(':').map(Number);
-      const [workEnd] = groomer.workingHours.end.split(':').map(Number);
-      const workStartMin = workStart * 60;
-      const workEndMin = workEnd * 60;
-
-      if (startMinutes < workStartMin || endMinutes > workEndMin) {
-        return false; // Outside working hours
-      }
+  getWaitlistEntryById(id) {
+    return this.data.waitlist.find(e => e.id === id);
+  }
 
-      // Check for conflicts with existing appointments
-      const groomerQueues = queuesOnDate.filter(q =>
-        q.assignedGroomerId === groomer.groomerId &&
-        q.status !== 'cancelled'
-      );
+  async addWaitlistEntry(entry) {
+    const newEntry = { ...entry, status: 'waiting', offer: null, queueId: null, createdAt: new Date().toISOString() };
+    try {
+      const docRef = await this.db.collection('waitlist').add(newEntry);
+      const created = { id: docRef.id, ...newEntry };
+      this.data.waitlist.push(created);
+      return created;
+    } catch (e) {
+      console.error("Error adding waitlist entry: ", e);
+      alert('บันทึกรายการรอคิวไม่สำเร็จ');
+      return null;
+    }
+  }
 
-      for (const queue of groomerQueues) {
-        if (!queue.appointmentTime) continue;
+  async updateWaitlistEntry(id, updates) {
+    try {
+      await this.db.collection('waitlist').doc(id).update(updates);
+      const index = this.data.waitlist.findIndex(e => e.id === id);
+      if (index !== -1) {
+        this.data.waitlist[index] = { ...this.data.waitlist[index], ...updates };
+      }
+      return { id, ...updates };
+    } catch (e) {
+      console.error("Error updating waitlist entry: ", e);
+      alert('อัปเดตรายการรอคิวไม่สำเร็จ');
+      return null;
+    }
+  }
 
-        const [qStartHour, qStartMin] = queue.appointmentTime.split(':').map(Number);
-        const qStartMinutes = qStartHour * 60 + qStartMin;
-        const qEndMinutes = qStartMinutes + (queue.duration || 60);
+  // Earliest bookable start on `date` that fits the entry's services inside its time window.
+  // freed: { start, end } minutes - only slots overlapping the time that just opened up. Null when nothing fits.
+  findWaitlistSlot(entry, date, freed = null) {
+    if (date < entry.dateFrom || date > entry.dateTo || date < QueueRules.getLocalDateString()) return null;
+    const duration = this.estimateServiceDuration(entry.serviceTypes, entry.petId).minutes;
+    const windowStart = entry.timeFrom ? this.timeToMinutes(entry.timeFrom) : 0;
+    const windowEnd = entry.timeTo ? this.timeToMinutes(entry.timeTo) : 24 * 60;
 
-        // Check overlap
-        if (!(endMinutes <= qStartMinutes || startMinutes >= qEndMinutes)) {
-          return false; // Time conflict
-        }
+    const job = this.getJob(entry.petId, [...entry.serviceTypes, ...(entry.addons || [])]);
+    const slot = this.getSlotAvailability(date, duration, null, job).find(s => {
+      const start = this.timeToMinutes(s.time);
+      const end = start + duration;
+      return s.available && start >= windowStart && end <= windowEnd &&
+        (!freed || (start < freed.end && end > freed.start));
+    });
+    return slot ? { date, time: slot.time, endTime: slot.endTime } : null;
+  }
+
+  // The offered slot is still free (nobody else has booked it since)
+  isWaitlistOfferOpen(entry) {
+    if (!entry.offer) return false;
+    const duration = this.estimateServiceDuration(entry.serviceTypes, entry.petId).minutes;
+    const job = this.getJob(entry.petId, [...entry.serviceTypes, ...(entry.addons || [])]);
+    const slot = this.getSlotAvailability(entry.offer.date, duration, null, job).find(s => s.time === entry.offer.time);
+    return !!(slot && slot.available) && entry.offer.date >= QueueRules.getLocalDateString();
+  }
+
+  // A cancelled or deleted queue freed its time: offer it to every waiting entry it fits.
+  // Matches are saved on the entries (other devices see them) and reported to the app.
+  async offerFreedTime(queue) {
+    if (!queue.date || queue.date < QueueRules.getLocalDateString()) return [];
+    const start = queue.appointmentTime ? this.timeToMinutes(queue.appointmentTime) : 0;
+    const freed = { start, end: queue.appointmentTime ? start + (queue.duration || 60) : 24 * 60 };
+
+    const matched = [];
+    for (const entry of this.getWaitlist()) {
+      if (this.isWaitlistOfferOpen(entry)) continue; // still holding an earlier offer
+      const slot = this.findWaitlistSlot(entry, queue.date, freed);
+      if (!slot) continue;
+      const offer = { ...slot, freedQueueNumber: queue.queueNumber || '', offeredAt: new Date().toISOString() };
+      if (await this.updateWaitlistEntry(entry.id, { offer })) {
+        matched.push({ ...entry, offer });
       }
+    }
 
-      return true; // Groomer is available
-    });
+    if (matched.length > 0) window.app?.onWaitlistMatched(matched);
+    return matched;
   }
 
-  // NEW: Find next available time slot
-  findAvailableTimeSlots(date, serviceTypes, maxSlots = 10) {
-    console.log('[DEBUG] findAvailableTimeSlots called');
-    const duration = this.calculateServiceDuration(serviceTypes);
-    const schedule = this.getDailySchedule(date);
-    const workHours = schedule?.groomers[0]?.workingHours || this.data.settings.defaultWorkingHours;
+  // ===================================
+  // AUTO ASSIGNMENT
+  // ===================================
 
-    const [startHour] = workHours.start.split(':').map(Number);
-    const [endHour] = workHours.end.split(':').map(Number);
+  // A groomer for every unassigned booking on a date: on duty for the whole booking, free of other
+  // bookings and calendar events, able to take the job, and with the fewest booked minutes so far.
+  // Nothing is saved (see applyGroomerAssignments). Returns {
+  //   assignments: [{ queue, groomerId }], unassigned: [{ queue, reason }],
+  //   load: [{ groomerId, before, after }] (booked minutes per groomer on duty)
+  // }
+  planGroomerAssignments(date) {
+    const schedule = this.getDailySchedule(date);
+    const onDuty = schedule ? schedule.groomers.filter(g => (g.status || 'available') === 'available') : [];
+    const dayQueues = this.getQueueByDate(date).filter(q => !QueueRules.isReleasedQueue(q) && q.appointmentTime);
+    // Time each booking holds its groomer, cleanup buffer included
+    const range = (q) => {
+      const start = this.timeToMinutes(q.appointmentTime);
+      return { start, end: start + (q.duration || 60) + this.getBufferMinutes(q.serviceType) };
+    };
 
-    const slots = [];
-    let currentMinutes = startHour * 60;
-    const endMinutes = endHour * 60 - duration;
-
-    // Generate slots every 30 minutes
-    while (currentMinutes <= endMinutes && slots.length < maxSlots) {
-      const hours = Math.floor(currentMinutes / 60);
-      const mins = currentMinutes % 60;
-      const timeStr = `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
-
-      const availableGroomers = this.getAvailableGroomersForSlot(date, timeStr, duration);
-
-      if (availableGroomers.length > 0) {
-        slots.push({
-          time: timeStr,
-          endTime: this.calculateEndTime(timeStr, duration),
-          availableGroomers: availableGroomers.length,
-          groomers: availableGroomers
-        });
+    const load = {};
+    const booked = {};
+    onDuty.forEach(g => {
+      load[g.groomerId] = 0;
+      booked[g.groomerId] = [];
+    });
+    dayQueues.filter(q => q.assignedGroomerId && booked[q.assignedGroomerId]).forEach(q => {
+      load[q.assignedGroomerId] += q.duration || 60;
+      booked[q.assignedGroomerId].push(range(q));
+    });
+    const before = { ...load };
+
+    // Longest bookings first while most groomers are still free, then by time
+    const pending = dayQueues
+      .filter(q => !q.assignedGroomerId && q.status !== 'completed')
+      .sort((a, b) => (b.duration || 60) - (a.duration || 60) || a.appointmentTime.localeCompare(b.appointmentTime));
+
+    const assignments = [];
+    const unassigned = [];
+    pending.forEach(queue => {
+      const { start, end } = range(queue);
+      const free = onDuty.filter(g =>
+        QueueRules.isOnDuty(g, start, start + (queue.duration || 60)) &&
+        !this.getGroomerBusyConflict(g.groomerId, date, start, end) &&
+        !booked[g.groomerId].some(b => start < b.end && end > b.start));
+      const qualified = this.filterQualifiedGroomers(free, this.getJob(queue.petId, queue.serviceType));
+      if (qualified.length === 0) {
+        unassigned.push({ queue, reason: free.length ? 'ไม่มีช่างที่รับงานนี้ได้ว่าง' : 'ไม่มีช่างว่างในช่วงเวลานี้' });
+        return;
       }
 
-      currentMinutes += 30; // 30-minute intervals
-    }
+      // Fewest booked minutes wins; ties keep the skill ranking
+      const best = qualified.reduce((a, b) => (load[b.groomerId] < load[a.groomerId] ? b : a));
+      load[best.groomerId] += queue.duration || 60;
+      booked[best.groomerId].push({ start, end });
+      assignments.push({ queue, groomerId: best.groomerId });
+    });
+
+    const byTime = (a, b) => a.queue.appointmentTime.localeCompare(b.queue.appointmentTime);
+    return {
+      assignments: assignments.sort(byTime),
+      unassigned: unassigned.sort(byTime),
+      load: onDuty.map(g => ({ groomerId: g.groomerId, before: before[g.groomerId], after: load[g.groomerId] }))
+    };
+  }
+
+  // Save a plan from planGroomerAssignments. The plan may be stale (another device assigned or booked
+  // in the meantime), so each booking is checked again against the current queue before it is saved.
+  // Returns { count, skipped: [{ queue, groomerId, reason }] }
+  async applyGroomerAssignments(assignments) {
+    let count = 0;
+    const skipped = [];
+    for (const { queue, groomerId } of assignments) {
+      const current = this.getQueueById(queue.id);
+      if (!current || QueueRules.isReleasedQueue(current)) {
+        skipped.push({ queue, groomerId, reason: 'คิวถูกยกเลิกหรือลบไปแล้ว' });
+        continue;
+      }
+      if (current.assignedGroomerId) {
+        skipped.push({ queue, groomerId, reason: 'มีการกำหนดช่างให้คิวนี้แล้ว' });
+        continue;
+      }
+      const held = QueueRules.getHeldRange(current, this.data.settings);
+      const clash = held && this.getGroomerBookingConflict(groomerId, current.date, held.start, held.end, current.id);
+      if (clash) {
+        skipped.push({ queue, groomerId, reason: `ช่างมีคิว #${clash.queueNumber} ในช่วงเวลานี้แล้ว (${clash.appointmentTime}-${clash.estimatedEndTime || ''})` });
+        continue;
+      }
+      if (!await this.updateQueue(queue.id, { assignedGroomerId: groomerId, groomerId })) break;
+      count++;
+    }
+    return { count, skipped };
+  }
+
+  // ===================================
+  // BOARDING (ฝากเลี้ยง)
+  // ===================================
+
+  getKennels() {
+    return (this.data.settings.boarding && this.data.settings.boarding.kennels) || [];
+  }
+
+  // Active stays that show on a date (every night plus the check-out day)
+  getStaysOnDate(date) {
+    return this.data.queue.filter(q =>
+      !QueueRules.isReleasedQueue(q) && QueueRules.isBoardingQueue(q) && QueueRules.queueCoversDate(q, date));
+  }
+
+  // Kennels with no other stay on any night from checkInDate to the night before checkOutDate
+  getFreeKennels(checkInDate, checkOutDate, excludeQueueId = null) {
+    return this.getKennels().filter(kennel => !QueueRules.findKennelClash(
+      { date: checkInDate, boarding: { checkOutDate, kennelId: kennel.id } },
+      this.data.queue,
+      excludeQueueId
+    ));
+  }
+
+  // Stays holding a kennel on the night of `date`
+  getKennelOccupancy(date) {
+    return this.data.queue.filter(q =>
+      !QueueRules.isReleasedQueue(q) && QueueRules.isBoardingQueue(q) &&
+      date >= q.date && date < q.boarding.checkOutDate);
+  }
+
+  // One care entry per night: { feeding, medication, notes, loggedBy, loggedAt }
+  async saveCareLog(queueId, date, entry) {
+    const queue = this.getQueueById(queueId);
+    if (!QueueRules.isBoardingQueue(queue)) return null;
+    const boarding = {
+      ...queue.boarding,
+      careLog: { ...(queue.boarding.careLog || {}), [date]: entry }
+    };
+    return this.updateQueue(queueId, { boarding });
+  }
+
+  // ===================================
+  // PAYMENTS (queue/{id}/payments)
+  // Entries: { type: 'deposit' | 'payment' | 'refund', amount, method, status: 'pending' | 'confirmed',
+  //            note, createdAt, createdBy, confirmedAt, confirmedBy }
+  // The queue document keeps amountPaid (confirmed payments minus refunds) and amountPending
+  // so cards can show a balance without loading every ledger.
+  // ===================================
+
+  paymentsRef(queueId) {
+    return this.db.collection('queue').doc(queueId).collection('payments');
+  }
+
+  async getPayments(queueId) {
+    try {
+      const snapshot = await this.paymentsRef(queueId).get();
+      this.data.payments[queueId] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      return this.data.payments[queueId];
+    } catch (e) {
+      console.error("Error loading payments: ", e);
+      alert('โหลดรายการชำระเงินไม่สำเร็จ');
+      return null;
+    }
+  }
+
+  async addPayment(queueId, entry, user = '') {
+    const newEntry = {
+      type: entry.type,
+      amount: Number(entry.amount) || 0,
+      method: entry.method || null,
+      status: entry.status || 'confirmed',
+      note: entry.note || '',
+      createdAt: new Date().toISOString(),
+      createdBy: user
+    };
+
+    try {
+      const docRef = await this.paymentsRef(queueId).add(newEntry);
+      const createdEntry = { id: docRef.id, ...newEntry };
+      if (this.data.payments[queueId]) this.data.payments[queueId].push(createdEntry);
+      await this.updatePaymentTotals(queueId);
+      return createdEntry;
+    } catch (e) {
+      console.error("Error adding payment: ", e);
+      alert('บันทึกรายการชำระเงินไม่สำเร็จ');
+      return null;
+    }
+  }
+
+  // Mark pending entries of the given types as received
+  async confirmPendingPayments(queueId, types, user = '') {
+    const entries = await this.getPayments(queueId);
+    if (!entries) return false;
+
+    const updates = { status: 'confirmed', confirmedAt: new Date().toISOString(), confirmedBy: user };
+    try {
+      await Promise.all(entries
+        .filter(entry => entry.status === 'pending' && types.includes(entry.type))
+        .map(entry => {
+          Object.assign(entry, updates);
+          return this.paymentsRef(queueId).doc(entry.id).update(updates);
+        }));
+      await this.updatePaymentTotals(queueId);
+      return true;
+    } catch (e) {
+      console.error("Error confirming payments: ", e);
+      alert('ยืนยันการชำระเงินไม่สำเร็จ');
+      return false;
+    }
+  }
+
+  async updatePaymentTotals(queueId) {
+    const entries = this.data.payments[queueId] || await this.getPayments(queueId);
+    if (!entries) return;
+    const summary = Pricing.summarizePayments(Pricing.withLegacyDeposit(entries, this.getQueueById(queueId)));
+    // paymentDates lets the daily close find every queue that took or paid out money on a day
+    const paymentDates = [...new Set(entries.map(entry => QueueRules.getLocalDateString(new Date(entry.createdAt))))];
+    await this.updateQueue(queueId, { amountPaid: summary.net, amountPending: summary.pending, paymentDates });
+  }
+
+  // ===================================
+  // DAILY CLOSE (dailyCloses/{YYYY-MM-DD})
+  // ===================================
+
+  // Ledger entries recorded on a date, across all queues (including deposits for later appointments)
+  async getPaymentsForDate(date) {
+    const start = new Date(`${date}T00:00:00`);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    try {
+      const [withPayments, legacyDeposits] = await Promise.all([
+        this.db.collection('queue').where('paymentDates', 'array-contains', date).get(),
+        // Deposits recorded before the ledger existed only live on the queue
+        this.db.collection('queue')
+          .where('depositAt', '>=', start.toISOString())
+          .where('depositAt', '<', end.toISOString())
+          .get()
+      ]);
+
+      const queues = new Map();
+      [...withPayments.docs, ...legacyDeposits.docs].forEach(doc => queues.set(doc.id, { id: doc.id, ...doc.data() }));
+
+      const rows = [];
+      for (const queue of queues.values()) {
+        const ledger = await this.getPayments(queue.id);
+        if (!ledger) throw new Error(`Payments of queue ${queue.id} could not be loaded`);
+
+        Pricing.withLegacyDeposit(ledger, queue)
+          .filter(entry => entry.createdAt >= start.toISOString() && entry.createdAt < end.toISOString())
+          .forEach(entry => rows.push({
+            ...entry,
+            queueId: queue.id,
+            queueNumber: queue.queueNumber ?? null,
+            queueDate: queue.date,
+            customerId: queue.customerId
+          }));
+      }
+
+      return rows.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    } catch (e) {
+      console.error("Error loading payments for date: ", e);
+      alert('โหลดข้อมูลการชำระเงินของวันนี้ไม่สำเร็จ');
+      return null;
+    }
+  }
+
+  async getServiceRecordsByDate(date) {
+    try {
+      const snapshot = await this.db.collection('serviceRecords').where('date', '==', date).get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (e) {
+      console.error("Error loading service records: ", e);
+      return [];
+    }
+  }
+
+  async getDailyClose(date) {
+    try {
+      const doc = await this.db.collection('dailyCloses').doc(date).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (e) {
+      console.error("Error loading daily close: ", e);
+      return null;
+    }
+  }
+
+  // A close is written once and never changed; the transaction stops two devices closing the same day
+  async saveDailyClose(date, close) {
+    const ref = this.db.collection('dailyCloses').doc(date);
+    try {
+      await this.db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(ref);
+        if (existing.exists) throw new Error('already-closed');
+        transaction.set(ref, { ...close, date, locked: true });
+      });
+      return { id: date, ...close, date, locked: true };
+    } catch (e) {
+      console.error("Error saving daily close: ", e);
+      alert(e.message === 'already-closed' ? 'วันนี้ปิดยอดไปแล้ว' : 'บันทึกการปิดยอดไม่สำเร็จ');
+      return null;
+    }
+  }
+
+  // ===================================
+  // GOOGLE CALENDAR SYNC (via server.js)
+  // ===================================
+
+  // Calendar endpoints need the server's API_TOKEN, saved on each device from the Settings page
+  calendarHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${localStorage.getItem('apiToken') || ''}`
+    };
+  }
+
+  buildCalendarPayload(queue) {
+    const groomerId = queue.assignedGroomerId || queue.groomerId;
+    return QueueRules.buildCalendarPayload(queue, {
+      customer: this.getCustomerById(queue.customerId),
+      pet: this.getPetById(queue.petId),
+      groomer: groomerId ? this.getGroomerById(groomerId) : null
+    });
+  }
+
+  // Create or update the event for a queue, then store the event id back on the queue document
+  async syncQueueToCalendar(queueId) {
+    const queue = this.getQueueById(queueId);
+    if (!queue || QueueRules.isReleasedQueue(queue)) return;
+
+    // No time slot means nothing to put on the calendar
+    if (!queue.appointmentTime) {
+      if (queue.googleEventId) this.removeQueueFromCalendar(queue);
+      return;
+    }
+
+    try {
+      const res = await fetch(`${this.calendarApiUrl}/events/${encodeURIComponent(queue.id)}`, {
+        method: 'PUT',
+        headers: this.calendarHeaders(),
+        body: JSON.stringify(this.buildCalendarPayload(queue))
+      });
+      const data = await res.json();
+      if (!data.success) {
+        console.error('❌ Failed to sync calendar event:', data.error);
+        return;
+      }
+
+      console.log('✅ Google Calendar Event Synced:', data.link);
+      if (data.eventId !== queue.googleEventId || data.calendarId !== queue.googleCalendarId) {
+        const calendarRef = { googleEventId: data.eventId, googleCalendarId: data.calendarId || null };
+        await this.db.collection('queue').doc(queue.id).update(calendarRef);
+        const current = this.getQueueById(queue.id);
+        if (current) Object.assign(current, calendarRef);
+      }
+    } catch (err) {
+      console.error('❌ Calendar API Error:', err);
+    }
+  }
+
+  async removeQueueFromCalendar(queue) {
+    if (!queue || !queue.id) return;
+
+    try {
+      const params = new URLSearchParams();
+      if (queue.googleEventId) params.set('eventId', queue.googleEventId);
+      if (queue.googleCalendarId) params.set('calendarId', queue.googleCalendarId);
+      const query = params.toString() ? `?${params}` : '';
+      const res = await fetch(`${this.calendarApiUrl}/events/${encodeURIComponent(queue.id)}${query}`, {
+        method: 'DELETE',
+        headers: this.calendarHeaders()
+      });
+      const data = await res.json();
+      if (!data.success) {
+        console.error('❌ Failed to delete calendar event:', data.error);
+        return;
+      }
+
+      console.log('🗑️ Google Calendar Event Deleted:', data.eventId);
+      const current = this.getQueueById(queue.id);
+      if (current && current.googleEventId) {
+        await this.db.collection('queue').doc(queue.id).update({ googleEventId: null, googleCalendarId: null });
+        current.googleEventId = null;
+        current.googleCalendarId = null;
+      }
+    } catch (err) {
+      console.error('❌ Calendar API Error:', err);
+    }
+  }
+
+  // Load personal calendar events (leave, doctor visits) for every groomer with a calendar id
+  async loadGroomerBusyTimes(date) {
+    const calendars = {};
+    this.getActiveGroomers().forEach(g => {
+      if (g.calendarId) calendars[g.id] = g.calendarId;
+    });
+    if (Object.keys(calendars).length === 0) {
+      this.groomerBusyTimes[date] = {};
+      return this.groomerBusyTimes[date];
+    }
+
+    const dayStart = new Date(`${date}T00:00:00`);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60000);
+
+    try {
+      const res = await fetch(`${this.calendarApiUrl}/freebusy`, {
+        method: 'POST',
+        headers: this.calendarHeaders(),
+        body: JSON.stringify({ timeMin: dayStart.toISOString(), timeMax: dayEnd.toISOString(), calendars })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        console.error('❌ Failed to load groomer free/busy:', data.error);
+        return this.groomerBusyTimes[date] || {};
+      }
+
+      // Convert to minutes of the selected day, clipped to 00:00-24:00
+      const toMinutes = (value, allDay) => {
+        const d = allDay ? new Date(`${value}T00:00:00`) : new Date(value);
+        return Math.round((d.getTime() - dayStart.getTime()) / 60000);
+      };
+      const busyByGroomer = {};
+      Object.entries(data.busy || {}).forEach(([groomerId, events]) => {
+        busyByGroomer[groomerId] = events.map(e => ({
+          start: Math.max(0, toMinutes(e.start, e.allDay)),
+          end: Math.min(24 * 60, toMinutes(e.end, e.allDay)),
+          summary: e.summary
+        })).filter(e => e.end > e.start);
+      });
+
+      this.groomerBusyTimes[date] = busyByGroomer;
+      console.log(`[DEBUG] Loaded groomer busy times for ${date}`);
+    } catch (err) {
+      console.error('❌ Calendar API Error:', err);
+    }
+
+    return this.groomerBusyTimes[date] || {};
+  }
+
+  // Personal calendar event overlapping the given range, if any
+  getGroomerBusyConflict(groomerId, date, startMinutes, endMinutes) {
+    const busy = (this.groomerBusyTimes[date] || {})[groomerId] || [];
+    return busy.find(b => !(endMinutes <= b.start || startMinutes >= b.end)) || null;
+  }
+
+  // Get today's queue (using local date, not UTC)
+  getTodayQueue() {
+    const today = new Date();
+    const localDate = new Date(today.getTime() - (today.getTimezoneOffset() * 60000))
+      .toISOString()
+      .split('T')[0];
+    return this.data.queue.filter(q => q.date === localDate);
+  }
+
+  // NEW: Get queue by specific date
+  getQueueByDate(dateString) {
+    return this.data.queue.filter(q => q.date === dateString);
+  }
+
+  getQueue() {
+    return this.data.queue;
+  }
+
+  getQueueById(id) {
+    return this.data.queue.find(q => q.id === id);
+  }
+
+  // Roster for a date: the day's override if it was edited, otherwise built from the
+  // groomers' weekly templates. Null when there are no active groomers.
+  getDailySchedule(date) {
+    const generated = QueueRules.buildDailySchedule(date, this.getActiveGroomers(), this.data.settings);
+    const stored = this.data.dailySchedules.find(ds => ds.date === date);
+    if (!stored) return generated.groomers.length ? generated : null;
+
+    // Groomers added after the day was edited follow their template
+    const missing = generated.groomers.filter(g => !stored.groomers.some(s => s.groomerId === g.groomerId));
+    return missing.length ? { ...stored, groomers: [...stored.groomers, ...missing] } : stored;
+  }
+
+  // Save a one-off roster for a date (hours, breaks, leave). groomers: roster entries as in QueueRules
+  async setDailySchedule(date, groomers) {
+    const existing = this.data.dailySchedules.find(s => s.date === date);
+
+    const schedule = {
+      date,
+      override: true,
+      groomers: groomers.map(g => ({
+        groomerId: g.groomerId,
+        name: g.name || this.getGroomerById(g.groomerId)?.name || '',
+        workingHours: g.workingHours || this.data.settings.defaultWorkingHours,
+        breaks: g.breaks || [],
+        status: g.status || 'available',
+        note: g.note || ''
+      })),
+      totalCapacity: groomers.filter(g => (g.status || 'available') === 'available').length,
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      if (existing) {
+        await this.db.collection('dailySchedules').doc(existing.id).set(schedule);
+        Object.assign(existing, schedule);
+        return existing;
+      }
+      const docRef = await this.db.collection('dailySchedules').add(schedule);
+      const created = { id: docRef.id, ...schedule };
+      this.data.dailySchedules.push(created);
+      return created;
+    } catch (e) {
+      console.error("Error saving daily schedule: ", e);
+      alert('บันทึกตารางงานไม่สำเร็จ');
+      return null;
+    }
+  }
+
+  // Override one groomer's roster for a date; the other groomers keep their own override or template.
+  // Entries that end up equal to the groomer's template (e.g. leave cancelled) are dropped, and the
+  // day's document with them once none are left. Returns a truthy value when saved.
+  async setGroomerDaySchedule(date, groomerId, entry) {
+    const stored = this.data.dailySchedules.find(s => s.date === date);
+    const groomers = [
+      ...(stored ? stored.groomers.filter(g => g.groomerId !== groomerId) : []),
+      { ...entry, groomerId }
+    ].filter(g => {
+      const groomer = this.getGroomerById(g.groomerId);
+      return !groomer || !QueueRules.isSameRosterEntry(g, QueueRules.getTemplateEntry(groomer, date, this.data.settings));
+    });
+    return groomers.length ? this.setDailySchedule(date, groomers) : this.clearDailySchedule(date);
+  }
+
+  // Drop a day's override so it follows the weekly templates again
+  async clearDailySchedule(date) {
+    const existing = this.data.dailySchedules.find(s => s.date === date);
+    if (!existing) return true;
+    try {
+      await this.db.collection('dailySchedules').doc(existing.id).delete();
+      this.data.dailySchedules = this.data.dailySchedules.filter(s => s.id !== existing.id);
+      return true;
+    } catch (e) {
+      console.error("Error deleting daily schedule: ", e);
+      alert('ล้างตารางงานไม่สำเร็จ');
+      return false;
+    }
+  }
+
+  // HH:mm -> minutes since midnight
+  timeToMinutes(time) {
+    return QueueRules.timeToMinutes(time);
+  }
+
+  // Cleanup minutes held after a booking of these services (not part of the customer's time)
+  getBufferMinutes(serviceTypes) {
+    return QueueRules.getBufferMinutes(serviceTypes, this.data.settings);
+  }
+
+  // Active bookings on a date that overlap [startMinutes, endMinutes); each booking holds
+  // its groomer until its cleanup buffer is over.
+  // excludeQueueId: the queue being edited, so it doesn't clash with itself
+  getOverlappingQueues(date, startMinutes, endMinutes, excludeQueueId = null) {
+    return QueueRules.getOverlappingQueues(this.getQueueByDate(date), date, startMinutes, endMinutes,
+      this.data.settings, excludeQueueId);
+  }
+
+  // Existing booking of this groomer that overlaps the slot, or null (same check as the REST API)
+  getGroomerBookingConflict(groomerId, date, startMinutes, endMinutes, excludeQueueId = null) {
+    return QueueRules.findGroomerBookingConflict(this.getQueueByDate(date), groomerId, date, startMinutes, endMinutes,
+      this.data.settings, excludeQueueId);
+  }
+
+  // Pet type and services of a booking, for matching groomers' skills
+  getJob(petId, services) {
+    return { petType: this.getPetById(petId)?.type || null, services: services || [] };
+  }
+
+  // Why a groomer can't take the job (pet type or cutting level), or null when qualified
+  getGroomerSkillIssue(groomerId, job) {
+    return QueueRules.getGroomerSkillIssue(this.getGroomerById(groomerId), job, this.data.settings);
+  }
+
+  // Roster entries (or groomer records) that can take the job, best match first
+  filterQualifiedGroomers(entries, job) {
+    if (!job) return entries;
+    const byId = new Map(entries.map(e => [e.groomerId || e.id, e]));
+    const records = entries.map(e => this.getGroomerById(e.groomerId || e.id) || { id: e.groomerId || e.id });
+    return QueueRules.rankGroomersForJob(records, job, this.data.settings)
+      .filter(r => !r.issue)
+      .map(r => byId.get(r.groomer.id));
+  }
+
+  // NEW: Get available groomers for a specific date/time slot
+  // bufferMinutes: cleanup after this booking, which must not run into the groomer's next one
+  getAvailableGroomersForSlot(date, startTime, duration, excludeQueueId = null, bufferMinutes = 0) {
+    const startMinutes = this.timeToMinutes(startTime);
+    const endMinutes = startMinutes + duration;
+    const heldUntil = endMinutes + bufferMinutes;
+
+    const schedule = this.getDailySchedule(date);
+    if (!schedule) return []; // No active groomers
+
+    // Check each groomer's availability
+    return schedule.groomers.filter(groomer => {
+      // Working that day, within working hours and not on a break
+      if (!QueueRules.isOnDuty(groomer, startMinutes, endMinutes)) {
+        return false;
+      }
+
+      // Personal events on the groomer's Google Calendar (leave, doctor visits)
+      if (this.getGroomerBusyConflict(groomer.groomerId, date, startMinutes, heldUntil)) {
+        return false;
+      }
+
+      // Check for conflicts with existing appointments
+      if (this.getGroomerBookingConflict(groomer.groomerId, date, startMinutes, heldUntil, excludeQueueId)) {
+        return false; // Time conflict
+      }
+
+      return true; // Groomer is available
+    });
+  }
+
+  // Why a booking can't be served at its date/time (shop closed, its groomer or every groomer taken), or null
+  getBookingClash(queue, excludeQueueId = null) {
+    const closure = this.getClosure(queue.date);
+    if (closure) return `ร้านปิด (${closure.reason})`;
+    if (!queue.appointmentTime) return null;
+    // Shop without any groomer records yet: nothing to clash with
+    if (!this.getDailySchedule(queue.date) && this.getActiveGroomers().length === 0) return null;
+
+    const duration = queue.duration || 60;
+    const buffer = this.getBufferMinutes(queue.serviceType);
+    const groomers = this.getAvailableGroomersForSlot(queue.date, queue.appointmentTime, duration, excludeQueueId, buffer);
+    if (queue.assignedGroomerId) {
+      const free = groomers.some(g => (g.groomerId || g.id) === queue.assignedGroomerId);
+      return free ? null : `${this.getGroomerById(queue.assignedGroomerId)?.name || 'ช่าง'} ไม่ว่าง`;
+    }
+
+    const startMinutes = this.timeToMinutes(queue.appointmentTime);
+    const unassignedCount = this.getOverlappingQueues(queue.date, startMinutes, startMinutes + duration + buffer, excludeQueueId)
+      .filter(q => !q.assignedGroomerId).length;
+    if (groomers.length <= unassignedCount) return 'ไม่มีช่างว่าง';
+    const qualified = this.filterQualifiedGroomers(groomers, this.getJob(queue.petId, queue.serviceType));
+    return qualified.length > unassignedCount ? null : 'ไม่มีช่างที่รับงานนี้ได้ว่าง';
+  }
+
+  // Every 30-minute start time of the working day, with the groomers free for `duration`.
+  // A slot is available when free groomers outnumber the unassigned bookings already overlapping it.
+  // job ({ petType, services }): only groomers who can take it count, best match first. Its services also
+  // set the cleanup buffer, so pass it whenever they are known (without it slots are checked with no buffer)
+  getSlotAvailability(date, duration, excludeQueueId = null, job = null) {
+    // No bookings on days the shop is closed
+    if (this.getClosure(date)) return [];
+
+    const schedule = this.getDailySchedule(date);
+    const onDuty = schedule ? schedule.groomers.filter(g => (g.status || 'available') === 'available') : [];
+    const hoursList = onDuty.length
+      ? onDuty.map(g => g.workingHours || this.data.settings.defaultWorkingHours)
+      : [this.data.settings.defaultWorkingHours];
+
+    const dayStart = Math.min(...hoursList.map(h => this.timeToMinutes(h.start)));
+    const dayEnd = Math.max(...hoursList.map(h => this.timeToMinutes(h.end)));
+
+    // Shop without any groomer records yet: don't block bookings
+    const noRoster = !schedule && this.getActiveGroomers().length === 0;
+    const buffer = job ? this.getBufferMinutes(job.services) : 0;
+
+    const slots = [];
+    for (let minutes = dayStart; minutes + duration <= dayEnd; minutes += 30) {
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      const groomers = this.filterQualifiedGroomers(this.getAvailableGroomersForSlot(date, time, duration, excludeQueueId, buffer), job);
+      const unassignedCount = this.getOverlappingQueues(date, minutes, minutes + duration + buffer, excludeQueueId)
+        .filter(q => !q.assignedGroomerId).length;
+
+      slots.push({
+        time,
+        endTime: this.calculateEndTime(time, duration),
+        groomers,
+        available: noRoster || groomers.length > unassignedCount
+      });
+    }
 
     return slots;
   }
 
+  // NEW: Find next available time slot (cleanup buffer of the services included, see getSlotAvailability)
+  findAvailableTimeSlots(date, serviceTypes, maxSlots = 10, petId = null) {
+    console.log('[DEBUG] findAvailableTimeSlots called');
+    const duration = this.calculateServiceDuration(serviceTypes);
+
+    return this.getSlotAvailability(date, duration, null, this.getJob(petId, serviceTypes))
+      .filter(slot => slot.available)
+      .slice(0, maxSlots)
+      .map(slot => ({
+        time: slot.time,
+        endTime: slot.endTime,
+        availableGroomers: slot.groomers.length,
+        groomers: slot.groomers
+      }));
+  }
+
   calculateEndTime(startTime, duration) {
     const [hours, minutes] = startTime.split(':').map(Number);
     const startMinutes = hours * 60 + minutes;
@@ -797,43 +1748,7 @@ class DataStore {
 
   // Service Record operations
   createServiceRecord(queue) {
-    // Calculate duration from check-in to completion
-    const checkInTime = queue.checkInAt ? new Date(queue.checkInAt) : new Date();
-    const endTime = queue.completedAt ? new Date(queue.completedAt) : new Date();
-    const duration = Math.round((endTime - checkInTime) / 60000); // minutes
-
-    const serviceRecord = {
-      queueId: queue.id,
-      customerId: queue.customerId,
-      petId: queue.petId,
-      groomerId: queue.groomerId || null,
-      date: queue.date,
-      status: 'completed',
-      servicesPerformed: queue.serviceType,
-
-      // Workflow timestamps
-      bookingAt: queue.bookingAt || null,
-      depositAt: queue.depositAt || null,
-      checkInAt: queue.checkInAt || null,
-      completedAt: queue.completedAt || new Date().toISOString(),
-      completedAt: queue.completedAt || new Date().toISOString(),
-      duration,
-
-      // Appointment info
-      appointmentTime: queue.appointmentTime,
-      estimatedEndTime: queue.estimatedEndTime,
-
-      // Check-in data
-      checkInWeight: queue.checkInWeight,
-      checkInNotes: queue.checkInNotes || '',
-
-      // Completion data
-      completionImages: queue.completionImages || [],
-
-      price: this.calculatePrice(queue.serviceType),
-      notes: queue.notes || '',
-      createdAt: new Date().toISOString()
-    };
+    const serviceRecord = QueueRules.buildServiceRecord(queue, this.data.settings, this.getPetById(queue.petId));
 
     // Save to Firestore
     this.db.collection('serviceRecords').add(serviceRecord)
@@ -841,6 +1756,8 @@ class DataStore {
         console.log("Service record created with ID: ", docRef.id);
         const createdRecord = { id: docRef.id, ...serviceRecord };
         this.data.serviceRecords.push(createdRecord);
+        this.recordDurationSample(createdRecord)
+          .catch(err => console.warn('Updating duration stats failed:', err));
       })
       .catch(error => {
         console.error("Error adding service record: ", error);
@@ -881,38 +1798,24 @@ class DataStore {
   }
 
   calculatePrice(services) {
-    let total = 0;
-    services.forEach(service => {
-      total += this.data.settings.priceList[service] || 0;
-    });
-    return total;
+    return QueueRules.calculatePrice(services, this.data.settings);
   }
 
   // NEW: Calculate Cat Price based on weight and hair type
   calculateCatPrice(services, weight, isLongHair = false) {
-    let total = 0;
-    const pricing = this.data.settings.catPricing;
+    return Pricing.calculateQuote({
+      petType: 'cat',
+      weight,
+      coatLength: isLongHair ? 'long' : 'short',
+      services
+    }, this.data.settings).total;
+  }
 
-    // 1. Calculate Bathing Price (Base)
-    if (services.includes('อาบน้ำ')) {
-      const tier = pricing.weightTiers.find(t => weight <= t.max) || pricing.weightTiers[pricing.weightTiers.length - 1];
-      total += isLongHair ? tier.long : tier.short;
-    }
-
-    // 2. Add-ons
-    services.forEach(service => {
-      if (service === 'อาบน้ำ') return; // Handled above
-
-      // Check specific cat pricing first, then fallback to general
-      if (pricing.addons[service]) {
-        total += pricing.addons[service];
-      } else {
-        total += this.data.settings.priceList[service] || 0;
-      }
-    });
-
-    return total;
-  }
+  // Itemised quote for a pet and services (weight: measured weight, if different from the pet record)
+  // options: { nights, transport } - boarding nights and transport fee (see QueueRules.getQuoteOptions)
+  getQuote(petId, services, weight = null, options = {}) {
+    return Pricing.quoteForPet(this.getPetById(petId), services, this.data.settings, weight, options);
+  }
 
   getServiceRecords() {
     return this.data.serviceRecords;
@@ -1013,6 +1916,7 @@ class PetGroomingApp {
   init() {
     this.checkAuth();
     this.setupNavigation();
+    this.renderServiceCheckboxes();
     this.setupSearchFilters();
     this.setupPetModalListeners();
     this.setupPetModalListeners();
@@ -1031,13 +1935,72 @@ class PetGroomingApp {
   // NEW: Called when initial data is loaded from Firebase
   onInitDataLoaded() {
     this.loading = false;
+    this.renderServiceCheckboxes(); // Settings may have changed the service list
     this.renderDashboard();
+    this.updateWaitlistBadge();
     // Also re-render other pages if they were the initial land page
     if (this.currentPage !== 'dashboard') {
       this.navigateTo(this.currentPage);
     }
   }
 
+  // Pages that display each live collection
+  getPagesForCollection(col) {
+    const pages = {
+      queue: ['dashboard', 'queue', 'services', 'waitlist'],
+      customers: ['dashboard', 'queue', 'customers', 'pets', 'services', 'waitlist'],
+      pets: ['dashboard', 'queue', 'customers', 'pets', 'services', 'waitlist'],
+      groomers: ['dashboard', 'queue', 'groomers', 'services'],
+      waitlist: ['waitlist']
+    };
+    return pages[col] || [];
+  }
+
+  // Called by DataStore when another device changed a live collection.
+  // Only the visible page is re-rendered; bursts of changes are batched.
+  onLiveDataChanged(col) {
+    if (this.loading) return;
+    this.pendingLiveChanges = this.pendingLiveChanges || new Set();
+    this.pendingLiveChanges.add(col);
+    if (this.liveRenderTimer) return;
+
+    this.liveRenderTimer = setTimeout(() => {
+      const changed = [...this.pendingLiveChanges];
+      this.pendingLiveChanges.clear();
+      this.liveRenderTimer = null;
+
+      if (changed.includes('waitlist')) this.updateWaitlistBadge();
+
+      if (changed.some(c => this.getPagesForCollection(c).includes(this.currentPage))) {
+        console.log('[DEBUG] Live update re-rendering', this.currentPage, 'for', changed.join(', '));
+        this.navigateTo(this.currentPage);
+      }
+
+      // Keep slot availability current while the booking modal is open
+      if (changed.includes('queue') && document.getElementById('modal-queue')?.classList.contains('active')) {
+        this.updateTimeSlots();
+      }
+    }, 200);
+  }
+
+  async syncData() {
+    try {
+      console.log('[DEBUG] Manual sync triggered');
+      await this.store.initRealtimeListeners(); // Re-fetch everything and restart live updates
+      this.renderDashboard();
+      this.renderQueue();
+      this.renderCustomers();
+      this.renderPets();
+      this.renderGroomers();
+      this.renderUsers();
+      this.renderServices();
+      alert('ซิงค์ข้อมูลล่าสุดสำเร็จ!');
+    } catch (e) {
+      console.error('[DEBUG] Sync error:', e);
+      alert('การซิงค์ข้อมูลล้มเหลว กรุณาลองใหม่');
+    }
+  }
+
   // NEW: Button Loading Helper
   setButtonLoading(btn, isLoading, loadingText = '') {
     if (isLoading) {
@@ -1094,6 +2057,9 @@ class PetGroomingApp {
       if (userNameElement) {
         userNameElement.textContent = this.currentUser;
       }
+      // Shop settings are for admins only
+      const settingsNav = document.getElementById('nav-settings');
+      if (settingsNav && !this.isAdmin()) settingsNav.style.display = 'none';
     }, 100);
 
     return true;
@@ -1273,7 +2239,6 @@ class PetGroomingApp {
       date: today,
       bookingAt: new Date().toISOString(),
       status: 'booking',
-      queueNumber: this.generateQueueNumber(),
       priority: false,
       isTransportIncluded: true,
       marketingSource: 'ทดสอบ',
@@ -1305,6 +2270,11 @@ class PetGroomingApp {
   }
 
   navigateTo(page) {
+    if (page === 'settings' && !this.isAdmin()) {
+      alert('เฉพาะผู้ดูแลระบบเท่านั้นที่เข้าหน้าตั้งค่าร้านได้');
+      return;
+    }
+
     // Update active menu item
     document.querySelectorAll('.menu-item').forEach(item => {
       item.classList.remove('active');
@@ -1335,6 +2305,9 @@ class PetGroomingApp {
         case 'queue':
           this.renderQueue();
           break;
+        case 'waitlist':
+          this.renderWaitlist();
+          break;
         case 'customers':
           this.renderCustomers();
           break;
@@ -1350,6 +2323,9 @@ class PetGroomingApp {
         case 'users':
           this.renderUsers();
           break;
+        case 'settings':
+          this.renderSettings();
+          break;
       }
     }
   }
@@ -1418,6 +2394,7 @@ class PetGroomingApp {
 
     // Render calendar
     this.renderCalendar();
+    if (!this.loading) this.renderGroomerTimeline(selectedDate);
 
     // Sort by time, then by queue number
     queueForDate.sort((a, b) => {
@@ -1430,7 +2407,7 @@ class PetGroomingApp {
       if (b.appointmentTime) return 1;
 
       // Fallback to queue number
-      return a.queueNumber.localeCompare(b.queueNumber);
+      return QueueRules.compareQueueNumbers(a.queueNumber, b.queueNumber);
     });
 
     // Render queue for selected date
@@ -1451,8 +2428,277 @@ class PetGroomingApp {
         </div>
       `;
     } else {
-      queueList.innerHTML = queueForDate.map(q => this.createQueueCard(q)).join('');
+      queueList.innerHTML = queueForDate.map(q => this.createQueueCard(q, selectedDate)).join('');
+    }
+
+    // Boarding stays that started on an earlier day are still in the shop today
+    const continuingStays = this.store.getStaysOnDate(selectedDate).filter(q => q.date !== selectedDate);
+    if (continuingStays.length > 0) {
+      queueList.innerHTML += `
+        <h4 class="queue-section-title">🏠 ฝากเลี้ยงต่อเนื่อง (${continuingStays.length})</h4>
+        ${continuingStays.map(q => this.createQueueCard(q, selectedDate)).join('')}
+      `;
+    }
+  }
+
+  // ===================================
+  // GROOMER TIMELINE (resource view)
+  // ===================================
+
+  // Lanes for the day: every active groomer, groomers with bookings that day, then 'unassigned'
+  getTimelineLanes(date, queues) {
+    const schedule = this.store.getDailySchedule(date);
+    const defaultHours = this.store.data.settings.defaultWorkingHours;
+    const groomerIds = [...new Set([
+      ...this.store.getActiveGroomers().map(g => g.id),
+      ...queues.map(q => q.assignedGroomerId).filter(Boolean)
+    ])];
+
+    const lanes = groomerIds.map(id => {
+      const groomer = this.store.getGroomerById(id);
+      // Groomers not on the day's roster, on leave or on their day off have no working hours
+      const rostered = schedule ? schedule.groomers.find(g => g.groomerId === id) : null;
+      const onDuty = rostered && (rostered.status || 'available') === 'available';
+      return {
+        groomerId: id,
+        name: groomer ? `${groomer.name}${groomer.nickname ? ` (${groomer.nickname})` : ''}` : 'ช่าง (ลบแล้ว)',
+        hours: onDuty ? rostered.workingHours : null,
+        breaks: onDuty ? (rostered.breaks || []) : [],
+        offNote: onDuty ? '' : (rostered?.note || 'ไม่ได้เข้างาน'),
+        queues: queues.filter(q => q.assignedGroomerId === id)
+      };
+    });
+    lanes.push({ groomerId: '', name: 'ยังไม่กำหนดช่าง', hours: defaultHours, breaks: [], queues: queues.filter(q => !q.assignedGroomerId) });
+    return lanes;
+  }
+
+  renderGroomerTimeline(date = this.selectedDashboardDate || this.getTodayString()) {
+    const container = document.getElementById('groomer-timeline');
+    if (!container) return;
+    document.getElementById('groomer-timeline-title').textContent = `🕒 ตารางช่าง ${this.formatDate(date)}`;
+
+    const dayQueues = this.store.getQueueByDate(date).filter(q => !QueueRules.isReleasedQueue(q));
+    const timed = dayQueues.filter(q => q.appointmentTime);
+    const untimed = dayQueues.filter(q => !q.appointmentTime);
+    const lanes = this.getTimelineLanes(date, timed);
+
+    // Whole hours covering every lane's working day and every booking
+    const toMinutes = (time) => this.store.timeToMinutes(time);
+    const starts = [...lanes.filter(l => l.hours).map(l => toMinutes(l.hours.start)), ...timed.map(q => toMinutes(q.appointmentTime))];
+    const ends = [...lanes.filter(l => l.hours).map(l => toMinutes(l.hours.end)), ...timed.map(q => toMinutes(q.appointmentTime) + (q.duration || 60) + this.store.getBufferMinutes(q.serviceType))];
+    const dayStart = Math.floor(Math.min(...starts) / 60) * 60;
+    const dayEnd = Math.ceil(Math.max(...ends) / 60) * 60;
+    const scale = 2; // px per minute
+    this.timelineView = { date, dayStart, scale };
+
+    const x = (minutes) => (minutes - dayStart) * scale;
+    const trackWidth = x(dayEnd);
+
+    const hourTicks = [];
+    for (let minutes = dayStart; minutes < dayEnd; minutes += 60) {
+      hourTicks.push(`<div class="timeline-hour" style="left: ${x(minutes)}px; width: ${60 * scale}px;">${String(minutes / 60).padStart(2, '0')}:00</div>`);
+    }
+
+    const laneHTML = (lane) => {
+      // Shade the hours the groomer isn't working, breaks included
+      const off = lane.hours
+        ? [
+          [dayStart, toMinutes(lane.hours.start)],
+          [toMinutes(lane.hours.end), dayEnd],
+          ...lane.breaks.map(b => [toMinutes(b.start), toMinutes(b.end)])
+        ].filter(([s, e]) => e > s)
+        : [[dayStart, dayEnd]];
+      const offHTML = off.map(([s, e]) => `<div class="timeline-off" style="left: ${x(s)}px; width: ${(e - s) * scale}px;"></div>`).join('');
+
+      const blocks = lane.queues.map(q => {
+        const pet = this.store.getPetById(q.petId);
+        const start = toMinutes(q.appointmentTime);
+        const movable = q.status !== 'completed';
+        const buffer = this.store.getBufferMinutes(q.serviceType);
+        const bufferHTML = buffer
+          ? `<div class="timeline-buffer" style="left: ${x(start + (q.duration || 60))}px; width: ${buffer * scale}px;" title="เวลาเคลียร์โต๊ะ ${buffer} นาที"></div>`
+          : '';
+        return `${bufferHTML}
+          <div class="timeline-block status-${q.status}" style="left: ${x(start)}px; width: ${(q.duration || 60) * scale}px;"
+            ${movable ? `draggable="true" ondragstart="app.onTimelineDragStart(event, '${q.id}')" onclick="app.editQueue('${q.id}')"` : ''}
+            title="#${q.queueNumber} ${q.appointmentTime}-${q.estimatedEndTime || ''} ${pet?.name || ''}: ${q.serviceType.join(', ')}">
+            <strong>${q.appointmentTime} ${this.getPetIcon(pet)} ${pet?.name || '-'}</strong>
+            <span>${q.serviceType.join(', ')}</span>
+          </div>`;
+      }).join('');
+
+      return `
+        <div class="timeline-row">
+          <div class="timeline-label">${lane.name}${lane.hours ? '' : `<br><small>${lane.offNote}</small>`}</div>
+          <div class="timeline-track timeline-lane" style="width: ${trackWidth}px;" data-groomer-id="${lane.groomerId}"
+            ondragover="app.onTimelineDragOver(event)" ondragleave="app.onTimelineDragLeave(event)" ondrop="app.onTimelineDrop(event)">
+            ${offHTML}${blocks}
+          </div>
+        </div>`;
+    };
+
+    container.innerHTML = `
+      <div class="timeline">
+        <div class="timeline-row timeline-header">
+          <div class="timeline-label"></div>
+          <div class="timeline-track" style="width: ${trackWidth}px;">${hourTicks.join('')}</div>
+        </div>
+        ${lanes.map(laneHTML).join('')}
+      </div>
+      ${untimed.length ? `<p class="text-muted" style="margin-top: 0.5rem;">ไม่ระบุเวลา: ${untimed.map(q => `#${q.queueNumber}`).join(', ')}</p>` : ''}`;
+  }
+
+  onTimelineDragStart(event, queueId) {
+    // Remember where the block was grabbed so it lands where it's dropped
+    this.timelineDrag = { queueId, grabOffset: event.clientX - event.currentTarget.getBoundingClientRect().left };
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', queueId);
+  }
+
+  onTimelineDragOver(event) {
+    if (!this.timelineDrag) return;
+    event.preventDefault();
+    event.currentTarget.classList.add('drag-over');
+  }
+
+  onTimelineDragLeave(event) {
+    event.currentTarget.classList.remove('drag-over');
+  }
+
+  onTimelineDrop(event) {
+    event.preventDefault();
+    const lane = event.currentTarget;
+    lane.classList.remove('drag-over');
+    const drag = this.timelineDrag;
+    this.timelineDrag = null;
+    if (!drag) return;
+
+    // Snap to 15 minutes
+    const { dayStart, scale } = this.timelineView;
+    const offset = event.clientX - lane.getBoundingClientRect().left - drag.grabOffset;
+    const minutes = Math.max(dayStart + Math.round(offset / scale / 15) * 15, 0);
+    const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    this.rescheduleQueue(drag.queueId, time, lane.dataset.groomerId || null);
+  }
+
+  // Move a booking to another start time and/or groomer on the same day.
+  // Double-booking a groomer is refused; off-hours or a full shop needs confirmation.
+  async rescheduleQueue(queueId, time, groomerId) {
+    const queue = this.store.getQueueById(queueId);
+    if (!queue) return;
+    if (queue.appointmentTime === time && (queue.assignedGroomerId || null) === groomerId) return;
+
+    const duration = queue.duration || 60;
+    const startMinutes = this.store.timeToMinutes(time);
+    const estimatedEndTime = this.calculateEndTime(time, duration);
+    const moved = { ...queue, appointmentTime: time, assignedGroomerId: groomerId };
+
+    if (groomerId) {
+      const heldUntil = startMinutes + duration + this.store.getBufferMinutes(queue.serviceType);
+      const clash = this.store.getGroomerBookingConflict(groomerId, queue.date, startMinutes, heldUntil, queueId);
+      if (clash) {
+        alert(`ช่าง ${this.store.getGroomerById(groomerId)?.name || ''} มีคิว #${clash.queueNumber} ในช่วงเวลานี้แล้ว (${clash.appointmentTime}-${clash.estimatedEndTime || ''})`);
+        return;
+      }
+    }
+    const reason = this.store.getBookingClash(moved, queueId);
+    if (reason && !confirm(`${reason} ในช่วง ${time}-${estimatedEndTime}\nต้องการย้ายคิวต่อหรือไม่?`)) {
+      return;
+    }
+    const skillIssue = groomerId && groomerId !== queue.assignedGroomerId
+      ? this.store.getGroomerSkillIssue(groomerId, this.store.getJob(queue.petId, queue.serviceType))
+      : null;
+    if (skillIssue && !confirm(`⚠️ ${this.store.getGroomerById(groomerId)?.name || 'ช่าง'}: ${skillIssue}\nต้องการย้ายคิวให้ช่างคนนี้หรือไม่?`)) {
+      return;
+    }
+
+    const updated = await this.store.updateQueue(queueId, {
+      appointmentTime: time,
+      estimatedEndTime,
+      assignedGroomerId: groomerId,
+      groomerId
+    });
+    if (!updated) return;
+    this.renderDashboard();
+    this.renderQueue();
+  }
+
+  // ===================================
+  // AUTO ASSIGNMENT
+  // ===================================
+
+  showAutoAssign(date = this.selectedDashboardDate || this.getTodayString()) {
+    this.autoAssignPlan = this.store.planGroomerAssignments(date);
+    document.getElementById('auto-assign-title').textContent = `🤖 จัดช่างอัตโนมัติ ${this.formatDate(date)}`;
+    document.getElementById('auto-assign-content').innerHTML = this.renderAutoAssignPlan(this.autoAssignPlan);
+    document.getElementById('auto-assign-apply-btn').disabled = this.autoAssignPlan.assignments.length === 0;
+    this.openModal('modal-auto-assign');
+  }
+
+  renderAutoAssignPlan(plan) {
+    if (plan.load.length === 0) {
+      return '<p class="text-muted">ไม่มีช่างเข้างานในวันนี้</p>';
+    }
+    if (plan.assignments.length === 0 && plan.unassigned.length === 0) {
+      return '<p class="text-muted">ทุกคิวของวันนี้มีช่างรับผิดชอบแล้ว</p>';
+    }
+
+    const queueLabel = (q) => {
+      const pet = this.store.getPetById(q.petId);
+      return `#${q.queueNumber} ${this.getPetIcon(pet)} ${pet?.name || '-'}`;
+    };
+    const rows = plan.assignments.map(({ queue, groomerId }) => `
+      <tr>
+        <td>${queue.appointmentTime}-${queue.estimatedEndTime || this.calculateEndTime(queue.appointmentTime, queue.duration || 60)}</td>
+        <td>${queueLabel(queue)}</td>
+        <td>${queue.serviceType.join(', ')}</td>
+        <td><strong>${this.store.getGroomerById(groomerId)?.name || '-'}</strong></td>
+      </tr>`).join('');
+    const skipped = plan.unassigned.map(({ queue, reason }) => `
+      <tr>
+        <td>${queue.appointmentTime}</td>
+        <td>${queueLabel(queue)}</td>
+        <td>${queue.serviceType.join(', ')}</td>
+        <td style="color: var(--danger-color);">⚠️ ${reason}</td>
+      </tr>`).join('');
+    const load = plan.load.map(l => `
+      <tr>
+        <td>${this.store.getGroomerById(l.groomerId)?.name || '-'}</td>
+        <td>${this.formatDurationLabel(l.before) || '0 นาที'}</td>
+        <td><strong>${this.formatDurationLabel(l.after) || '0 นาที'}</strong></td>
+      </tr>`).join('');
+
+    return `
+      <div class="table-container">
+        <table class="table">
+          <thead><tr><th>เวลา</th><th>คิว</th><th>บริการ</th><th>ช่าง</th></tr></thead>
+          <tbody>${rows}${skipped}</tbody>
+        </table>
+      </div>
+      <h4 style="margin: 1rem 0 0.5rem;">ชั่วโมงงานของช่าง</h4>
+      <div class="table-container">
+        <table class="table">
+          <thead><tr><th>ช่าง</th><th>ก่อนจัด</th><th>หลังจัด</th></tr></thead>
+          <tbody>${load}</tbody>
+        </table>
+      </div>`;
+  }
+
+  async applyAutoAssign() {
+    const plan = this.autoAssignPlan;
+    if (!plan || plan.assignments.length === 0) return;
+
+    const { count, skipped } = await this.store.applyGroomerAssignments(plan.assignments);
+    this.autoAssignPlan = null;
+    this.closeModal('modal-auto-assign');
+    this.renderDashboard();
+    this.renderQueue();
+    let message = `กำหนดช่างเรียบร้อย ${count} คิว`;
+    if (skipped.length) {
+      message += `\nข้ามไป ${skipped.length} คิว:\n` + skipped.map(({ queue, groomerId, reason }) =>
+        `- ${queue.appointmentTime} #${queue.queueNumber} (${this.store.getGroomerById(groomerId)?.name || '-'}): ${reason}`).join('\n');
     }
+    alert(message);
   }
 
   // ===================================
@@ -1478,7 +2724,7 @@ class PetGroomingApp {
         const pet = this.store.getPetById(q.petId);
         return customer?.name.toLowerCase().includes(searchTerm) ||
           pet?.name.toLowerCase().includes(searchTerm) ||
-          q.queueNumber.toString().includes(searchTerm);
+          String(q.queueNumber ?? '').toLowerCase().includes(searchTerm);
       });
     }
 
@@ -1493,7 +2739,7 @@ class PetGroomingApp {
       if (b.appointmentTime) return 1;
 
       // Fallback to queue number
-      return a.queueNumber.localeCompare(b.queueNumber);
+      return QueueRules.compareQueueNumbers(a.queueNumber, b.queueNumber);
     });
 
     const queueList = document.getElementById('queue-list');
@@ -1535,7 +2781,8 @@ class PetGroomingApp {
     return pet?.type === 'dog' ? 'สุนัข' : 'แมว';
   }
 
-  createQueueCard(queue) {
+  // viewDate: the day being listed, for stays that cover several days
+  createQueueCard(queue, viewDate = null) {
     const customer = this.store.getCustomerById(queue.customerId);
     const pet = this.store.getPetById(queue.petId);
     // NEW: Use assignedGroomerId for pre-assigned groomer
@@ -1548,7 +2795,8 @@ class PetGroomingApp {
       'deposit': '💰 เก็บมัดจำแล้ว',
       'check-in': '🔍 เช็คอิน',
       'completed': '✅ เสร็จสิ้น',
-      'cancelled': '❌ ยกเลิก'
+      'cancelled': '❌ ยกเลิก',
+      'no-show': '🚫 ไม่มาตามนัด'
     };
 
     // NEW: Color scheme - orange, yellow, blue
@@ -1557,17 +2805,19 @@ class PetGroomingApp {
       'deposit': 'badge-deposit',     // Orange
       'check-in': 'badge-checkin',    // Blue
       'completed': 'badge-completed', // Dark blue
-      'cancelled': 'badge-cancelled'  // Gray
+      'cancelled': 'badge-cancelled', // Gray
+      'no-show': 'badge-noshow'       // Charcoal
     };
+    const isOpen = queue.status !== 'completed' && !QueueRules.isReleasedQueue(queue);
 
     return `
       <div class="queue-item ${queue.status}">
         <div class="queue-number">
           #${queue.queueNumber}
-          ${queue.status !== 'completed' && queue.status !== 'cancelled' ?
+          ${isOpen ?
         `<button class="btn-edit-action" onclick="app.editQueue('${queue.id}')" title="แก้ไข">📝</button>` : ''}
         </div>
-        <div class="queue-customer">${customer?.name || 'ไม่ระบุ'}</div>
+        <div class="queue-customer">${customer?.name || 'ไม่ระบุ'} ${this.renderReliabilityBadge(queue.customerId)}</div>
         <div class="queue-pet">
         ${this.getPetIcon(pet)} ${pet?.name || 'ไม่ระบุ'} 
         <span class="badge ${this.getPetBadgeClass(pet)}">${this.getPetLabel(pet)}</span>
@@ -1576,10 +2826,16 @@ class PetGroomingApp {
         <div class="queue-details">
           ${queue.appointmentTime ? `<div>📅 ${this.formatDate(queue.date)} 🕐 ${queue.appointmentTime}${queue.estimatedEndTime ? ` - ${queue.estimatedEndTime}` : ''}</div>` : `<div>📅 ${this.formatDate(queue.date)}</div>`}
           <div>บริการ: ${queue.serviceType.join(', ')}${queue.duration ? ` (${queue.duration} นาที)` : ''}</div>
+          ${this.renderStayInfo(queue, viewDate)}
+          ${this.renderRecurrenceInfo(queue)}
           ${groomer ? `<div>ช่าง: ${groomer.name}</div>` : ''}
           ${queue.checkInWeight ? `<div>น้ำหนัก: ${queue.checkInWeight} กก.</div>` : ''}
+          ${QueueRules.isLateArrival(queue, this.store.data.settings) ? `<div><span class="badge badge-late">⏰ มาสาย ${queue.lateMinutes} นาที</span></div>` : ''}
         ${queue.depositAmount ? `<div style="color: var(--warning); font-weight: 600;">💰 มัดจำ: ${queue.depositAmount} บาท</div>` : '<div style="color: var(--warning); font-weight: 600;">💰 มัดจำ: ไม่มี</div>'}
-        ${queue.isTransportIncluded ? '<div style="color: var(--primary); font-weight: 600;">🚗 บริการรับ-ส่ง</div>' : ''}
+        ${queue.depositStatus === 'pending' ? '<div><span class="badge badge-booking">⏳ รอยืนยันการโอนมัดจำ</span></div>' : ''}
+        ${queue.paymentStatus === 'pending' ? '<div><span class="badge badge-booking">⏳ รอยืนยันการชำระเงิน</span></div>' : ''}
+        ${this.renderBalanceBadge(queue)}
+        ${queue.isTransportIncluded ? `<div style="color: var(--primary); font-weight: 600;">🚗 บริการรับ-ส่ง${QueueRules.describeTransport(queue) ? `: ${QueueRules.describeTransport(queue)}` : ''}</div>` : ''}
           ${queue.priority ? '<div style="color: var(--error); font-weight: 600;">⚡ คิวด่วน</div>' : ''}
           ${queue.notes ? `<div style="color: var(--error); font-size: 0.9em;">📝 หมายเหตุ: ${queue.notes}</div>` : ''}
           <div>สถานะ: <span class="badge ${statusBadgeMap[queue.status]}">
@@ -1592,11 +2848,25 @@ class PetGroomingApp {
         <div class="queue-actions">
           ${queue.status === 'booking' ?
         `<button class="btn btn-sm btn-warning" onclick="app.showDepositModal('${queue.id}')">💰 ยืนยันมัดจำ</button>` : ''}
+          ${queue.depositStatus === 'pending' && !QueueRules.isReleasedQueue(queue) ?
+        `<button class="btn btn-sm btn-secondary" onclick="app.showPaymentQR('${queue.id}', 'deposit')">📱 QR มัดจำ</button>
+           <button class="btn btn-sm btn-success" onclick="app.confirmDeposit('${queue.id}')">✔️ ยืนยันรับโอนมัดจำ</button>` : ''}
+          ${queue.paymentStatus === 'pending' ?
+        `<button class="btn btn-sm btn-secondary" onclick="app.showPaymentQR('${queue.id}', 'payment')">📱 QR ชำระเงิน</button>
+           <button class="btn btn-sm btn-success" onclick="app.confirmPayment('${queue.id}')">✔️ ยืนยันรับชำระ</button>` : ''}
+          ${QueueRules.isBoardingQueue(queue) && queue.status === 'check-in' ?
+        `<button class="btn btn-sm btn-info" onclick="app.showCareLog('${queue.id}'${viewDate ? `, '${viewDate}'` : ''})">🍽️ บันทึกดูแล</button>` : ''}
+          ${queue.status !== 'booking' || this.getQueuePaidAmount(queue) ?
+        `<button class="btn btn-sm btn-secondary" onclick="app.showPaymentsModal('${queue.id}')">💳 การชำระเงิน</button>` : ''}
           ${queue.status === 'deposit' ?
         `<button class="btn btn-sm btn-info" onclick="app.showCheckInModal('${queue.id}')">🔍 เช็คอิน</button>` : ''}
           ${queue.status === 'check-in' ?
         `<button class="btn btn-sm btn-success" onclick="app.showCompletionModal('${queue.id}')">✅ ปิดงาน</button>` : ''}
-          ${queue.status !== 'completed' && queue.status !== 'cancelled' ?
+          ${QueueRules.canMarkNoShow(queue) ?
+        `<button class="btn btn-sm btn-secondary" onclick="app.markNoShow('${queue.id}')">🚫 ไม่มา</button>` : ''}
+          ${queue.status === 'no-show' ?
+        `<button class="btn btn-sm btn-secondary" onclick="app.undoNoShow('${queue.id}')">↩️ ยกเลิกสถานะไม่มา</button>` : ''}
+          ${isOpen ?
         `<button class="btn btn-sm btn-danger" onclick="app.cancelQueue('${queue.id}')">ยกเลิก</button>` : ''}
         </div>
       </div>
@@ -1609,18 +2879,89 @@ class PetGroomingApp {
     this.renderDashboard();
   }
 
-  cancelQueue(id) {
+  async cancelQueue(id) {
     if (confirm('คุณแน่ใจหรือไม่ที่จะยกเลิกคิวนี้?')) {
-      this.store.updateQueue(id, { status: 'cancelled' });
+      const queue = this.store.getQueueById(id);
+      const upcoming = this.store.getUpcomingSeriesQueues(queue);
+      const cancelSeries = upcoming.length > 0 &&
+        confirm(`คิวนี้เป็นคิวประจำ ต้องการยกเลิกนัดครั้งถัดไปในชุดนี้ด้วยหรือไม่? (${upcoming.length} คิว)\n\nตกลง = ยกเลิกทั้งชุด, ยกเลิก = เฉพาะคิวนี้`);
+
+      await this.store.updateQueue(id, { status: 'cancelled' });
+      if (cancelSeries) await this.store.cancelSeriesQueues(queue);
       this.renderQueue();
       this.renderDashboard();
+
+      // Money already taken for a cancelled queue: record the refund (or leave it as a forfeited deposit)
+      const paid = this.getQueuePaidAmount(this.store.getQueueById(id));
+      if (paid > 0 && confirm(`คิวนี้ชำระแล้ว ${paid.toLocaleString()} บาท ต้องการบันทึกการคืนเงินหรือไม่?`)) {
+        await this.showPaymentsModal(id, { type: 'refund', amount: paid, note: 'ยกเลิกคิว' });
+      }
+    }
+  }
+
+  // Customer never arrived: the slot is released and what they paid is kept (see getQueueAmountDue)
+  async markNoShow(id) {
+    const queue = this.store.getQueueById(id);
+    if (!QueueRules.canMarkNoShow(queue)) {
+      alert('ยังไม่ถึงเวลานัด บันทึกว่าไม่มาตามนัดได้หลังเลยเวลานัดแล้วเท่านั้น');
+      return;
+    }
+    const customer = this.store.getCustomerById(queue.customerId);
+    if (!confirm(`บันทึกว่า ${customer?.name || 'ลูกค้า'} ไม่มาตามนัดคิว #${queue.queueNumber}?`)) return;
+
+    if (!await this.store.updateQueue(id, { status: 'no-show' })) return;
+    this.renderQueue();
+    this.renderDashboard();
+
+    const reliability = this.store.getCustomerReliability(queue.customerId);
+    if (reliability.requireDeposit) {
+      alert(`ลูกค้ารายนี้ไม่มาตามนัดแล้ว ${reliability.noShows} ครั้ง ครั้งต่อไปควรเก็บมัดจำก่อนยืนยันคิว`);
+    }
+  }
+
+  // Marked as a no-show by mistake: back to the status it had before
+  async undoNoShow(id) {
+    const queue = this.store.getQueueById(id);
+    if (!confirm('ยกเลิกสถานะ "ไม่มาตามนัด" ของคิวนี้?')) return;
+
+    // The slot may have been given away since the no-show: the groomer can't be booked twice
+    const held = QueueRules.getHeldRange(queue, this.store.data.settings);
+    if (queue.assignedGroomerId && held) {
+      const clash = this.store.getGroomerBookingConflict(queue.assignedGroomerId, queue.date, held.start, held.end, id);
+      if (clash) {
+        alert(`ช่าง ${this.store.getGroomerById(queue.assignedGroomerId)?.name || ''} มีคิว #${clash.queueNumber} ในช่วงเวลานี้แล้ว (${clash.appointmentTime}-${clash.estimatedEndTime || ''})\nกรุณาย้ายเวลาหรือเปลี่ยนช่างก่อนคืนสถานะคิว`);
+        return;
+      }
     }
+    const reason = this.store.getBookingClash(queue, id);
+    if (reason && !confirm(`${reason} ในช่วงเวลานัดของคิวนี้\nต้องการคืนสถานะคิวต่อหรือไม่?`)) return;
+
+    await this.store.updateQueue(id, { status: queue.depositAt ? 'deposit' : 'booking' });
+    this.renderQueue();
+    this.renderDashboard();
   }
 
   // ===================================
   // CUSTOMER RENDERING
   // ===================================
 
+  // Small badge from the customer's no-show / late counts; nothing for customers with no history yet
+  renderReliabilityBadge(customerId) {
+    const reliability = this.store.getCustomerReliability(customerId);
+    if (reliability.level === 'new') return '';
+    const icons = { good: '👍', watch: '⚠️', risk: '🚫' };
+    const detail = `มาตามนัด ${reliability.score}% · ไม่มา ${reliability.noShows} ครั้ง · มาสาย ${reliability.lates} ครั้ง`;
+    return `<span class="badge badge-reliability-${reliability.level}" title="${detail}">${icons[reliability.level]} ${reliability.label}</span>`;
+  }
+
+  // Badge plus the deposit reminder, for the customer picked in the booking form
+  renderReliabilityNotice(customerId) {
+    const reliability = this.store.getCustomerReliability(customerId);
+    if (!reliability.requireDeposit) return this.renderReliabilityBadge(customerId);
+    return `${this.renderReliabilityBadge(customerId)}
+      <div class="reliability-deposit-warning">ไม่มาตามนัด ${reliability.noShows} ครั้ง — ต้องเก็บมัดจำก่อนยืนยันคิว</div>`;
+  }
+
   renderCustomers() {
     const searchTerm = document.getElementById('customer-search')?.value.toLowerCase() || '';
     let customers = this.store.getCustomers();
@@ -1659,6 +3000,7 @@ class PetGroomingApp {
               <a href="#" onclick="app.showCustomerHistory('${c.id}'); return false;" style="font-weight: 600; text-decoration: none; color: var(--primary-color);">
                 ${c.name}
               </a>
+              ${this.renderReliabilityBadge(c.id)}
             </td>
             <td>${c.phone}</td>
             <td>${c.email || '-'}</td>
@@ -1776,6 +3118,7 @@ class PetGroomingApp {
             </td>
             <td class="table-actions">
               <button class="btn btn-sm btn-info" onclick="app.editGroomer('${g.id}')">แก้ไข</button>
+              <button class="btn btn-sm btn-secondary" onclick="app.showGroomerRoster('${g.id}')">🗓️ ตารางงาน</button>
               <button class="btn btn-sm btn-danger" onclick="app.deleteGroomer('${g.id}')">ลบ</button>
             </td>
           </tr>
@@ -1784,6 +3127,228 @@ class PetGroomingApp {
     }
   }
 
+  // ===================================
+  // GROOMER ROSTER
+  // ===================================
+
+  // Weekly template and leave for one groomer
+  showGroomerRoster(groomerId) {
+    const groomer = this.store.getGroomerById(groomerId);
+    if (!groomer) return;
+    this.rosterGroomerId = groomerId;
+    document.getElementById('roster-title').textContent = `ตารางงาน: ${groomer.name}`;
+
+    const dayNames = ['อาทิตย์', 'จันทร์', 'อังคาร', 'พุธ', 'พฤหัสบดี', 'ศุกร์', 'เสาร์'];
+    const hours = this.store.data.settings.defaultWorkingHours;
+    document.getElementById('roster-week-tbody').innerHTML = dayNames.map((dayName, day) => {
+      const template = groomer.weeklySchedule?.[day] || {};
+      return `
+        <tr data-day="${day}">
+          <td>${dayName}</td>
+          <td><input type="checkbox" data-field="working" ${template.off ? '' : 'checked'}></td>
+          <td><input type="time" class="form-input" data-field="start" value="${template.start || hours.start}"></td>
+          <td><input type="time" class="form-input" data-field="end" value="${template.end || hours.end}"></td>
+          <td><input type="time" class="form-input" data-field="breakStart" value="${template.breakStart || ''}"></td>
+          <td><input type="time" class="form-input" data-field="breakEnd" value="${template.breakEnd || ''}"></td>
+        </tr>`;
+    }).join('');
+
+    ['roster-leave-from', 'roster-leave-to', 'roster-leave-note'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    this.renderGroomerLeaveList();
+    this.openModal('modal-roster');
+  }
+
+  // Checks a working day's hours and break; returns an error message or null
+  validateRosterHours({ start, end, breakStart, breakEnd }) {
+    if (!start || !end || end <= start) return 'เวลาเลิกงานต้องหลังเวลาเข้างาน';
+    if (!!breakStart !== !!breakEnd) return 'กรุณาระบุเวลาพักให้ครบ';
+    if (breakStart && (breakEnd <= breakStart || breakStart < start || breakEnd > end)) {
+      return 'เวลาพักต้องอยู่ในช่วงเวลาทำงาน';
+    }
+    return null;
+  }
+
+  async saveWeeklySchedule() {
+    const weeklySchedule = [];
+    for (const row of document.querySelectorAll('#roster-week-tbody tr')) {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`);
+      const day = {
+        off: !field('working').checked,
+        start: field('start').value,
+        end: field('end').value,
+        breakStart: field('breakStart').value,
+        breakEnd: field('breakEnd').value
+      };
+      const error = day.off ? null : this.validateRosterHours(day);
+      if (error) {
+        alert(`${row.cells[0].textContent}: ${error}`);
+        return;
+      }
+      weeklySchedule.push(day);
+    }
+
+    const updated = await this.store.updateGroomer(this.rosterGroomerId, { weeklySchedule });
+    if (!updated) return;
+    this.closeModal('modal-roster');
+    this.renderDashboard();
+    alert('บันทึกตารางประจำเรียบร้อย (วันที่แก้ไขเป็นรายวันไว้แล้วจะไม่เปลี่ยน)');
+  }
+
+  // Upcoming days the groomer is on leave
+  renderGroomerLeaveList() {
+    const today = this.getTodayString();
+    const leaves = this.store.data.dailySchedules
+      .filter(s => s.date >= today)
+      .map(s => ({ date: s.date, entry: s.groomers.find(g => g.groomerId === this.rosterGroomerId) }))
+      .filter(l => l.entry && l.entry.status === 'leave')
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    document.getElementById('roster-leave-list').innerHTML = leaves.length
+      ? leaves.map(l => `
+          <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.25rem 0;">
+            <span>🏖️ ${this.formatDate(l.date)}${l.entry.note ? ` - ${l.entry.note}` : ''}</span>
+            <button type="button" class="btn btn-sm btn-danger" onclick="app.cancelGroomerLeave('${l.date}')">ยกเลิกวันลา</button>
+          </div>`).join('')
+      : '<p class="text-muted">ไม่มีวันลาที่กำลังจะถึง</p>';
+  }
+
+  // Change one groomer's entry on a date (the other groomers are left as they are)
+  async setGroomerRosterEntry(date, groomerId, changes) {
+    const current = this.store.getDailySchedule(date)?.groomers.find(g => g.groomerId === groomerId);
+    return this.store.setGroomerDaySchedule(date, groomerId, { ...current, ...changes });
+  }
+
+  async saveGroomerLeave() {
+    const from = document.getElementById('roster-leave-from').value;
+    const to = document.getElementById('roster-leave-to').value || from;
+    const note = document.getElementById('roster-leave-note').value.trim() || 'ลางาน';
+    if (!from || to < from) {
+      alert('กรุณาระบุวันลาให้ถูกต้อง');
+      return;
+    }
+
+    const affected = [];
+    for (let date = from; date <= to; date = QueueRules.addDays(date, 1)) {
+      if (!await this.setGroomerRosterEntry(date, this.rosterGroomerId, { status: 'leave', note })) return;
+      affected.push(...this.getRosterConflicts(date));
+    }
+
+    this.renderGroomerLeaveList();
+    this.renderDashboard();
+    this.alertRosterConflicts(affected);
+  }
+
+  async cancelGroomerLeave(date) {
+    const groomer = this.store.getGroomerById(this.rosterGroomerId);
+    if (!groomer) return;
+    // Back to the weekly template for that day (drops the groomer's override)
+    const entry = QueueRules.getTemplateEntry(groomer, date, this.store.data.settings);
+    await this.setGroomerRosterEntry(date, this.rosterGroomerId, entry);
+    this.renderGroomerLeaveList();
+    this.renderDashboard();
+  }
+
+  // Bookings on a date whose groomer is no longer on duty for the booked time
+  getRosterConflicts(date) {
+    const schedule = this.store.getDailySchedule(date);
+    return this.store.getQueueByDate(date).filter(q => {
+      if (!q.assignedGroomerId || !q.appointmentTime || QueueRules.isReleasedQueue(q) || q.status === 'completed') return false;
+      const entry = schedule?.groomers.find(g => g.groomerId === q.assignedGroomerId);
+      const start = this.store.timeToMinutes(q.appointmentTime);
+      return !QueueRules.isOnDuty(entry, start, start + (q.duration || 60));
+    });
+  }
+
+  alertRosterConflicts(queues) {
+    if (queues.length === 0) return;
+    const lines = queues.map(q => {
+      const pet = this.store.getPetById(q.petId);
+      return `- ${this.formatDate(q.date)} ${q.appointmentTime} #${q.queueNumber} ${pet?.name || ''} (${this.store.getGroomerById(q.assignedGroomerId)?.name || ''})`;
+    });
+    alert(`⚠️ มีคิวที่ช่างไม่อยู่ในเวลางาน ${queues.length} คิว กรุณาย้ายเวลาหรือเปลี่ยนช่าง:\n${lines.join('\n')}`);
+  }
+
+  // One day's roster for every groomer (one-off hours, breaks, leave)
+  showDayRoster(date = null) {
+    document.getElementById('day-roster-date').value = date || this.selectedDashboardDate || this.getTodayString();
+    this.renderDayRoster();
+    this.openModal('modal-day-roster');
+  }
+
+  renderDayRoster() {
+    const date = document.getElementById('day-roster-date').value;
+    if (!date) return;
+    const schedule = this.store.getDailySchedule(date);
+    const stored = this.store.data.dailySchedules.find(s => s.date === date);
+    const isOverride = !!stored;
+    // Leave and single-groomer edits override only that groomer; the rest follow their template
+    const editedNames = stored ? stored.groomers.map(g => this.store.getGroomerById(g.groomerId)?.name || g.name) : [];
+
+    document.getElementById('day-roster-info').textContent = isOverride
+      ? `แก้ไขเป็นรายวัน: ${editedNames.join(', ')} (ช่างคนอื่นใช้ตามตารางประจำ)`
+      : 'ตามตารางประจำสัปดาห์';
+    document.getElementById('day-roster-reset-btn').classList.toggle('hidden', !isOverride);
+
+    const statusOptions = { available: 'ทำงาน', off: 'วันหยุด', leave: 'ลางาน' };
+    const entries = schedule ? schedule.groomers : [];
+    document.getElementById('day-roster-tbody').innerHTML = entries.length
+      ? entries.map(g => `
+        <tr data-groomer-id="${g.groomerId}">
+          <td>${this.store.getGroomerById(g.groomerId)?.name || g.name}</td>
+          <td>
+            <select class="form-select" data-field="status">
+              ${Object.entries(statusOptions).map(([value, label]) =>
+          `<option value="${value}" ${(g.status || 'available') === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </td>
+          <td><input type="time" class="form-input" data-field="start" value="${g.workingHours?.start || ''}"></td>
+          <td><input type="time" class="form-input" data-field="end" value="${g.workingHours?.end || ''}"></td>
+          <td><input type="time" class="form-input" data-field="breakStart" value="${g.breaks?.[0]?.start || ''}"></td>
+          <td><input type="time" class="form-input" data-field="breakEnd" value="${g.breaks?.[0]?.end || ''}"></td>
+          <td><input type="text" class="form-input" data-field="note" value="${g.note || ''}"></td>
+        </tr>`).join('')
+      : '<tr><td colspan="7" style="text-align: center; color: var(--text-gray);">ยังไม่มีช่างที่ทำงานอยู่</td></tr>';
+  }
+
+  async saveDayRoster() {
+    const date = document.getElementById('day-roster-date').value;
+    const groomers = [];
+    for (const row of document.querySelectorAll('#day-roster-tbody tr[data-groomer-id]')) {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+      const hours = { start: field('start'), end: field('end'), breakStart: field('breakStart'), breakEnd: field('breakEnd') };
+      const status = field('status');
+      const error = status === 'available' ? this.validateRosterHours(hours) : null;
+      if (error) {
+        alert(`${row.cells[0].textContent}: ${error}`);
+        return;
+      }
+      groomers.push({
+        groomerId: row.dataset.groomerId,
+        workingHours: { start: hours.start, end: hours.end },
+        breaks: hours.breakStart ? [{ start: hours.breakStart, end: hours.breakEnd }] : [],
+        status,
+        note: field('note').trim()
+      });
+    }
+
+    if (!date || groomers.length === 0) return;
+    if (!await this.store.setDailySchedule(date, groomers)) return;
+    this.renderDayRoster();
+    this.renderDashboard();
+    this.alertRosterConflicts(this.getRosterConflicts(date));
+  }
+
+  async resetDayRoster() {
+    const date = document.getElementById('day-roster-date').value;
+    if (!confirm(`ใช้ตารางประจำสัปดาห์สำหรับวันที่ ${this.formatDate(date)} หรือไม่?`)) return;
+    if (!await this.store.clearDailySchedule(date)) return;
+    this.renderDayRoster();
+    this.renderDashboard();
+    this.alertRosterConflicts(this.getRosterConflicts(date));
+  }
+
   // ===================================
   // SERVICE RECORDS RENDERING
   // ===================================
@@ -1958,14 +3523,16 @@ class PetGroomingApp {
           'deposit': '💰 เก็บมัดจำแล้ว',
           'check-in': '🔍 เช็คอิน',
           'completed': '✅ เสร็จสิ้น',
-          'cancelled': '❌ ยกเลิก'
+          'cancelled': '❌ ยกเลิก',
+          'no-show': '🚫 ไม่มาตามนัด'
         };
         const statusBadgeMap = {
           'booking': 'badge-booking',
           'deposit': 'badge-deposit',
           'check-in': 'badge-checkin',
           'completed': 'badge-completed',
-          'cancelled': 'badge-cancelled'
+          'cancelled': 'badge-cancelled',
+          'no-show': 'badge-noshow'
         };
         let statusBadge = statusMap[r.status] ?
           `<span class="badge ${statusBadgeMap[r.status]}">${statusMap[r.status]}</span>` :
@@ -2025,7 +3592,8 @@ class PetGroomingApp {
       'deposit': '💰 เก็บมัดจำแล้ว',
       'check-in': '🔍 เช็คอิน',
       'completed': '✅ เสร็จสิ้น',
-      'cancelled': '❌ ยกเลิก'
+      'cancelled': '❌ ยกเลิก',
+      'no-show': '🚫 ไม่มาตามนัด'
     };
 
     const currentStatus = record.status || (this.store.getServiceRecordById(recordId) ? 'completed' : 'unknown');
@@ -2081,6 +3649,14 @@ class PetGroomingApp {
       imageSection.style.display = 'none';
     }
 
+    // Reprint the receipt issued at completion
+    const receiptBtn = document.getElementById('service-details-receipt-btn');
+    if (receiptBtn) {
+      const receipt = record.receipt || (record.queueId ? this.store.getQueueById(record.queueId)?.receipt : null);
+      receiptBtn.style.display = receipt ? 'inline-flex' : 'none';
+      receiptBtn.onclick = () => this.showReceipt(receipt);
+    }
+
     this.openModal('modal-service-details');
   }
 
@@ -2267,6 +3843,7 @@ class PetGroomingApp {
     document.getElementById('customer-id').value = '';
     document.getElementById('modal-customer-title').textContent = 'เพิ่มลูกค้าใหม่';
     document.getElementById('form-customer').reset();
+    this.populateTransportZoneSelect('customer-transport-zone');
     this.openModal('modal-customer');
   }
 
@@ -2290,6 +3867,8 @@ class PetGroomingApp {
   showAddQueueModal() {
     this.editingQueueId = null;
     document.getElementById('form-queue').reset();
+    this.renderServiceCheckboxes();
+    this.updateQueueQuote();
     this.clearCustomerSelection(); // Fix: Clear previous customer selection
     this.populateCustomerDropdown('queue-customer');
     this.populateGroomerDropdown();
@@ -2409,7 +3988,7 @@ class PetGroomingApp {
     results.forEach(customer => {
       html += `
         <div class="search-result-item" data-customer-id="${customer.id}">
-          <div class="search-result-name">${customer.name}</div>
+          <div class="search-result-name">${customer.name} ${this.renderReliabilityBadge(customer.id)}</div>
           <div class="search-result-phone">${customer.phone}</div>
         </div>
       `;
@@ -2439,6 +4018,7 @@ class PetGroomingApp {
     const selectedCard = document.getElementById('selected-customer-card');
     const nameEl = document.getElementById('selected-customer-name');
     const phoneEl = document.getElementById('selected-customer-phone');
+    const reliabilityEl = document.getElementById('selected-customer-reliability');
 
     // Set customer dropdown value
     customerSelect.value = customerId;
@@ -2449,6 +4029,7 @@ class PetGroomingApp {
       // Update Card UI
       nameEl.textContent = customer.name;
       phoneEl.textContent = customer.phone;
+      if (reliabilityEl) reliabilityEl.innerHTML = this.renderReliabilityNotice(customer.id);
 
       // Switch to Selected Mode
       if (selectionContainer && selectedCard) {
@@ -2465,6 +4046,7 @@ class PetGroomingApp {
 
     // Trigger to load pets
     this.loadPetsByCustomer();
+    this.updateTransportSection();
   }
 
   // Clear customer selection
@@ -2530,7 +4112,9 @@ class PetGroomingApp {
       socialName: document.getElementById('customer-social-name').value,
       phone: document.getElementById('customer-phone').value,
       email: document.getElementById('customer-email').value,
-      address: document.getElementById('customer-address').value
+      address: document.getElementById('customer-address').value,
+      mapUrl: document.getElementById('customer-map-url').value.trim(),
+      transportZoneId: document.getElementById('customer-transport-zone').value
     };
 
     if (!customerData.name || !customerData.phone) {
@@ -2644,6 +4228,7 @@ class PetGroomingApp {
     else if (record.status === 'in_progress') statusBadge = '<span class="badge badge-inprogress">กำลังทำ</span>';
     else if (record.status === 'completed') statusBadge = '<span class="badge badge-completed">เสร็จสิ้น</span>';
     else if (record.status === 'cancelled') statusBadge = '<span class="badge badge-cancelled">ยกเลิก</span>';
+    else if (record.status === 'no-show') statusBadge = '<span class="badge badge-noshow">ไม่มาตามนัด</span>';
     else statusBadge = `<span class="badge">${record.status}</span>`;
 
     // Time Formatting
@@ -2751,6 +4336,8 @@ class PetGroomingApp {
     document.getElementById('customer-phone').value = customer.phone;
     document.getElementById('customer-email').value = customer.email || '';
     document.getElementById('customer-address').value = customer.address || '';
+    document.getElementById('customer-map-url').value = customer.mapUrl || '';
+    this.populateTransportZoneSelect('customer-transport-zone', customer.transportZoneId);
     document.getElementById('modal-customer-title').textContent = 'แก้ไขข้อมูลลูกค้า';
 
     this.openModal('modal-customer');
@@ -2776,6 +4363,8 @@ class PetGroomingApp {
       type: document.getElementById('pet-type').value,
       breed: document.getElementById('pet-breed').value,
       weight: parseFloat(document.getElementById('pet-weight').value) || null,
+      coatLength: document.getElementById('pet-coat-length').value,
+      isLargeBreed: document.getElementById('pet-large-breed').checked,
       color: document.getElementById('pet-color').value,
       birthDate: document.getElementById('pet-birthdate').value,
       notes: document.getElementById('pet-notes').value
@@ -2808,6 +4397,8 @@ class PetGroomingApp {
     document.getElementById('pet-type').value = pet.type;
     document.getElementById('pet-breed').value = pet.breed || '';
     document.getElementById('pet-weight').value = pet.weight || '';
+    document.getElementById('pet-coat-length').value = pet.coatLength || 'short';
+    document.getElementById('pet-large-breed').checked = !!pet.isLargeBreed;
     document.getElementById('pet-color').value = pet.color || '';
     document.getElementById('pet-birthdate').value = pet.birthDate || '';
     document.getElementById('pet-notes').value = pet.notes || '';
@@ -2963,6 +4554,7 @@ class PetGroomingApp {
       experienceLevel: document.getElementById('groomer-level').value,
       isActive: document.getElementById('groomer-active').value === 'true',
       hireDate: document.getElementById('groomer-hiredate').value,
+      calendarId: document.getElementById('groomer-calendar-id').value.trim(),
       notes: document.getElementById('groomer-notes').value
     };
 
@@ -3000,6 +4592,7 @@ class PetGroomingApp {
     document.getElementById('groomer-level').value = groomer.experienceLevel;
     document.getElementById('groomer-active').value = groomer.isActive.toString();
     document.getElementById('groomer-hiredate').value = groomer.hireDate || '';
+    document.getElementById('groomer-calendar-id').value = groomer.calendarId || '';
     document.getElementById('groomer-notes').value = groomer.notes || '';
     document.getElementById('modal-groomer-title').textContent = 'แก้ไขข้อมูลช่าง';
 
@@ -3058,15 +4651,21 @@ class PetGroomingApp {
     document.getElementById('queue-notes').value = queue.notes || '';
     document.getElementById('queue-priority').checked = !!queue.priority;
     document.getElementById('queue-transport').checked = !!queue.isTransportIncluded;
+    this.updateTransportSection(queue.isTransportIncluded ? queue.transport : null);
 
     // Set services (checkboxes)
     const services = queue.serviceType || [];
+    this.renderServiceCheckboxes();
+    this.renderAddonCheckboxes('queue-addons-container', 'service-addon', this.store.getPetById(queue.petId)?.type);
+    this.appendMissingServiceCheckboxes('modal-queue', 'queue-addons-container', 'service-addon', services);
     document.querySelectorAll('input[name="service-type"]').forEach(cb => {
       cb.checked = services.includes(cb.value);
     });
     document.querySelectorAll('input[name="service-addon"]').forEach(cb => {
       cb.checked = services.includes(cb.value);
     });
+    document.getElementById('queue-checkout-date').value = queue.boarding?.checkOutDate || '';
+    this.updateBoardingSection(queue.boarding?.kennelId);
 
     // CRITICAL: Set the time slot value BEFORE calling updateTimeSlots
     const timeSlotInput = document.getElementById('queue-time-slot');
@@ -3074,6 +4673,7 @@ class PetGroomingApp {
 
     // Populate time slot buttons
     this.updateTimeSlots();
+    this.updateQueueQuote();
 
     // Highlight the selected time slot button (Fixing typo from .time-slot-btn to .time-slot-button)
     setTimeout(() => {
@@ -3120,10 +4720,10 @@ class PetGroomingApp {
     const notes = document.getElementById('queue-notes').value;
     console.log('[DEBUG] saveQueue collected form data');
 
-    // Calculate duration based ONLY on main services (as requested)
+    // Calculate duration based ONLY on main services (as requested), learned from similar past jobs when possible
     let duration = 60;
     try {
-      duration = this.store.calculateServiceDuration(serviceTypes);
+      duration = this.store.estimateServiceDuration(serviceTypes, petId, { groomerId }).minutes;
     } catch (e) {
       console.error('Error calculating duration:', e);
       duration = 60; // Fallback
@@ -3144,14 +4744,137 @@ class PetGroomingApp {
         return;
       }
 
+      // A booking already on a day that was closed later can still be edited until it is moved
+      const closure = this.store.getClosure(selectedDate);
+      const originalDate = this.editingQueueId ? this.store.getQueueById(this.editingQueueId)?.date : null;
+      if (closure && selectedDate !== originalDate) {
+        alert(`ร้านปิดวันที่ ${this.formatDate(selectedDate)} (${closure.reason}) กรุณาเลือกวันอื่น`);
+        return;
+      }
+
+      // Boarding stay: check-out date and a kennel that is free every night
+      let boarding = null;
+      if (serviceTypes.includes(Pricing.BOARDING_SERVICE)) {
+        const checkOutDate = document.getElementById('queue-checkout-date').value;
+        const kennelId = document.getElementById('queue-kennel').value;
+        if (!checkOutDate || checkOutDate <= selectedDate) {
+          alert('กรุณาเลือกวันรับกลับ (หลังวันเข้าพัก)');
+          return;
+        }
+        const checkOutClosure = this.store.getClosure(checkOutDate);
+        if (checkOutClosure) {
+          alert(`ร้านปิดวันรับกลับ (${checkOutClosure.reason}) กรุณาเลือกวันอื่น`);
+          return;
+        }
+        if (!kennelId) {
+          alert('กรุณาเลือกห้องพัก');
+          return;
+        }
+        if (!this.store.getFreeKennels(selectedDate, checkOutDate, this.editingQueueId).some(k => k.id === kennelId)) {
+          alert('ห้องพักนี้ถูกจองแล้วในช่วงวันที่เลือก กรุณาเลือกห้องอื่น');
+          return;
+        }
+        const existing = this.editingQueueId ? this.store.getQueueById(this.editingQueueId)?.boarding : null;
+        boarding = {
+          checkOutDate,
+          nights: QueueRules.countNights(selectedDate, checkOutDate),
+          kennelId,
+          nightlyRate: this.store.data.settings.boarding.nightlyRate,
+          careLog: existing?.careLog || {}
+        };
+      }
+
+      // Recurring series (new bookings only)
+      const recurrence = this.editingQueueId ? null : this.readRecurrenceForm();
+      if (recurrence) {
+        if (!(recurrence.intervalWeeks >= 1 && recurrence.intervalWeeks <= 26)) {
+          alert('กรุณาระบุความถี่คิวประจำ (1-26 สัปดาห์)');
+          return;
+        }
+        if (recurrence.endDate && recurrence.endDate <= selectedDate) {
+          alert('วันสิ้นสุดคิวประจำต้องอยู่หลังวันนัดแรก');
+          return;
+        }
+        if (boarding) {
+          alert('บริการฝากเลี้ยงไม่สามารถตั้งเป็นคิวประจำได้');
+          return;
+        }
+      }
+
       let endTime = null;
       if (selectedTimeSlot) {
         endTime = this.calculateEndTime(selectedTimeSlot, duration);
       }
 
+      let transport = null;
+      if (transportIncluded) {
+        transport = this.readTransportForm();
+        if (!transport.address) {
+          alert('กรุณากรอกที่อยู่รับ-ส่ง');
+          return;
+        }
+        if (!transport.zoneId) {
+          alert('กรุณาเลือกโซนค่ารับ-ส่ง');
+          return;
+        }
+        const returnTimeError = transport.returnTime && QueueRules.hasPickup({ isTransportIncluded: true, transport }) &&
+          transport.pickupTime && transport.returnTime <= transport.pickupTime && !boarding;
+        if (returnTimeError) {
+          alert('เวลาส่งกลับต้องหลังเวลารับ');
+          return;
+        }
+      }
+
       // Use manually selected groomer if any
       let assignedGroomerId = groomerId || null;
 
+      // A groomer picked by hand who can't take the job (pet type, bath-only for a cut) needs confirming
+      const skillIssue = assignedGroomerId
+        ? this.store.getGroomerSkillIssue(assignedGroomerId, this.store.getJob(petId, allServices))
+        : null;
+      if (skillIssue && !confirm(`⚠️ ช่าง ${this.store.getGroomerById(assignedGroomerId)?.name || ''} ไม่เหมาะกับงานนี้: ${skillIssue}\nต้องการบันทึกต่อหรือไม่?`)) {
+        return;
+      }
+
+      if (selectedTimeSlot) {
+        const [h, m] = selectedTimeSlot.split(':').map(Number);
+        const startMinutes = h * 60 + m;
+        const endMinutes = startMinutes + duration;
+
+        if (assignedGroomerId) {
+          const groomerName = this.store.getGroomerById(assignedGroomerId)?.name || '';
+
+          // Block double-booking the same groomer
+          const heldUntil = endMinutes + this.store.getBufferMinutes(allServices);
+          const clash = this.store.getGroomerBookingConflict(assignedGroomerId, selectedDate, startMinutes, heldUntil, this.editingQueueId);
+          if (clash) {
+            alert(`ช่าง ${groomerName} มีคิวอื่นในช่วงเวลานี้แล้ว (${clash.appointmentTime}-${clash.estimatedEndTime || ''})\nกรุณาเลือกเวลาหรือช่างใหม่`);
+            return;
+          }
+
+          // Warn if the groomer has a personal event (leave, doctor visit) on their calendar
+          const busy = this.store.getGroomerBusyConflict(assignedGroomerId, selectedDate, startMinutes, endMinutes);
+          if (busy) {
+            if (!confirm(`ช่าง ${groomerName} ไม่ว่างในช่วงเวลานี้ (${busy.summary || 'ธุระส่วนตัว'})\nต้องการบันทึกต่อหรือไม่?`)) {
+              return;
+            }
+          }
+        } else {
+          // Unassigned booking: warn when every groomer is already taken
+          const slot = this.store.getSlotAvailability(selectedDate, duration, this.editingQueueId, this.store.getJob(petId, allServices))
+            .find(s => s.time === selectedTimeSlot);
+          if (!slot || !slot.available) {
+            if (!confirm('ไม่มีช่างว่างในช่วงเวลานี้ การจองจะซ้อนกับคิวอื่น\nต้องการบันทึกต่อหรือไม่?')) {
+              return;
+            }
+          }
+        }
+      }
+
+      // Price quoted to the customer at booking (re-quoted with the real weight at check-in)
+      const quote = this.store.getQuote(petId, allServices, null,
+        QueueRules.getQuoteOptions({ boarding, isTransportIncluded: !!transport, transport }));
+
       // Construct queue data - REMOVED generateQueueNumber to let DataStore handle it
       const queueData = {
         customerId,
@@ -3172,12 +4895,21 @@ class PetGroomingApp {
         bookerName: bookerName || '-', // Added bookerName
         appointmentTime: selectedTimeSlot,
         estimatedEndTime: endTime,
-        duration: duration
+        duration: duration,
+        quotedPrice: quote.total,
+        priceItems: quote.items,
+        boarding,
+        transport
       };
+      if (recurrence) {
+        queueData.recurrence = { ...recurrence, seriesId: this.store.createSeriesId(), index: 0 };
+      }
 
       console.log('Sending to DataStore:', queueData);
 
       let queue;
+      let seriesQueues = [];
+      let unmovedSeries = [];
       if (this.editingQueueId) {
         console.log('[DEBUG] saveQueue calling store.updateQueue for id:', this.editingQueueId);
         // On edit, we don't want to override bookingAt or status if they already exist
@@ -3186,56 +4918,59 @@ class PetGroomingApp {
         delete updateData.bookingAt;
         delete updateData.status;
 
+        // Occurrence of a recurring series: optionally carry the edit to the later occurrences
+        const original = this.store.getQueueById(this.editingQueueId);
+        const upcoming = this.store.getUpcomingSeriesQueues(original);
+        const applyToSeries = upcoming.length > 0 &&
+          confirm(`คิวนี้เป็นคิวประจำ ต้องการแก้ไขนัดครั้งถัดไปในชุดนี้ด้วยหรือไม่? (${upcoming.length} คิว)\n\nตกลง = แก้ไขทั้งชุด, ยกเลิก = เฉพาะคิวนี้`);
+
         queue = await this.store.updateQueue(this.editingQueueId, updateData);
         console.log('[DEBUG] saveQueue store.updateQueue returned', queue);
+
+        if (queue && applyToSeries) {
+          const seriesUpdates = { ...updateData };
+          delete seriesUpdates.date;
+          ({ updated: seriesQueues, unmoved: unmovedSeries } = await this.store.updateSeriesQueues(original, seriesUpdates,
+            QueueRules.daysBetween(original.date, selectedDate)));
+        }
       } else {
         console.log('[DEBUG] saveQueue calling store.addQueue');
         queue = await this.store.addQueue(queueData);
         console.log('[DEBUG] saveQueue store.addQueue returned', queue);
+
+        if (queue && recurrence) {
+          seriesQueues = await this.store.addRecurringQueues(queueData);
+        }
       }
 
       console.log('DataStore returned:', queue);
       if (!queue) return;
 
-      /*
-      // --- Google Calendar Integration ---
-      try {
-        const customer = this.store.getCustomerById(customerId);
-        const pet = this.store.getPetById(petId);
-        const groomer = assignedGroomerId ? this.store.getGroomerById(assignedGroomerId) : null;
-  
-        const calendarPayload = {
-          id: queue.id,
-          ...queueData,
-          customerName: customer ? customer.name : '-',
-          customerPhone: customer ? customer.phone : '-',
-          petName: pet ? pet.name : '-',
-          petType: pet ? pet.type : '-',
-          petBreed: pet ? pet.breed : '-',
-          services: serviceTypes,
-          groomerName: groomer ? groomer.name : 'Admin',
-          checkInWeight: pet ? (pet.weight || '-') : '-',
-          checkInNotes: pet ? (pet.notes || '-') : '-'
-        };
-  
-        // Call Backend API
-        fetch('/api/calendar/create-event', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(calendarPayload)
-        })
-          .then(res => res.json())
-          .then(data => {
-            if (data.success) console.log('✅ Google Calendar Event Created:', data.link);
-            else console.error('❌ Failed to create calendar event:', data.error);
-          })
-          .catch(err => console.error('❌ Calendar API Error:', err));
-  
-      } catch (calError) {
-        console.error('Error preparing calendar data:', calError);
+      // Later occurrences whose slot is already taken need staff to move them
+      if (seriesQueues.length > 0) {
+        const clashes = seriesQueues
+          .map(q => ({ queue: q, reason: this.store.getBookingClash(q, q.id) }))
+          .filter(c => c.reason);
+        alert(`${this.editingQueueId ? 'แก้ไข' : 'สร้าง'}นัดครั้งถัดไป ${seriesQueues.length} คิว` +
+          (clashes.length
+            ? `\n\n⚠️ ชนคิว ${clashes.length} วัน:\n${clashes.map(c => `- ${this.formatDate(c.queue.date)}: ${c.reason}`).join('\n')}`
+            : '') +
+          (unmovedSeries.length
+            ? `\n\n🚫 ไม่ได้ย้ายวัน ${unmovedSeries.length} คิว (ยังอยู่วันเดิม):\n${unmovedSeries.map(u => `- ${this.formatDate(u.queue.date)} → ${this.formatDate(u.date)}: ${u.reason}`).join('\n')}`
+            : ''));
+      }
+
+      // First transport booking for this customer: keep the address for next time
+      const customer = this.store.getCustomerById(customerId);
+      if (transport && customer && !customer.address) {
+        this.store.updateCustomer(customerId, {
+          address: transport.address,
+          mapUrl: transport.mapUrl,
+          transportZoneId: transport.zoneId
+        });
       }
-      // -----------------------------------
-      */
+
+      // Google Calendar is kept in step by DataStore.addQueue / updateQueue
 
       // Calculate duration display
       const hours = Math.floor(duration / 60);
@@ -3356,45 +5091,448 @@ class PetGroomingApp {
     return `${String(endHour).padStart(2, '0')}:${String(endMin).padStart(2, '0')}`;
   }
 
-  // Generate a queue number based on date and count
-  generateQueueNumber() {
-    const today = new Date();
-    const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD
-
-    // transform to YYMMDD
-    const yy = String(today.getFullYear()).slice(-2);
-    const mm = String(today.getMonth() + 1).padStart(2, '0');
-    const dd = String(today.getDate()).padStart(2, '0');
-    const prefix = `${yy}${mm}${dd}`; // e.g., 231025
-
-    // Get today's queues to find the next number
-    const todaysQueues = this.store.getQueue().filter(q => q.date === dateStr);
-    const count = todaysQueues.length + 1;
-
-    return `Q${prefix}-${String(count).padStart(3, '0')}`;
-  }
-
   // ===================================
-  // HELPER METHODS
+  // SHOP SETTINGS
   // ===================================
 
-  populateCustomerDropdown(selectId = 'pet-customer') {
-    const select = document.getElementById(selectId);
-    const customers = this.store.getCustomers();
-
-    select.innerHTML = '<option value="">-- เลือกเจ้าของ --</option>';
-    customers.forEach(c => {
-      select.innerHTML += `<option value="${c.id}">${c.name}</option>`;
+  // 90 -> '1.5 ชม.', 30 -> '30 นาที', 0 -> ''
+  formatDurationLabel(minutes) {
+    if (!minutes) return '';
+    if (minutes < 60) return `${minutes} นาที`;
+    return `${parseFloat((minutes / 60).toFixed(2))} ชม.`;
+  }
+
+  // Service checkboxes in the queue and check-in modals come from settings
+  renderServiceCheckboxes() {
+    const settings = this.store.data.settings;
+    const mainHTML = (name) => settings.serviceTypes.map(service => {
+      const durationLabel = this.formatDurationLabel(settings.serviceDurations[service]);
+      return `<label><input type="checkbox" name="${name}" value="${this.escapeHtml(service)}"> ${this.escapeHtml(service)}${durationLabel ? ` (${durationLabel})` : ''}</label>`;
+    }).join('');
+
+    const containers = {
+      'queue-services-container': mainHTML('service-type'),
+      'checkin-services-container': mainHTML('checkin-service-type'),
+      'waitlist-services-container': mainHTML('waitlist-service-type')
+    };
+    Object.entries(containers).forEach(([id, html]) => {
+      const container = document.getElementById(id);
+      if (container) container.innerHTML = html;
     });
+
+    this.renderAddonCheckboxes('queue-addons-container', 'service-addon');
+    this.renderAddonCheckboxes('checkin-addons-container', 'checkin-service-addon');
+    this.renderAddonCheckboxes('waitlist-addons-container', 'waitlist-service-addon');
   }
 
-  populateGroomerDropdown() {
-    const select = document.getElementById('queue-groomer');
-    const groomers = this.store.getActiveGroomers();
+  // Add-ons from settings; cats also get the cat-only add-ons (catPricing.addons). Keeps ticked boxes ticked.
+  renderAddonCheckboxes(containerId, name, petType = null) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
 
-    select.innerHTML = '<option value="">-- เลือกช่าง (ถ้ามี) --</option>';
-    groomers.forEach(g => {
-      select.innerHTML += `<option value="${g.id}">${g.name}</option>`;
+    const settings = this.store.data.settings;
+    const checked = Array.from(container.querySelectorAll('input:checked')).map(cb => cb.value);
+    const addons = [...(settings.addonServices || [])];
+    if (petType === 'cat') {
+      Object.keys(settings.catPricing?.addons || {}).forEach(addon => {
+        if (!addons.includes(addon)) addons.push(addon);
+      });
+    }
+    checked.forEach(addon => {
+      if (!addons.includes(addon)) addons.push(addon);
+    });
+
+    container.innerHTML = addons.map(addon =>
+      `<label><input type="checkbox" name="${name}" value="${this.escapeHtml(addon)}" ${checked.includes(addon) ? 'checked' : ''}> ${this.escapeHtml(addon)}</label>`
+    ).join('');
+  }
+
+  // Itemised quote as HTML rows for the queue / check-in modals
+  renderQuoteHTML(quote) {
+    if (!quote || quote.items.length === 0) {
+      return '<span class="text-muted">เลือกสัตว์เลี้ยงและบริการเพื่อดูราคา</span>';
+    }
+    const rows = quote.items.map(item => `
+      <div class="price-quote-row ${item.type}">
+        <span>${item.type === 'addon' ? '+ ' : ''}${item.label}</span>
+        <span>${Number(item.amount).toLocaleString()} บาท</span>
+      </div>`).join('');
+    return `${rows}
+      <div class="price-quote-total">
+        <span>รวม</span>
+        <span>${quote.total.toLocaleString()} บาท</span>
+      </div>`;
+  }
+
+  getCheckedServices(mainName, addonName) {
+    return [
+      ...Array.from(document.querySelectorAll(`input[name="${mainName}"]:checked`)).map(cb => cb.value),
+      ...Array.from(document.querySelectorAll(`input[name="${addonName}"]:checked`)).map(cb => cb.value)
+    ];
+  }
+
+  updateQueueQuote() {
+    const container = document.getElementById('queue-price-quote');
+    if (!container) return;
+    const petId = document.getElementById('queue-pet').value;
+    const services = this.getCheckedServices('service-type', 'service-addon');
+    container.innerHTML = this.renderQuoteHTML(petId && services.length
+      ? this.store.getQuote(petId, services, null, {
+        nights: this.getQueueModalNights(),
+        transport: this.getQueueModalTransportFee()
+      })
+      : null);
+  }
+
+  updateCheckInQuote() {
+    const container = document.getElementById('checkin-price-quote');
+    if (!container || !this.currentPet) return;
+    const weight = parseFloat(document.getElementById('checkin-weight').value) || null;
+    const services = this.getCheckedServices('checkin-service-type', 'checkin-service-addon');
+    const options = QueueRules.getQuoteOptions(this.store.getQueueById(this.currentQueueId));
+    container.innerHTML = this.renderQuoteHTML(services.length ? this.store.getQuote(this.currentPet.id, services, weight, options) : null);
+  }
+
+  // A booking may hold services that were later removed from settings; show them so they aren't lost on save
+  appendMissingServiceCheckboxes(modalId, containerId, name, services) {
+    const container = document.getElementById(containerId);
+    (services || []).forEach(service => {
+      const exists = Array.from(document.querySelectorAll(`#${modalId} input[type="checkbox"]`))
+        .some(cb => cb.value === service);
+      if (!exists) {
+        container.insertAdjacentHTML('beforeend', `<label><input type="checkbox" name="${name}" value="${this.escapeHtml(service)}"> ${this.escapeHtml(service)}</label>`);
+      }
+    });
+  }
+
+  renderSettings() {
+    const settings = this.store.data.settings;
+
+    document.getElementById('settings-shop-name').value = settings.shopName || '';
+    document.getElementById('settings-queue-prefix').value = settings.queueNumberPrefix || '';
+    document.getElementById('settings-receipt-prefix').value = settings.receiptNumberPrefix || '';
+    document.getElementById('settings-promptpay-id').value = settings.promptPayId || '';
+    document.getElementById('settings-api-token').value = localStorage.getItem('apiToken') || '';
+    document.getElementById('settings-open-time').value = settings.defaultWorkingHours.start;
+    document.getElementById('settings-close-time').value = settings.defaultWorkingHours.end;
+    document.getElementById('settings-buffer-minutes').value = settings.bufferMinutes || 0;
+    const reliability = QueueRules.getReliabilitySettings(settings);
+    document.getElementById('settings-late-minutes').value = reliability.lateMinutes;
+    document.getElementById('settings-deposit-after-no-shows').value = reliability.depositAfterNoShows;
+
+    document.getElementById('settings-services-tbody').innerHTML = settings.serviceTypes
+      .map(service => this.createSettingsRow('services', {
+        name: service,
+        duration: settings.serviceDurations[service] ?? 60,
+        price: settings.priceList[service] || 0,
+        buffer: settings.serviceBufferMinutes?.[service],
+        cutting: (settings.cuttingServices || []).includes(service)
+      })).join('');
+
+    document.getElementById('settings-addons-tbody').innerHTML = (settings.addonServices || [])
+      .map(addon => this.createSettingsRow('addons', { name: addon, price: settings.priceList[addon] || 0 }))
+      .join('');
+
+    document.getElementById('settings-cat-tiers-tbody').innerHTML = settings.catPricing.weightTiers
+      .map(tier => this.createSettingsRow('catTiers', tier)).join('');
+
+    document.getElementById('settings-cat-addons-tbody').innerHTML = Object.entries(settings.catPricing.addons)
+      .map(([name, price]) => this.createSettingsRow('catAddons', {
+        name,
+        price,
+        cutting: (settings.cuttingServices || []).includes(name)
+      })).join('');
+
+    document.getElementById('settings-transport-zones-tbody').innerHTML = settings.transport.zones
+      .map(zone => this.createSettingsRow('transportZones', zone)).join('');
+
+    document.getElementById('settings-nightly-rate').value = settings.boarding.nightlyRate ?? 0;
+    document.getElementById('settings-kennels-tbody').innerHTML = settings.boarding.kennels
+      .map(kennel => this.createSettingsRow('kennels', kennel)).join('');
+
+    const dayNames = ['อาทิตย์', 'จันทร์', 'อังคาร', 'พุธ', 'พฤหัสบดี', 'ศุกร์', 'เสาร์'];
+    document.getElementById('settings-closed-weekdays').innerHTML = dayNames.map((name, day) => `
+      <label><input type="checkbox" name="settings-closed-day" value="${day}" ${settings.closures.weeklyDays.includes(day) ? 'checked' : ''}> ${name}</label>`).join('');
+    document.getElementById('settings-closures-tbody').innerHTML = settings.closures.dates
+      .map(closure => this.createSettingsRow('closures', closure)).join('');
+    this.renderClosureConflicts();
+  }
+
+  createSettingsRow(type, values = {}) {
+    const input = (field, inputType = 'number', extra = '') =>
+      `<td><input type="${inputType}" class="form-input" data-field="${field}" value="${this.escapeHtml(values[field])}" ${extra}></td>`;
+    const removeButton = `<td><button type="button" class="btn btn-sm btn-danger" onclick="this.closest('tr').remove()">ลบ</button></td>`;
+
+    switch (type) {
+      case 'services':
+        return `<tr>${input('name', 'text')}${input('duration', 'number', 'min="0" step="15"')}${input('price', 'number', 'min="0"')}${input('buffer', 'number', 'min="0" step="5" placeholder="ค่าเริ่มต้น"')}
+          <td><input type="checkbox" data-field="cutting" ${values.cutting ? 'checked' : ''} title="ช่างอาบน้ำรับงานนี้ไม่ได้"></td>${removeButton}</tr>`;
+      case 'catTiers':
+        return `<tr>${input('max', 'number', 'min="0" step="0.1"')}${input('short', 'number', 'min="0"')}${input('long', 'number', 'min="0"')}${removeButton}</tr>`;
+      case 'transportZones':
+        return `<tr>
+          <td>
+            <input type="hidden" data-field="id" value="${this.escapeHtml(values.id || `Z${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`)}">
+            <input type="text" class="form-input" data-field="name" value="${this.escapeHtml(values.name)}">
+          </td>
+          ${input('maxKm', 'number', 'min="0" step="0.5"')}${input('fee', 'number', 'min="0"')}${removeButton}
+        </tr>`;
+      case 'kennels':
+        // The id stays with the kennel when it is renamed (stays refer to kennelId)
+        return `<tr>
+          <td>
+            <input type="hidden" data-field="id" value="${this.escapeHtml(values.id || `K${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`)}">
+            <input type="text" class="form-input" data-field="name" value="${this.escapeHtml(values.name)}">
+          </td>
+          ${input('note', 'text')}${removeButton}
+        </tr>`;
+      case 'closures': {
+        const type = values.type || 'adhoc';
+        return `<tr>
+          ${input('date', 'date')}
+          <td>
+            <select class="form-select" data-field="type">
+              <option value="adhoc" ${type === 'adhoc' ? 'selected' : ''}>ปิดร้านชั่วคราว</option>
+              <option value="holiday" ${type === 'holiday' ? 'selected' : ''}>วันหยุดราชการ</option>
+            </select>
+          </td>
+          ${input('reason', 'text', 'placeholder="เช่น ปรับปรุงร้าน"')}${removeButton}
+        </tr>`;
+      }
+      case 'catAddons':
+        return `<tr>${input('name', 'text')}${input('price', 'number', 'min="0"')}
+          <td><input type="checkbox" data-field="cutting" ${values.cutting ? 'checked' : ''} title="ช่างอาบน้ำรับงานนี้ไม่ได้"></td>${removeButton}</tr>`;
+      default: // addons
+        return `<tr>${input('name', 'text')}${input('price', 'number', 'min="0"')}${removeButton}</tr>`;
+    }
+  }
+
+  addSettingsRow(type) {
+    const tbodyIds = {
+      services: 'settings-services-tbody',
+      addons: 'settings-addons-tbody',
+      catTiers: 'settings-cat-tiers-tbody',
+      catAddons: 'settings-cat-addons-tbody',
+      kennels: 'settings-kennels-tbody',
+      transportZones: 'settings-transport-zones-tbody',
+      closures: 'settings-closures-tbody'
+    };
+    document.getElementById(tbodyIds[type]).insertAdjacentHTML('beforeend', this.createSettingsRow(type));
+  }
+
+  // Fixed-date public holidays of the current year not yet in the table (saved with the other settings)
+  addThaiHolidays() {
+    const today = this.getTodayString();
+    const listed = this.readSettingsRows('settings-closures-tbody').map(r => r.date);
+    const holidays = QueueRules.getThaiPublicHolidays(new Date().getFullYear())
+      .filter(h => h.date >= today && !listed.includes(h.date));
+    if (holidays.length === 0) {
+      alert('มีวันหยุดราชการของปีนี้ครบแล้ว');
+      return;
+    }
+    document.getElementById('settings-closures-tbody')
+      .insertAdjacentHTML('beforeend', holidays.map(h => this.createSettingsRow('closures', h)).join(''));
+  }
+
+  // Bookings that fall on a closed day, listed under the closures table so they can be moved
+  renderClosureConflicts() {
+    const affected = this.store.getQueuesOnClosedDays();
+    document.getElementById('settings-closure-conflicts').innerHTML = affected.length ? `
+      <div style="margin-top: 1rem;">
+        <strong style="color: var(--danger-color);">⚠️ คิวที่ตรงกับวันปิดร้าน ${affected.length} คิว กรุณาเลื่อนวัน</strong>
+        ${affected.map(({ queue, closure }) => {
+          const pet = this.store.getPetById(queue.petId);
+          const customer = this.store.getCustomerById(queue.customerId);
+          return `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.25rem 0;">
+              <span>${this.formatDate(queue.date)} ${queue.appointmentTime || ''} · #${queue.queueNumber} ${pet?.name || '-'} (${customer?.name || '-'}) - ${this.escapeHtml(closure.reason)}</span>
+              <button type="button" class="btn btn-sm btn-secondary" onclick="app.editQueue('${queue.id}')">เลื่อนคิว</button>
+            </div>`;
+        }).join('')}
+      </div>` : '';
+  }
+
+  // Rows of a settings table as [{ field: value }]
+  readSettingsRows(tbodyId) {
+    return Array.from(document.querySelectorAll(`#${tbodyId} tr`)).map(row => {
+      const values = {};
+      row.querySelectorAll('[data-field]').forEach(input => {
+        if (input.type === 'checkbox') {
+          values[input.dataset.field] = input.checked;
+        } else {
+          values[input.dataset.field] = input.type === 'number' ? parseFloat(input.value) : input.value.trim();
+        }
+      });
+      return values;
+    });
+  }
+
+  async saveSettings() {
+    // Settings hold the PromptPay ID that customers pay into, so only admins may change them
+    if (!this.isAdmin()) {
+      alert('เฉพาะผู้ดูแลระบบเท่านั้นที่แก้ไขการตั้งค่าร้านได้');
+      return;
+    }
+
+    // Device-only: never written to the shared settings document
+    localStorage.setItem('apiToken', document.getElementById('settings-api-token').value.trim());
+
+    const current = this.store.data.settings;
+    const shopName = document.getElementById('settings-shop-name').value.trim();
+    const start = document.getElementById('settings-open-time').value;
+    const end = document.getElementById('settings-close-time').value;
+
+    const services = this.readSettingsRows('settings-services-tbody').filter(r => r.name);
+    const addons = this.readSettingsRows('settings-addons-tbody').filter(r => r.name);
+    const catTiers = this.readSettingsRows('settings-cat-tiers-tbody').filter(r => !isNaN(r.max));
+    const catAddons = this.readSettingsRows('settings-cat-addons-tbody').filter(r => r.name);
+
+    if (!shopName || !start || !end) {
+      alert('กรุณากรอกชื่อร้านและเวลาทำการ');
+      return;
+    }
+    if (start >= end) {
+      alert('เวลาปิดต้องหลังเวลาเปิด');
+      return;
+    }
+    if (services.length === 0) {
+      alert('กรุณาเพิ่มบริการหลักอย่างน้อย 1 รายการ');
+      return;
+    }
+    if (catTiers.length === 0) {
+      alert('กรุณาเพิ่มราคาแมวอย่างน้อย 1 ช่วงน้ำหนัก');
+      return;
+    }
+    const names = [...services, ...addons].map(r => r.name);
+    if (new Set(names).size !== names.length) {
+      alert('ชื่อบริการซ้ำกัน กรุณาตรวจสอบ');
+      return;
+    }
+
+    const kennels = this.readSettingsRows('settings-kennels-tbody').filter(r => r.name);
+    const kennelIds = kennels.map(k => k.id);
+    const today = this.getTodayString();
+    const strandedStay = this.store.getQueue().find(q =>
+      !QueueRules.isReleasedQueue(q) && QueueRules.isBoardingQueue(q) &&
+      q.boarding.checkOutDate >= today && !kennelIds.includes(q.boarding.kennelId));
+    if (strandedStay) {
+      alert(`ไม่สามารถลบห้องพักที่มีการจองอยู่ (คิว #${strandedStay.queueNumber}) กรุณาย้ายห้องก่อน`);
+      return;
+    }
+    const nightlyRate = parseFloat(document.getElementById('settings-nightly-rate').value);
+    const transportZones = this.readSettingsRows('settings-transport-zones-tbody')
+      .filter(r => r.name)
+      .map(r => ({ id: r.id, name: r.name, maxKm: isNaN(r.maxKm) ? 0 : r.maxKm, fee: isNaN(r.fee) ? 0 : r.fee }))
+      .sort((a, b) => a.maxKm - b.maxKm);
+
+    // Keep combo overrides ('a,b': minutes) that the page doesn't edit
+    const serviceDurations = {};
+    Object.entries(current.serviceDurations).forEach(([key, minutes]) => {
+      if (key.includes(',')) serviceDurations[key] = minutes;
+    });
+    const priceList = {};
+    const serviceBufferMinutes = {};
+    services.forEach(r => {
+      if (!isNaN(r.buffer)) serviceBufferMinutes[r.name] = Math.max(r.buffer, 0);
+      serviceDurations[r.name] = isNaN(r.duration) ? 60 : r.duration;
+      priceList[r.name] = isNaN(r.price) ? 0 : r.price;
+    });
+    addons.forEach(r => {
+      priceList[r.name] = isNaN(r.price) ? 0 : r.price;
+    });
+
+    const catPricing = {
+      ...current.catPricing,
+      weightTiers: catTiers
+        .map(t => ({ max: t.max, short: t.short || 0, long: t.long || 0 }))
+        .sort((a, b) => a.max - b.max),
+      addons: Object.fromEntries(catAddons.map(r => [r.name, isNaN(r.price) ? 0 : r.price]))
+    };
+
+    const weeklyDays = Array.from(document.querySelectorAll('input[name="settings-closed-day"]:checked'))
+      .map(cb => parseInt(cb.value, 10));
+    const closureDates = this.readSettingsRows('settings-closures-tbody')
+      .filter(r => r.date)
+      .map(r => ({ date: r.date, type: r.type, reason: r.reason || (r.type === 'holiday' ? 'วันหยุดราชการ' : 'ร้านปิด') }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    if (weeklyDays.length === 7) {
+      alert('ไม่สามารถปิดร้านทุกวันในสัปดาห์ได้');
+      return;
+    }
+    if (new Set(closureDates.map(c => c.date)).size !== closureDates.length) {
+      alert('วันปิดร้านซ้ำกัน กรุณาตรวจสอบ');
+      return;
+    }
+
+    const promptPayId = document.getElementById('settings-promptpay-id').value.replace(/[\s-]/g, '');
+    if (promptPayId && !PromptPay.isValidId(promptPayId)) {
+      alert('PromptPay ID ไม่ถูกต้อง (เบอร์มือถือ 10 หลัก หรือเลขประจำตัว 13 หลัก)');
+      return;
+    }
+
+    const settings = {
+      ...current,
+      shopName,
+      queueNumberPrefix: document.getElementById('settings-queue-prefix').value.trim(),
+      receiptNumberPrefix: document.getElementById('settings-receipt-prefix').value.trim(),
+      promptPayId,
+      defaultWorkingHours: { start, end },
+      bufferMinutes: Math.max(parseFloat(document.getElementById('settings-buffer-minutes').value) || 0, 0),
+      serviceBufferMinutes,
+      reliability: {
+        lateMinutes: Math.max(parseInt(document.getElementById('settings-late-minutes').value, 10) || 0, 1),
+        depositAfterNoShows: Math.max(parseInt(document.getElementById('settings-deposit-after-no-shows').value, 10) || 0, 0)
+      },
+      serviceTypes: services.map(r => r.name),
+      cuttingServices: [...services, ...catAddons].filter(r => r.cutting).map(r => r.name),
+      addonServices: addons.map(r => r.name),
+      serviceDurations,
+      priceList,
+      catPricing,
+      transport: { ...current.transport, zones: transportZones },
+      boarding: {
+        ...current.boarding,
+        nightlyRate: isNaN(nightlyRate) ? 0 : nightlyRate,
+        kennels: kennels.map(k => ({ id: k.id, name: k.name, note: k.note || '' }))
+      },
+      closures: { weeklyDays, dates: closureDates }
+    };
+
+    // Bookings already on a closed day before this save, so only the new ones are reported
+    const alreadyClosed = new Set(this.store.getQueuesOnClosedDays().map(item => item.queue.id));
+
+    const saved = await this.store.saveSettings(settings);
+    if (!saved) return;
+
+    this.renderServiceCheckboxes();
+    this.renderSettings();
+    const newlyClosed = this.store.getQueuesOnClosedDays().filter(item => !alreadyClosed.has(item.queue.id));
+    alert(newlyClosed.length
+      ? `บันทึกการตั้งค่าเรียบร้อย\n\nมี ${newlyClosed.length} คิวตรงกับวันปิดร้านที่เพิ่มใหม่ กรุณาเลื่อนคิว (ดูรายการในหัวข้อวันหยุดร้าน)`
+      : 'บันทึกการตั้งค่าเรียบร้อย');
+  }
+
+  // ===================================
+  // HELPER METHODS
+  // ===================================
+
+  populateCustomerDropdown(selectId = 'pet-customer') {
+    const select = document.getElementById(selectId);
+    const customers = this.store.getCustomers();
+
+    select.innerHTML = '<option value="">-- เลือกเจ้าของ --</option>';
+    customers.forEach(c => {
+      select.innerHTML += `<option value="${c.id}">${c.name}</option>`;
+    });
+  }
+
+  populateGroomerDropdown() {
+    const select = document.getElementById('queue-groomer');
+    const groomers = this.store.getActiveGroomers();
+
+    select.innerHTML = '<option value="">-- เลือกช่าง (ถ้ามี) --</option>';
+    groomers.forEach(g => {
+      select.innerHTML += `<option value="${g.id}">${g.name}</option>`;
     });
   }
 
@@ -3428,6 +5566,11 @@ class PetGroomingApp {
       this.currentDate = new Date(year, month, 1);
     }
 
+    if (this.calendarView === 'week') {
+      this.renderWeekView();
+      return;
+    }
+
     const year_actual = this.currentDate.getFullYear();
     const month_actual = this.currentDate.getMonth();
 
@@ -3459,13 +5602,15 @@ class PetGroomingApp {
     const allQueue = this.store.getQueue();
     const queueByDate = {};
     allQueue.forEach(q => {
-      if (q.date) {
-        if (!queueByDate[q.date]) {
-          queueByDate[q.date] = [];
+      // A boarding stay shows on every day it covers
+      QueueRules.getStayDates(q).forEach(date => {
+        if (!queueByDate[date]) {
+          queueByDate[date] = [];
         }
-        queueByDate[q.date].push(q);
-      }
+        queueByDate[date].push(q);
+      });
     });
+    const kennelCount = this.store.getKennels().length;
 
     // Days from previous month
     for (let i = firstDay - 1; i >= 0; i--) {
@@ -3491,9 +5636,15 @@ class PetGroomingApp {
       const dayQueues = queueByDate[dateStr] || [];
       const todayClass = isToday(day) ? 'today' : '';
       const selectedClass = (selectedDate === dateStr) ? 'selected' : '';
+      const closure = this.store.getClosure(dateStr);
+      const closedClass = closure ? 'closed' : '';
+      const closedTitle = closure ? ` title="ร้านปิด: ${this.escapeHtml(closure.reason)}"` : '';
 
-      html += `<div class="calendar-day ${todayClass} ${selectedClass} clickable" data-date="${dateStr}">
+      html += `<div class="calendar-day ${todayClass} ${selectedClass} ${closedClass} clickable" data-date="${dateStr}"${closedTitle}>
         <div class="calendar-day-number">${day}</div>`;
+      if (closure) {
+        html += `<div class="calendar-closed-label">${this.escapeHtml(closure.reason)}</div>`;
+      }
 
       if (dayQueues.length > 0) {
         html += `<div class="calendar-queue-count">${dayQueues.length} คิว</div>`;
@@ -3504,6 +5655,12 @@ class PetGroomingApp {
         html += '</div>';
       }
 
+      // Kennel capacity for the night
+      const occupied = kennelCount ? this.store.getKennelOccupancy(dateStr).length : 0;
+      if (occupied > 0) {
+        html += `<div class="calendar-kennel-count ${occupied >= kennelCount ? 'full' : ''}">🏠 ${occupied}/${kennelCount}</div>`;
+      }
+
       html += '</div>';
     }
 
@@ -3535,17 +5692,170 @@ class PetGroomingApp {
   }
 
   previousMonth() {
+    if (this.calendarView === 'week') {
+      this.shiftWeek(-7);
+      return;
+    }
     const year = this.currentDate.getFullYear();
     const month = this.currentDate.getMonth();
     this.renderCalendar(year, month - 1);
   }
 
   nextMonth() {
+    if (this.calendarView === 'week') {
+      this.shiftWeek(7);
+      return;
+    }
     const year = this.currentDate.getFullYear();
     const month = this.currentDate.getMonth();
     this.renderCalendar(year, month + 1);
   }
 
+  // ===================================
+  // WEEK VIEW
+  // ===================================
+
+  toggleCalendarView() {
+    this.calendarView = this.calendarView === 'week' ? 'month' : 'week';
+    // Open the week of the selected day
+    if (this.calendarView === 'week' && this.selectedDashboardDate) {
+      this.currentDate = new Date(`${this.selectedDashboardDate}T00:00:00`);
+    }
+    document.getElementById('calendar-view-toggle').textContent = this.calendarView === 'week' ? 'เดือน' : 'สัปดาห์';
+    this.renderCalendar();
+  }
+
+  shiftWeek(days) {
+    this.currentDate.setDate(this.currentDate.getDate() + days);
+    this.renderCalendar();
+  }
+
+  // Sunday-to-Saturday week around currentDate, each day's bookings listed by time
+  renderWeekView() {
+    const weekStart = QueueRules.addDays(QueueRules.getLocalDateString(this.currentDate), -this.currentDate.getDay());
+    const dates = Array.from({ length: 7 }, (_, i) => QueueRules.addDays(weekStart, i));
+    const today = this.getTodayString();
+    const dayNames = ['อา', 'จ', 'อ', 'พ', 'พฤ', 'ศ', 'ส'];
+
+    document.getElementById('calendar-month-year').textContent =
+      `${this.formatDate(dates[0])} - ${this.formatDate(dates[6])}`;
+
+    const byTime = (a, b) => (a.appointmentTime || '99:99').localeCompare(b.appointmentTime || '99:99') ||
+      QueueRules.compareQueueNumbers(a.queueNumber, b.queueNumber);
+
+    const headers = dates.map((date, i) =>
+      `<div class="calendar-header">${dayNames[i]} ${Number(date.slice(8))}</div>`).join('');
+
+    const days = dates.map(date => {
+      const queues = this.store.getQueueByDate(date).filter(q => !QueueRules.isReleasedQueue(q)).sort(byTime);
+      const stays = this.store.getStaysOnDate(date).filter(q => q.date !== date);
+      const items = queues.map(q => {
+        const pet = this.store.getPetById(q.petId);
+        const groomer = q.assignedGroomerId ? this.store.getGroomerById(q.assignedGroomerId) : null;
+        return `
+          <div class="week-booking ${q.status}" title="${q.serviceType.join(', ')}${groomer ? ` / ${groomer.name}` : ''}">
+            <strong>${q.appointmentTime || '--:--'}</strong> ${this.getPetIcon(pet)} ${pet?.name || '-'}
+            <div class="week-booking-detail">${q.serviceType.join(', ')}${groomer ? ` · ${groomer.nickname || groomer.name}` : ''}</div>
+          </div>`;
+      }).join('');
+
+      const closure = this.store.getClosure(date);
+      return `
+        <div class="calendar-day week-day clickable ${date === today ? 'today' : ''} ${date === this.selectedDashboardDate ? 'selected' : ''} ${closure ? 'closed' : ''}" data-date="${date}">
+          ${closure ? `<div class="calendar-closed-label">🚫 ${this.escapeHtml(closure.reason)}</div>` : ''}
+          ${items || '<div class="text-muted week-empty">ไม่มีคิว</div>'}
+          ${stays.length ? `<div class="calendar-kennel-count">🏠 ฝากเลี้ยงต่อ ${stays.length}</div>` : ''}
+        </div>`;
+    }).join('');
+
+    const calendar = document.getElementById('calendar-container');
+    calendar.innerHTML = headers + days;
+    calendar.querySelectorAll('.calendar-day.clickable').forEach(dayElement => {
+      dayElement.addEventListener('click', () => {
+        this.selectedDashboardDate = dayElement.dataset.date;
+        this.renderDashboard(dayElement.dataset.date);
+      });
+    });
+  }
+
+  // ===================================
+  // DAILY SCHEDULE SHEET (grooming room)
+  // ===================================
+
+  showDailySheet() {
+    this.dailySheetDate = this.selectedDashboardDate || this.getTodayString();
+    document.getElementById('daily-sheet-title').textContent = `ใบงานประจำวัน ${this.formatDate(this.dailySheetDate)}`;
+    document.getElementById('daily-sheet-content').innerHTML = this.renderDailySheetHTML(this.dailySheetDate);
+    this.openModal('modal-daily-sheet');
+  }
+
+  // Self-contained markup (inline styles) so the same HTML is shown and printed
+  renderDailySheetHTML(date) {
+    const queues = this.store.getQueueByDate(date)
+      .filter(q => !QueueRules.isReleasedQueue(q))
+      .sort((a, b) => (a.appointmentTime || '99:99').localeCompare(b.appointmentTime || '99:99') ||
+        QueueRules.compareQueueNumbers(a.queueNumber, b.queueNumber));
+
+    if (queues.length === 0) {
+      return '<p style="text-align: center; color: #666;">ไม่มีคิวในวันนี้</p>';
+    }
+
+    const cell = 'padding: 6px 4px; border: 1px solid #999; vertical-align: top;';
+    const rows = queues.map(q => {
+      const pet = this.store.getPetById(q.petId);
+      const customer = this.store.getCustomerById(q.customerId);
+      const groomer = q.assignedGroomerId ? this.store.getGroomerById(q.assignedGroomerId) : null;
+      const weight = q.checkInWeight || pet?.weight;
+      const transport = q.isTransportIncluded ? (QueueRules.describeTransport(q) || 'รับ-ส่ง') : '-';
+      return `
+        <tr>
+          <td style="${cell} font-weight: 700; white-space: nowrap;">${q.appointmentTime || '-'}${q.estimatedEndTime ? `<br><small>ถึง ${q.estimatedEndTime}</small>` : ''}</td>
+          <td style="${cell}"><strong>${this.getPetIcon(pet)} ${pet?.name || '-'}</strong><br><small>#${q.queueNumber} ${customer?.name || ''}</small></td>
+          <td style="${cell}">${pet?.breed || '-'}</td>
+          <td style="${cell}">${q.serviceType.join(', ')}${q.priority ? '<br><strong>⚡ ด่วน</strong>' : ''}</td>
+          <td style="${cell} white-space: nowrap;">${weight ? `${weight} กก.` : '-'}</td>
+          <td style="${cell}">สุขภาพ: ${q.health || '-'}<br>เห็บ-หมัด: ${q.ticks || '-'}${q.notes ? `<br>📝 ${q.notes}` : ''}</td>
+          <td style="${cell}">${groomer ? groomer.name : '-'}</td>
+          <td style="${cell}">${transport}</td>
+        </tr>`;
+    }).join('');
+
+    return `
+      <table style="width: 100%; border-collapse: collapse; font-family: 'Sarabun', 'Prompt', sans-serif; font-size: 13px;">
+        <thead>
+          <tr style="background: #eee;">
+            <th style="${cell}">เวลา</th>
+            <th style="${cell}">สัตว์เลี้ยง</th>
+            <th style="${cell}">สายพันธุ์</th>
+            <th style="${cell}">บริการ</th>
+            <th style="${cell}">น้ำหนัก</th>
+            <th style="${cell}">สุขภาพ / เห็บหมัด</th>
+            <th style="${cell}">ช่าง</th>
+            <th style="${cell}">รับ-ส่ง</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  printDailySheet() {
+    const printWindow = window.open('', '_blank', 'width=1000,height=700');
+    if (!printWindow) {
+      alert('กรุณาอนุญาตป๊อปอัปเพื่อพิมพ์รายงาน');
+      return;
+    }
+    printWindow.document.write(`<!DOCTYPE html><html lang="th"><head><meta charset="UTF-8">
+      <title>ใบงาน ${this.dailySheetDate}</title>
+      <style>@page { size: A4 landscape; margin: 10mm; }</style></head>
+      <body style="margin: 16px;">
+        <h3 style="font-family: sans-serif;">ใบงานประจำวัน ${this.formatDate(this.dailySheetDate)}</h3>
+        ${this.renderDailySheetHTML(this.dailySheetDate)}
+      </body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
   goToToday() {
     this.currentDate = new Date();
     this.renderCalendar();
@@ -3691,9 +6001,16 @@ class PetGroomingApp {
     this.currentQueueId = queueId;
     document.getElementById('deposit-amount').value = '';
     document.getElementById('deposit-method').value = 'cash';
+    this.updateDepositQR();
     this.openModal('modal-deposit');
   }
 
+  updateDepositQR() {
+    const amount = parseFloat(document.getElementById('deposit-amount').value) || 0;
+    const method = document.getElementById('deposit-method').value;
+    this.renderPromptPayQR('deposit-qr', method === 'qr' ? amount : null);
+  }
+
   async saveDeposit() {
     let amount = parseFloat(document.getElementById('deposit-amount').value);
     const method = document.getElementById('deposit-method').value;
@@ -3702,17 +6019,32 @@ class PetGroomingApp {
       amount = 0;
     }
 
+    // A PromptPay deposit stays pending until staff see the transfer arrive
+    const isPendingQR = amount > 0 && method === 'qr';
+
     await this.store.updateQueue(this.currentQueueId, {
       status: 'deposit',
       depositAmount: amount,
-      depositMethod: amount > 0 ? method : null
+      depositMethod: amount > 0 ? method : null,
+      depositStatus: amount > 0 ? (isPendingQR ? 'pending' : 'confirmed') : null
     });
 
+    if (amount > 0) {
+      await this.store.addPayment(this.currentQueueId, {
+        type: 'deposit',
+        amount,
+        method,
+        status: isPendingQR ? 'pending' : 'confirmed'
+      }, this.currentUser);
+    }
+
     this.closeModal('modal-deposit');
     this.renderQueue();
     this.renderDashboard();
 
-    if (amount > 0) {
+    if (isPendingQR) {
+      alert(`บันทึกมัดจำ ${amount} บาท (รอยืนยันการโอน)`);
+    } else if (amount > 0) {
       alert(`บันทึกมัดจำ ${amount} บาทสำเร็จ!`);
     } else {
       alert(`บันทึกสถานะมัดจำสำเร็จ (ไม่มียอดมัดจำ)`);
@@ -3741,8 +6073,18 @@ class PetGroomingApp {
     document.getElementById('last-weight-display').textContent =
       pet.weight ? `${pet.weight} กก.` : 'ไม่มีข้อมูล';
 
+    // Minutes late from the appointment time (staff can correct it)
+    const { lateMinutes } = QueueRules.getReliabilitySettings(this.store.data.settings);
+    document.getElementById('checkin-late-minutes').value = queue.lateMinutes ?? QueueRules.getLateMinutes(queue);
+    document.getElementById('checkin-late-hint').textContent = queue.appointmentTime
+      ? `นัดเวลา ${queue.appointmentTime} · ช้าตั้งแต่ ${lateMinutes} นาทีขึ้นไปนับเป็นมาสาย`
+      : 'คิวนี้ไม่ได้นัดเวลา';
+
     // Pre-select services and addons
     const allServices = queue.serviceType || [];
+    this.renderServiceCheckboxes();
+    this.renderAddonCheckboxes('checkin-addons-container', 'checkin-service-addon', pet.type);
+    this.appendMissingServiceCheckboxes('modal-checkin', 'checkin-addons-container', 'checkin-service-addon', allServices);
     const serviceCheckboxes = document.querySelectorAll('input[name="checkin-service-type"]');
     serviceCheckboxes.forEach(cb => {
       cb.checked = allServices.includes(cb.value);
@@ -3753,6 +6095,12 @@ class PetGroomingApp {
       cb.checked = allServices.includes(cb.value);
     });
 
+    if (!this.checkInListenersSetup) {
+      this.setupCheckInListeners();
+      this.checkInListenersSetup = true;
+    }
+    this.updateCheckInQuote();
+
     this.openModal('modal-checkin');
   }
 
@@ -3769,6 +6117,7 @@ class PetGroomingApp {
   async saveCheckIn() {
     const weight = parseFloat(document.getElementById('checkin-weight').value);
     const notes = document.getElementById('checkin-notes').value;
+    const lateMinutes = Math.max(parseInt(document.getElementById('checkin-late-minutes').value, 10) || 0, 0);
 
     if (!weight || weight <= 0) {
       alert('กรุณากรอกน้ำหนักสัตว์เลี้ยง');
@@ -3783,7 +6132,11 @@ class PetGroomingApp {
     // Recalculate duration
     let duration = 60;
     try {
-      duration = this.store.calculateServiceDuration(selectedServices);
+      const checkInQueue = this.store.getQueueById(this.currentQueueId);
+      duration = this.store.estimateServiceDuration(selectedServices, this.currentPet.id, {
+        groomerId: checkInQueue?.assignedGroomerId,
+        weight
+      }).minutes;
     } catch (e) {
       console.error('Error calculating duration:', e);
     }
@@ -3791,13 +6144,20 @@ class PetGroomingApp {
     // Update pet weight
     await this.store.updatePet(this.currentPet.id, { weight });
 
+    // Re-quote with the measured weight
+    const quote = this.store.getQuote(this.currentPet.id, selectedServices, weight,
+      QueueRules.getQuoteOptions(this.store.getQueueById(this.currentQueueId)));
+
     // Update queue status, services, duration, and notes
     const updateData = {
       status: 'check-in',
       checkInWeight: weight,
+      lateMinutes,
       notes: notes,
       serviceType: selectedServices,
-      duration: duration
+      duration: duration,
+      quotedPrice: quote.total,
+      priceItems: quote.items
     };
 
     // Recalculate estimated end time if we have a start time (appointmentTime)
@@ -3829,184 +6189,1530 @@ class PetGroomingApp {
 
     document.getElementById('image-preview').innerHTML = '';
 
-    // Populate groomer dropdown
-    this.populateGroomerDropdown('completion-groomer');
+    // Populate groomer dropdown
+    this.populateGroomerDropdown('completion-groomer');
+
+    document.getElementById('completion-discount').value = 0;
+    this.resetCompletionPayments();
+
+    this.openModal('modal-completion');
+  }
+
+  // One payment row prefilled with what is still owed (also after payments were saved but the job wasn't closed)
+  resetCompletionPayments() {
+    document.getElementById('completion-payments').innerHTML = '';
+    document.getElementById('completion-qr-received').checked = false;
+    this.addCompletionPaymentRow();
+    this.updateCompletionBill();
+  }
+
+  previewImages(input) {
+    const files = input.files;
+    const preview = document.getElementById('image-preview');
+
+    if (files.length === 0) return;
+
+    Array.from(files).forEach((file) => {
+      // Check if HEIC
+      const isHeic = file.name.toLowerCase().endsWith('.heic') || file.type === 'image/heic';
+
+      if (isHeic && window.heic2any) {
+        console.log('Converting HEIC file...', file.name);
+        // Show a temporary loading indicator
+        const loadingDiv = document.createElement('div');
+        loadingDiv.className = 'image-preview-item loading';
+        loadingDiv.innerHTML = '<div class="spinner"></div><span>Converting...</span>';
+        preview.appendChild(loadingDiv);
+
+        heic2any({
+          blob: file,
+          toType: "image/jpeg",
+          quality: 0.7
+        })
+          .then((conversionResult) => {
+            // Remove loading indicator
+            if (loadingDiv.parentNode) loadingDiv.parentNode.removeChild(loadingDiv);
+
+            // conversionResult can be a blob or array of blobs.
+            const blob = Array.isArray(conversionResult) ? conversionResult[0] : conversionResult;
+            // Create a new File object for consistency if needed, or just pass blob
+            this.readAndPreviewImage(blob, preview);
+          })
+          .catch((e) => {
+            console.error('HEIC conversion failed', e);
+            if (loadingDiv.parentNode) loadingDiv.parentNode.removeChild(loadingDiv);
+
+            // Fallback: Try to use the original file
+            console.log('Falling back to original file:', file.name);
+            alert(`ไม่สามารถแปลงไฟล์ HEIC ได้: ${file.name}\nระบบจะใช้ไฟล์ต้นฉบับแทน (อาจไม่แสดงผลในบางอุปกรณ์)`);
+            this.readAndPreviewImage(file, preview);
+          });
+      } else {
+        this.readAndPreviewImage(file, preview);
+      }
+    });
+  }
+
+  async readAndPreviewImage(file, preview) {
+    try {
+      // Compress image to JPEG (1024px max, 0.7 quality)
+      const imgData = await this.resizeImage(file, 1024, 0.7);
+
+      this.completionImages.push({
+        id: this.store.generateId(),
+        base64: imgData,
+        timestamp: new Date().toISOString()
+      });
+
+      // Use the current length - 1 as the index, which is correct for the newly added item
+      const newIndex = this.completionImages.length - 1;
+
+      const imgDiv = document.createElement('div');
+      imgDiv.className = 'image-preview-item';
+      imgDiv.innerHTML = `
+        <img src="${imgData}" alt="Preview">
+        <button class="image-preview-remove" onclick="app.removeCompletionImage(${newIndex}); return false;">✕</button>
+      `;
+      preview.appendChild(imgDiv);
+    } catch (e) {
+      console.error('Image resize/read failed', e);
+      // If it's a blob from heic2any, name might be missing
+      const fileName = file.name || 'ไฟล์ที่ถูกแปลง';
+      alert('ไม่สามารถประมวลผลรูปภาพได้: ' + fileName);
+    }
+  }
+
+  resizeImage(file, maxWidth = 1024, quality = 0.7) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        const img = new Image();
+        img.onload = () => {
+          const canvas = document.createElement('canvas');
+          let width = img.width;
+          let height = img.height;
+
+          // Calculate new dimensions
+          if (width > maxWidth) {
+            height = Math.round((height * maxWidth) / width);
+            width = maxWidth;
+          }
+
+          canvas.width = width;
+          canvas.height = height;
+
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(img, 0, 0, width, height);
+
+          // Export as compressed JPEG
+          const dataUrl = canvas.toDataURL('image/jpeg', quality);
+          resolve(dataUrl);
+        };
+        img.onerror = (err) => {
+          console.error('Image loading error:', err);
+          reject(new Error('Failed to load image into canvas'));
+        };
+        img.src = e.target.result;
+      };
+      reader.onerror = (err) => {
+        console.error('FileReader error:', err);
+        reject(new Error('Failed to read file'));
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  removeCompletionImage(index) {
+    this.completionImages.splice(index, 1);
+
+    // Re-render preview
+    const preview = document.getElementById('image-preview');
+    preview.innerHTML = '';
+
+    this.completionImages.forEach((img, idx) => {
+      const imgDiv = document.createElement('div');
+      imgDiv.className = 'image-preview-item';
+      imgDiv.innerHTML = `
+        <img src="${img.base64}" alt="Preview ${idx + 1}">
+        <button class="image-preview-remove" onclick="app.removeCompletionImage(${idx}); return false;">✕</button>
+      `;
+      preview.appendChild(imgDiv);
+    });
+  }
+
+  async saveCompletion() {
+    console.log('[DEBUG] saveCompletion started for', this.currentQueueId);
+    const groomerId = document.getElementById('completion-groomer').value;
+    const notes = document.getElementById('completion-notes').value;
+
+    if (!groomerId) {
+      alert('กรุณาเลือกช่างผู้ให้บริการ');
+      return;
+    }
+
+    if (this.completionImages.length === 0) {
+      if (!confirm('ไม่มีรูปภาพตรวจสอบความเรียบร้อย ต้องการดำเนินการต่อหรือไม่?')) {
+        return;
+      }
+    }
+
+    try {
+      const payments = this.getCompletionPayments();
+      const { bill } = this.getCompletionBill(this.currentQueueId);
+      const queue = this.store.getQueueById(this.currentQueueId);
+      const received = payments.filter(p => p.status === 'confirmed').reduce((sum, p) => sum + p.amount, 0);
+      const outstanding = bill.total - this.getQueuePaidAmount(queue) - received;
+
+      // Unpaid balance blocks closing the job; only an admin can close it as owed
+      let balanceOverride = null;
+      if (outstanding > 0) {
+        if (!this.isAdmin()) {
+          const pendingQR = payments.some(p => p.status === 'pending') ? '\nยอด PromptPay ที่ยังไม่ยืนยันการโอนนับเป็นยอดค้าง' : '';
+          alert(`ยังค้างชำระ ${outstanding.toLocaleString()} บาท กรุณารับชำระให้ครบก่อนปิดงาน (หรือให้ผู้ดูแลระบบปิดงานแทน)${pendingQR}`);
+          return;
+        }
+        if (!confirm(`ยังค้างชำระ ${outstanding.toLocaleString()} บาท ต้องการปิดงานโดยค้างชำระหรือไม่? (สิทธิ์ผู้ดูแลระบบ)`)) {
+          return;
+        }
+        balanceOverride = { amount: outstanding, by: this.currentUser || '', at: new Date().toISOString() };
+      }
+
+      const receipt = await this.buildReceipt(this.currentQueueId, groomerId, payments);
+      if (!receipt) return;
+
+      // Payments first: the job is only closed once the ledger holds what the receipt shows
+      for (const payment of payments) {
+        if (!await this.store.addPayment(this.currentQueueId, { type: 'payment', ...payment }, this.currentUser)) {
+          // addPayment has told the user; rows already saved now count as paid in the bill
+          this.resetCompletionPayments();
+          return;
+        }
+      }
+
+      const result = await this.store.updateQueue(this.currentQueueId, {
+        status: 'completed',
+        groomerId,
+        completionImages: this.completionImages,
+        notes: notes || '',
+        discount: receipt.discount,
+        paymentStatus: receipt.paymentStatus,
+        balanceOverride,
+        receipt
+      });
+
+      if (result) {
+        console.log('[DEBUG] saveCompletion updateQueue success');
+        this.closeModal('modal-completion');
+        this.renderQueue();
+        this.renderDashboard();
+        this.showReceipt(receipt);
+      } else {
+        console.error('[DEBUG] saveCompletion updateQueue returned null');
+        this.resetCompletionPayments();
+        alert(payments.length
+          ? 'บันทึกการชำระเงินแล้ว แต่ไม่สามารถปิดงานได้ กรุณากดบันทึกอีกครั้ง'
+          : 'ไม่สามารถอัปเดตสถานะได้ กรุณาลองใหม่');
+      }
+    } catch (e) {
+      console.error('[DEBUG] saveCompletion error:', e);
+      alert('เกิดข้อผิดพลาดในการบันทึก: ' + e.message);
+    }
+  }
+
+  // ===================================
+  // RECEIPTS
+  // ===================================
+
+  // Current bill in the completion modal: quote at the check-in weight, discount, and everything
+  // already confirmed in the ledger (deposit and earlier payments, see getQueuePaidAmount)
+  getCompletionBill(queueId) {
+    const queue = this.store.getQueueById(queueId);
+    const quote = this.store.getQuote(queue.petId, queue.serviceType || [], parseFloat(queue.checkInWeight) || null, QueueRules.getQuoteOptions(queue));
+    const discount = parseFloat(document.getElementById('completion-discount').value) || 0;
+    return { quote, bill: Pricing.calculateBill(quote, { discount, deposit: this.getQueuePaidAmount(queue) }) };
+  }
+
+  updateCompletionBill() {
+    const container = document.getElementById('completion-bill');
+    if (!container || !this.currentQueueId) return;
+    const { quote, bill } = this.getCompletionBill(this.currentQueueId);
+    container.innerHTML = `
+      ${this.renderQuoteHTML(quote)}
+      ${bill.discount ? `<div class="price-quote-row"><span>ส่วนลด</span><span>-${bill.discount.toLocaleString()} บาท</span></div>` : ''}
+      ${bill.deposit ? `<div class="price-quote-row"><span>หักมัดจำ/ชำระแล้ว</span><span>-${bill.deposit.toLocaleString()} บาท</span></div>` : ''}
+      <div class="price-quote-total"><span>ยอดชำระ</span><span>${bill.balanceDue.toLocaleString()} บาท</span></div>
+    `;
+
+    // A single payment row follows the bill (e.g. after a discount); split rows are left as typed
+    const amountInputs = document.querySelectorAll('#completion-payments .payment-row-amount');
+    if (amountInputs.length === 1) amountInputs[0].value = bill.balanceDue;
+    this.updateCompletionPayments();
+  }
+
+  addCompletionPaymentRow() {
+    const container = document.getElementById('completion-payments');
+    const isFirst = container.children.length === 0;
+    container.insertAdjacentHTML('beforeend', `
+      <div class="payment-row">
+        <select class="form-select payment-row-method" onchange="app.updateCompletionPayments()">
+          <option value="cash">เงินสด</option>
+          <option value="transfer">โอนเงิน</option>
+          <option value="credit">บัตรเครดิต</option>
+          <option value="qr">PromptPay QR</option>
+        </select>
+        <input type="number" class="form-input payment-row-amount" min="0" step="0.01" value="0"
+          oninput="app.updateCompletionPayments()" />
+        ${isFirst ? '' : '<button type="button" class="btn btn-sm btn-danger" onclick="this.parentElement.remove(); app.updateCompletionPayments();">✕</button>'}
+      </div>
+    `);
+    this.updateCompletionPayments();
+  }
+
+  // Payment rows of the completion modal; PromptPay rows stay pending unless the transfer was seen
+  getCompletionPayments() {
+    const qrReceived = document.getElementById('completion-qr-received').checked;
+    return Array.from(document.querySelectorAll('#completion-payments .payment-row'))
+      .map(row => {
+        const method = row.querySelector('.payment-row-method').value;
+        return {
+          method,
+          amount: parseFloat(row.querySelector('.payment-row-amount').value) || 0,
+          status: method === 'qr' && !qrReceived ? 'pending' : 'confirmed'
+        };
+      })
+      .filter(p => p.amount > 0);
+  }
+
+  updateCompletionPayments() {
+    if (!this.currentQueueId) return;
+    const { bill } = this.getCompletionBill(this.currentQueueId);
+    const payments = this.getCompletionPayments();
+    const entered = payments.reduce((sum, p) => sum + p.amount, 0);
+    const qrAmount = payments.filter(p => p.method === 'qr').reduce((sum, p) => sum + p.amount, 0);
+    const remaining = bill.balanceDue - entered;
+
+    document.getElementById('completion-payment-remaining').textContent = remaining > 0
+      ? `ยังขาดอีก ${remaining.toLocaleString()} บาท`
+      : (remaining < 0 ? `รับเกิน ${Math.abs(remaining).toLocaleString()} บาท` : 'รับชำระครบแล้ว');
+
+    this.renderPromptPayQR('completion-qr', qrAmount > 0 ? qrAmount : null);
+    document.getElementById('completion-qr-received-label').classList.toggle('hidden', qrAmount <= 0);
+  }
+
+  // Receipt stored on the queue and copied to the service record (see QueueRules.buildServiceRecord)
+  async buildReceipt(queueId, groomerId, payments = []) {
+    const queue = this.store.getQueueById(queueId);
+    const customer = this.store.getCustomerById(queue.customerId);
+    const pet = this.store.getPetById(queue.petId);
+    const groomer = this.store.getGroomerById(groomerId);
+    const { quote, bill } = this.getCompletionBill(queueId);
+
+    let receiptNumber;
+    try {
+      receiptNumber = await this.store.allocateReceiptNumber();
+    } catch (e) {
+      console.error('Error allocating receipt number:', e);
+      alert('ออกเลขที่ใบเสร็จไม่สำเร็จ กรุณาลองใหม่');
+      return null;
+    }
+
+    return {
+      receiptNumber,
+      issuedAt: new Date().toISOString(),
+      issuedBy: this.currentUser || '',
+      shopName: this.store.data.settings.shopName,
+      queueId,
+      queueNumber: queue.queueNumber ?? null,
+      date: queue.date,
+      customerName: customer?.name || '-',
+      customerPhone: customer?.phone || '-',
+      petName: pet?.name || '-',
+      groomerName: groomer?.name || '-',
+      items: quote.items,
+      ...bill,
+      depositMethod: queue.depositMethod || null,
+      payments: payments.map(p => ({ method: p.method, amount: p.amount })),
+      // PromptPay taken at the counter waits for the transfer to be confirmed
+      paymentStatus: payments.some(p => p.status === 'pending') ? 'pending' : 'paid'
+    };
+  }
+
+  showReceipt(receipt) {
+    this.currentReceipt = receipt;
+    document.getElementById('receipt-content').innerHTML = this.renderReceiptHTML(receipt);
+    this.openModal('modal-receipt');
+  }
+
+  // Self-contained markup (inline styles) so the same HTML prints and exports to PDF
+  renderReceiptHTML(receipt) {
+    const money = (value) => `${Number(value || 0).toLocaleString('th-TH', { minimumFractionDigits: 2 })}`;
+    const row = (label, value, bold = false) => `
+      <tr style="${bold ? 'font-weight: 700;' : ''}">
+        <td style="padding: 4px 0;">${label}</td>
+        <td style="padding: 4px 0; text-align: right;">${value}</td>
+      </tr>`;
+    const issued = new Date(receipt.issuedAt);
+
+    return `
+      <div class="receipt" style="font-family: 'Sarabun', 'Prompt', sans-serif; color: #222; padding: 8px; font-size: 14px;">
+        <div style="text-align: center; margin-bottom: 12px;">
+          <div style="font-size: 18px; font-weight: 700;">${receipt.shopName || ''}</div>
+          <div>ใบเสร็จรับเงิน</div>
+        </div>
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 8px;">
+          ${row('เลขที่', receipt.receiptNumber)}
+          ${row('วันที่', `${this.formatDate(QueueRules.getLocalDateString(issued))} ${String(issued.getHours()).padStart(2, '0')}:${String(issued.getMinutes()).padStart(2, '0')}`)}
+          ${row('คิว', receipt.queueNumber ?? '-')}
+          ${row('ลูกค้า', `${receipt.customerName} (${receipt.customerPhone})`)}
+          ${row('สัตว์เลี้ยง', receipt.petName)}
+          ${row('ช่าง', receipt.groomerName)}
+        </table>
+        <table style="width: 100%; border-collapse: collapse; border-top: 1px dashed #999; border-bottom: 1px dashed #999;">
+          ${receipt.items.map(item => row(item.label, money(item.amount))).join('')}
+        </table>
+        <table style="width: 100%; border-collapse: collapse; margin-top: 8px;">
+          ${row('รวม', money(receipt.subtotal))}
+          ${receipt.discount ? row('ส่วนลด', `-${money(receipt.discount)}`) : ''}
+          ${receipt.deposit ? row('หักมัดจำ/ชำระแล้ว', `-${money(receipt.deposit)}`) : ''}
+          ${row('ยอดชำระ (บาท)', money(receipt.balanceDue), true)}
+          ${(receipt.payments || []).map(p => row(`ชำระโดย${this.getPaymentMethodLabel(p.method)}`, money(p.amount))).join('')}
+          ${!receipt.payments && receipt.paymentMethod ? row('ชำระโดย', this.getPaymentMethodLabel(receipt.paymentMethod)) : ''}
+        </table>
+        <div style="text-align: center; margin-top: 16px; color: #666;">ขอบคุณที่ใช้บริการ 🐾</div>
+      </div>`;
+  }
+
+  printReceipt() {
+    if (!this.currentReceipt) return;
+    const printWindow = window.open('', '_blank', 'width=420,height=640');
+    if (!printWindow) {
+      alert('กรุณาอนุญาตป๊อปอัปเพื่อพิมพ์ใบเสร็จ');
+      return;
+    }
+    printWindow.document.write(`<!DOCTYPE html><html lang="th"><head><meta charset="UTF-8">
+      <title>${this.currentReceipt.receiptNumber}</title></head>
+      <body style="margin: 0;">${this.renderReceiptHTML(this.currentReceipt)}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  exportReceiptPdf() {
+    if (!this.currentReceipt) return;
+    if (!window.html2pdf) {
+      // Library blocked or offline: the print dialog can still "Save as PDF"
+      alert('ไม่สามารถโหลดตัวสร้าง PDF ได้ กรุณาเลือก "บันทึกเป็น PDF" ในหน้าพิมพ์แทน');
+      this.printReceipt();
+      return;
+    }
+    const element = document.createElement('div');
+    element.innerHTML = this.renderReceiptHTML(this.currentReceipt);
+    window.html2pdf()
+      .set({
+        filename: `${this.currentReceipt.receiptNumber}.pdf`,
+        margin: 8,
+        html2canvas: { scale: 2 },
+        jsPDF: { unit: 'mm', format: 'a5', orientation: 'portrait' }
+      })
+      .from(element)
+      .save();
+  }
+
+  // ===================================
+  // PROMPTPAY
+  // ===================================
+
+  getPaymentMethodLabel(method) {
+    const labels = {
+      cash: 'เงินสด',
+      transfer: 'โอนเงิน',
+      credit: 'บัตรเครดิต',
+      qr: 'PromptPay QR'
+    };
+    return labels[method] || method || '-';
+  }
+
+  // amount null hides the container (another payment method is selected)
+  renderPromptPayQR(containerId, amount) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (amount === null || amount === undefined) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+    container.classList.remove('hidden');
+
+    const promptPayId = this.store.data.settings.promptPayId;
+    if (!promptPayId || !PromptPay.isValidId(promptPayId)) {
+      container.innerHTML = '<p class="text-muted">ยังไม่ได้ตั้งค่า PromptPay ID (ไปที่หน้าตั้งค่า)</p>';
+      return;
+    }
+    if (!(amount > 0)) {
+      container.innerHTML = '<p class="text-muted">กรุณาระบุยอดเงินเพื่อสร้าง QR</p>';
+      return;
+    }
+
+    const payload = PromptPay.buildPayload(promptPayId, amount);
+    container.innerHTML = `
+      <div class="promptpay-qr-code"></div>
+      <div class="promptpay-qr-amount">${amount.toLocaleString('th-TH', { minimumFractionDigits: 2 })} บาท</div>
+      <small class="text-muted">พร้อมเพย์: ${promptPayId}</small>
+      <div style="margin-top: 0.5rem;"><a href="#" class="promptpay-qr-download">⬇️ บันทึกรูป QR เพื่อส่งให้ลูกค้า</a></div>
+    `;
+
+    const codeEl = container.querySelector('.promptpay-qr-code');
+    if (!window.QRCode) {
+      // QR library blocked or offline: the payload can still be copied into a QR app
+      codeEl.innerHTML = `<code style="word-break: break-all;">${payload}</code>`;
+      container.querySelector('.promptpay-qr-download').remove();
+      return;
+    }
+    new QRCode(codeEl, { text: payload, width: 200, height: 200, correctLevel: QRCode.CorrectLevel.M });
+
+    container.querySelector('.promptpay-qr-download').onclick = (e) => {
+      e.preventDefault();
+      const canvas = codeEl.querySelector('canvas');
+      const img = codeEl.querySelector('img');
+      const link = document.createElement('a');
+      link.href = canvas ? canvas.toDataURL('image/png') : img?.src;
+      link.download = `promptpay-${amount}.png`;
+      link.click();
+    };
+  }
+
+  // kind: 'deposit' | 'payment'
+  showPaymentQR(queueId, kind) {
+    const queue = this.store.getQueueById(queueId);
+    if (!queue) return;
+
+    const amount = kind === 'deposit'
+      ? Number(queue.depositAmount) || 0
+      : Number(queue.amountPending) || Number(queue.receipt?.balanceDue) || 0;
+
+    this.currentPaymentQR = { queueId, kind };
+    document.getElementById('payment-qr-title').textContent =
+      `${kind === 'deposit' ? 'QR มัดจำ' : 'QR ชำระเงิน'} คิว #${queue.queueNumber}`;
+    this.openModal('modal-payment-qr');
+    this.renderPromptPayQR('payment-qr', amount);
+  }
+
+  async confirmPaymentFromQR() {
+    if (!this.currentPaymentQR) return;
+    const { queueId, kind } = this.currentPaymentQR;
+    const done = kind === 'deposit' ? await this.confirmDeposit(queueId) : await this.confirmPayment(queueId);
+    if (done) this.closeModal('modal-payment-qr');
+  }
+
+  async confirmDeposit(queueId) {
+    const queue = this.store.getQueueById(queueId);
+    if (!queue || !confirm(`ยืนยันว่าได้รับโอนมัดจำ ${queue.depositAmount} บาทแล้ว?`)) return false;
+
+    const result = await this.store.updateQueue(queueId, {
+      depositStatus: 'confirmed',
+      depositConfirmedAt: new Date().toISOString(),
+      depositConfirmedBy: this.currentUser || ''
+    });
+    if (!result) return false;
+    await this.store.confirmPendingPayments(queueId, ['deposit'], this.currentUser);
+
+    this.renderQueue();
+    this.renderDashboard();
+    return true;
+  }
+
+  async confirmPayment(queueId) {
+    const queue = this.store.getQueueById(queueId);
+    const amount = queue ? (queue.amountPending ?? queue.receipt?.balanceDue ?? 0) : 0;
+    if (!queue || !confirm(`ยืนยันว่าได้รับชำระ ${amount} บาทแล้ว?`)) return false;
+
+    const receipt = queue.receipt ? { ...queue.receipt, paymentStatus: 'paid' } : null;
+    const result = await this.store.updateQueue(queueId, {
+      paymentStatus: 'paid',
+      paymentConfirmedAt: new Date().toISOString(),
+      paymentConfirmedBy: this.currentUser || '',
+      ...(receipt ? { receipt } : {})
+    });
+    if (!result) return false;
+    await this.store.confirmPendingPayments(queueId, ['payment'], this.currentUser);
+
+    this.renderQueue();
+    this.renderDashboard();
+    return true;
+  }
+
+  // ===================================
+  // PAYMENT LEDGER
+  // ===================================
+
+  isAdmin() {
+    return localStorage.getItem('userRole') === 'admin';
+  }
+
+  // What the customer owes for a queue: the receipt once issued, otherwise the booking quote
+  getQueueAmountDue(queue) {
+    if (!queue || queue.status === 'cancelled') return 0;
+    // A no-show forfeits what was already paid (the deposit) and owes nothing more
+    if (queue.status === 'no-show') return this.getQueuePaidAmount(queue);
+    if (queue.receipt) return Number(queue.receipt.total) || 0;
+    if (queue.quotedPrice != null) return Number(queue.quotedPrice) || 0;
+    return this.store.getQuote(queue.petId, queue.serviceType || [], parseFloat(queue.checkInWeight) || null, QueueRules.getQuoteOptions(queue)).total;
+  }
+
+  // Confirmed money in minus refunds. Queues from before the ledger only have depositAmount.
+  getQueuePaidAmount(queue) {
+    if (!queue) return 0;
+    if (queue.amountPaid != null) return Number(queue.amountPaid) || 0;
+    return queue.depositStatus === 'pending' ? 0 : Number(queue.depositAmount) || 0;
+  }
+
+  getOutstandingBalance(queue) {
+    return this.getQueueAmountDue(queue) - this.getQueuePaidAmount(queue);
+  }
+
+  // Owed amounts matter once the pet is in the shop; a cancelled queue may owe the customer a refund
+  renderBalanceBadge(queue) {
+    const balance = this.getOutstandingBalance(queue);
+    if (queue.status === 'cancelled' && balance < 0) {
+      return `<div><span class="badge badge-cancelled">↩️ ค้างคืนเงิน ${Math.abs(balance).toLocaleString()} บาท</span></div>`;
+    }
+    if ((queue.status === 'check-in' || queue.status === 'completed') && balance > 0) {
+      return `<div><span class="badge badge-deposit">💸 ค้างชำระ ${balance.toLocaleString()} บาท</span></div>`;
+    }
+    return '';
+  }
+
+  // prefill: { type, amount, note } for the new-entry form (e.g. a refund after cancelling)
+  async showPaymentsModal(queueId, prefill = {}) {
+    const queue = this.store.getQueueById(queueId);
+    if (!queue) return;
+
+    this.currentPaymentsQueueId = queueId;
+    document.getElementById('payments-title').textContent = `การชำระเงิน คิว #${queue.queueNumber}`;
+    document.getElementById('payment-type').value = prefill.type || 'payment';
+    document.getElementById('payment-method').value = 'cash';
+    document.getElementById('payment-amount').value = prefill.amount ?? '';
+    document.getElementById('payment-note').value = prefill.note || '';
+    document.getElementById('payments-tbody').innerHTML = this.renderSkeletonTable(6, 2);
+    this.openModal('modal-payments');
+
+    const entries = await this.store.getPayments(queueId);
+    if (entries) this.renderPaymentsLedger(queueId);
+  }
+
+  renderPaymentsLedger(queueId) {
+    const queue = this.store.getQueueById(queueId);
+    const amountDue = this.getQueueAmountDue(queue);
+    const summary = Pricing.summarizePayments(Pricing.withLegacyDeposit(this.store.data.payments[queueId], queue), amountDue);
+    const typeLabels = { deposit: 'มัดจำ', payment: 'รับชำระ', refund: 'คืนเงิน' };
+
+    document.getElementById('payments-summary').innerHTML = `
+      <div class="price-quote-row"><span>ยอดที่ต้องชำระ</span><span>${amountDue.toLocaleString()} บาท</span></div>
+      <div class="price-quote-row"><span>รับแล้ว</span><span>${summary.paid.toLocaleString()} บาท</span></div>
+      ${summary.refunded ? `<div class="price-quote-row"><span>คืนเงินแล้ว</span><span>${summary.refunded.toLocaleString()} บาท</span></div>` : ''}
+      ${summary.pending ? `<div class="price-quote-row"><span>รอยืนยัน</span><span>${summary.pending.toLocaleString()} บาท</span></div>` : ''}
+      <div class="price-quote-total">
+        <span>${summary.balance < 0 ? 'ต้องคืนลูกค้า' : 'คงค้าง'}</span>
+        <span>${Math.abs(summary.balance).toLocaleString()} บาท</span>
+      </div>
+    `;
+
+    const tbody = document.getElementById('payments-tbody');
+    if (summary.entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">ยังไม่มีรายการ</td></tr>';
+      return;
+    }
+    tbody.innerHTML = summary.entries.map(entry => `
+      <tr>
+        <td>${this.formatDateTime(entry.createdAt)}</td>
+        <td>${typeLabels[entry.type] || entry.type}${entry.note ? `<br><small class="text-muted">${entry.note}</small>` : ''}</td>
+        <td>${this.getPaymentMethodLabel(entry.method)}</td>
+        <td style="color: ${entry.type === 'refund' ? 'var(--danger-color)' : 'inherit'};">
+          ${entry.type === 'refund' ? '-' : ''}${Number(entry.amount).toLocaleString()}
+        </td>
+        <td>${entry.balanceAfter.toLocaleString()}</td>
+        <td>${entry.status === 'pending' ? '<span class="badge badge-booking">รอยืนยัน</span>' : '<span class="badge badge-completed">ยืนยันแล้ว</span>'}</td>
+      </tr>
+    `).join('');
+  }
+
+  async savePaymentEntry() {
+    const queueId = this.currentPaymentsQueueId;
+    const type = document.getElementById('payment-type').value;
+    const method = document.getElementById('payment-method').value;
+    const amount = parseFloat(document.getElementById('payment-amount').value);
+    const note = document.getElementById('payment-note').value.trim();
+
+    if (!queueId) return;
+    if (isNaN(amount) || amount <= 0) {
+      alert('กรุณาระบุจำนวนเงิน');
+      return;
+    }
+
+    const queue = this.store.getQueueById(queueId);
+    if (type === 'refund' && amount > this.getQueuePaidAmount(queue)) {
+      alert('ยอดคืนเงินมากกว่ายอดที่ลูกค้าชำระแล้ว');
+      return;
+    }
+
+    // Refunds are paid out by staff, so they're confirmed on entry; PromptPay income waits for the transfer
+    const status = type !== 'refund' && method === 'qr' ? 'pending' : 'confirmed';
+    const entry = await this.store.addPayment(queueId, { type, amount, method, status, note }, this.currentUser);
+    if (!entry) return;
+
+    document.getElementById('payment-amount').value = '';
+    document.getElementById('payment-note').value = '';
+    this.renderPaymentsLedger(queueId);
+    this.renderQueue();
+    this.renderDashboard();
+  }
+
+  // ===================================
+  // DAILY CLOSE
+  // ===================================
+
+  async showDailyClose() {
+    const date = this.selectedDashboardDate || this.getTodayString();
+    this.dailyClose = null;
+
+    document.getElementById('daily-close-title').textContent = `ปิดยอดประจำวัน ${this.formatDate(date)}`;
+    document.getElementById('daily-close-report').innerHTML = '<p class="text-muted">กำลังโหลด...</p>';
+    this.openModal('modal-daily-close');
+
+    // A saved close is locked: show it as it was recorded
+    const saved = await this.store.getDailyClose(date);
+    if (saved) {
+      this.dailyClose = saved;
+      this.renderDailyClose();
+      return;
+    }
+
+    const [entries, serviceRecords] = await Promise.all([
+      this.store.getPaymentsForDate(date),
+      this.store.getServiceRecordsByDate(date)
+    ]);
+    if (!entries) {
+      document.getElementById('daily-close-report').innerHTML = '<p class="text-muted">โหลดข้อมูลไม่สำเร็จ</p>';
+      return;
+    }
+
+    this.dailyClose = {
+      date,
+      entries: entries.map(entry => ({
+        createdAt: entry.createdAt,
+        queueNumber: entry.queueNumber,
+        queueDate: entry.queueDate,
+        customerName: this.store.getCustomerById(entry.customerId)?.name || '-',
+        type: entry.type,
+        method: entry.method || 'cash',
+        amount: Number(entry.amount) || 0,
+        status: entry.status
+      })),
+      services: {
+        count: serviceRecords.length,
+        total: serviceRecords.reduce((sum, r) => sum + (Number(r.price) || 0), 0)
+      },
+      locked: false
+    };
+    document.getElementById('daily-close-float').value = 0;
+    document.getElementById('daily-close-counted').value = '';
+    document.getElementById('daily-close-note').value = '';
+    this.updateDailyClose();
+  }
+
+  updateDailyClose() {
+    const close = this.dailyClose;
+    if (!close || close.locked) return;
+
+    close.openingFloat = parseFloat(document.getElementById('daily-close-float').value) || 0;
+    close.countedCash = parseFloat(document.getElementById('daily-close-counted').value) || 0;
+    close.summary = Pricing.summarizeCashDrawer(close.entries, close);
+    this.renderDailyClose();
+  }
+
+  renderDailyClose() {
+    const close = this.dailyClose;
+    document.getElementById('daily-close-form').classList.toggle('hidden', close.locked);
+    document.getElementById('daily-close-save-btn').classList.toggle('hidden', close.locked);
+    document.getElementById('daily-close-report').innerHTML = this.renderDailyCloseHTML(close);
+  }
+
+  // Self-contained markup (inline styles) so the same HTML is shown and printed
+  renderDailyCloseHTML(close) {
+    const money = (value) => Number(value || 0).toLocaleString('th-TH', { minimumFractionDigits: 2 });
+    const row = (label, value, style = '') => `
+      <tr style="${style}">
+        <td style="padding: 4px 0;">${label}</td>
+        <td style="padding: 4px 0; text-align: right;">${value}</td>
+      </tr>`;
+    const typeLabels = { deposit: 'มัดจำ', payment: 'รับชำระ', refund: 'คืนเงิน' };
+    const summary = close.summary;
+    const discrepancyColor = summary.discrepancy < 0 ? '#D32F2F' : (summary.discrepancy > 0 ? '#FFA000' : '#2E7D32');
+
+    return `
+      <div class="daily-close" style="font-family: 'Sarabun', 'Prompt', sans-serif; color: #222; font-size: 14px;">
+        <div style="text-align: center; margin-bottom: 12px;">
+          <div style="font-size: 18px; font-weight: 700;">${this.store.data.settings.shopName || ''}</div>
+          <div>สรุปปิดยอดประจำวัน ${this.formatDate(close.date)}</div>
+          ${close.locked ? `<div style="color: #666;">🔒 ปิดยอดโดย ${close.closedBy || '-'} เมื่อ ${this.formatDateTime(close.closedAt)}</div>` : ''}
+        </div>
+
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 12px;">
+          <tr style="font-weight: 700; border-bottom: 1px solid #ccc;">
+            <td style="padding: 4px 0;">วิธีชำระ</td>
+            <td style="padding: 4px 0; text-align: right;">รับเข้า</td>
+            <td style="padding: 4px 0; text-align: right;">คืนเงิน</td>
+            <td style="padding: 4px 0; text-align: right;">สุทธิ</td>
+          </tr>
+          ${Object.entries(summary.byMethod).map(([method, totals]) => `
+            <tr>
+              <td style="padding: 4px 0;">${this.getPaymentMethodLabel(method)}</td>
+              <td style="padding: 4px 0; text-align: right;">${money(totals.received)}</td>
+              <td style="padding: 4px 0; text-align: right;">${totals.refunded ? `-${money(totals.refunded)}` : '-'}</td>
+              <td style="padding: 4px 0; text-align: right;">${money(totals.net)}</td>
+            </tr>`).join('') || '<tr><td colspan="4" style="padding: 4px 0; text-align: center; color: #666;">ไม่มีรายการรับเงิน</td></tr>'}
+        </table>
+
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 12px;">
+          ${row('งานที่ปิดวันนี้', `${close.services.count} งาน / ${money(close.services.total)} บาท`)}
+          ${row('มัดจำล่วงหน้า (คิววันถัดไป)', `${summary.futureDeposits.count} รายการ / ${money(summary.futureDeposits.total)} บาท`)}
+          ${row('คืนเงินรวม', `${money(summary.refunded)} บาท`)}
+          ${summary.pending ? row('PromptPay รอยืนยัน (ไม่นับรวม)', `${money(summary.pending)} บาท`, 'color: #666;') : ''}
+        </table>
+
+        <table style="width: 100%; border-collapse: collapse; border-top: 1px dashed #999; padding-top: 8px;">
+          ${row('เงินทอนตั้งต้น', money(close.openingFloat))}
+          ${row('เงินสดที่ควรมี', money(summary.expectedCash), 'font-weight: 700;')}
+          ${row('เงินสดที่นับได้', money(summary.countedCash))}
+          ${row(summary.discrepancy < 0 ? 'เงินขาด' : (summary.discrepancy > 0 ? 'เงินเกิน' : 'ส่วนต่าง'), money(Math.abs(summary.discrepancy)), `font-weight: 700; color: ${discrepancyColor};`)}
+          ${close.note ? row('หมายเหตุ', close.note) : ''}
+        </table>
+
+        ${close.entries.length ? `
+          <table style="width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 12px;">
+            <tr style="font-weight: 700; border-bottom: 1px solid #ccc;">
+              <td>เวลา</td><td>คิว</td><td>ลูกค้า</td><td>รายการ</td><td>วิธีชำระ</td><td style="text-align: right;">จำนวนเงิน</td>
+            </tr>
+            ${close.entries.map(entry => `
+              <tr style="${entry.status === 'pending' ? 'color: #999;' : ''}">
+                <td>${this.formatDateTime(entry.createdAt).split(' ').pop()}</td>
+                <td>${entry.queueNumber ?? '-'}${entry.queueDate !== close.date ? ` (${this.formatDate(entry.queueDate)})` : ''}</td>
+                <td>${entry.customerName}</td>
+                <td>${typeLabels[entry.type] || entry.type}${entry.status === 'pending' ? ' (รอยืนยัน)' : ''}</td>
+                <td>${this.getPaymentMethodLabel(entry.method)}</td>
+                <td style="text-align: right;">${entry.type === 'refund' ? '-' : ''}${money(entry.amount)}</td>
+              </tr>`).join('')}
+          </table>` : ''}
+      </div>`;
+  }
+
+  async saveDailyClose() {
+    const close = this.dailyClose;
+    if (!close || close.locked) return;
+
+    if (document.getElementById('daily-close-counted').value === '') {
+      alert('กรุณากรอกเงินสดที่นับได้');
+      return;
+    }
+    this.updateDailyClose();
+
+    const discrepancy = close.summary.discrepancy;
+    const message = discrepancy === 0
+      ? 'ยืนยันปิดยอด? เมื่อบันทึกแล้วจะแก้ไขไม่ได้'
+      : `เงินสด${discrepancy < 0 ? 'ขาด' : 'เกิน'} ${Math.abs(discrepancy).toLocaleString()} บาท ยืนยันปิดยอด? เมื่อบันทึกแล้วจะแก้ไขไม่ได้`;
+    if (!confirm(message)) return;
+
+    const saved = await this.store.saveDailyClose(close.date, {
+      entries: close.entries,
+      services: close.services,
+      openingFloat: close.openingFloat,
+      countedCash: close.countedCash,
+      summary: close.summary,
+      note: document.getElementById('daily-close-note').value.trim(),
+      closedAt: new Date().toISOString(),
+      closedBy: this.currentUser || ''
+    });
+    if (!saved) return;
+
+    this.dailyClose = saved;
+    this.renderDailyClose();
+    alert('บันทึกปิดยอดเรียบร้อย');
+  }
+
+  printDailyClose() {
+    if (!this.dailyClose || !this.dailyClose.summary) return;
+    const printWindow = window.open('', '_blank', 'width=720,height=900');
+    if (!printWindow) {
+      alert('กรุณาอนุญาตป๊อปอัปเพื่อพิมพ์รายงาน');
+      return;
+    }
+    printWindow.document.write(`<!DOCTYPE html><html lang="th"><head><meta charset="UTF-8">
+      <title>ปิดยอด ${this.dailyClose.date}</title></head>
+      <body style="margin: 16px;">${this.renderDailyCloseHTML(this.dailyClose)}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  // ===================================
+  // TRANSPORT (รับ-ส่ง)
+  // ===================================
+
+  getTransportZones() {
+    return (this.store.data.settings.transport && this.store.data.settings.transport.zones) || [];
+  }
+
+  populateTransportZoneSelect(selectId, selectedId = '') {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    select.innerHTML = '<option value="">-- เลือกโซน --</option>' + this.getTransportZones()
+      .map(zone => `<option value="${this.escapeHtml(zone.id)}">${this.escapeHtml(zone.name)} (${zone.fee.toLocaleString()} บาท)</option>`).join('');
+    select.value = selectedId || '';
+  }
+
+  // Drivers can be staff accounts or groomers; values are 'user:<id>' / 'groomer:<id>'
+  populateDriverSelect(selectId, selectedValue = '', emptyLabel = '-- ยังไม่กำหนด --') {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const users = this.store.getUsers();
+    const groomers = this.store.getActiveGroomers();
+    select.innerHTML = `<option value="">${emptyLabel}</option>
+      ${users.length ? `<optgroup label="พนักงาน">${users.map(u =>
+        `<option value="user:${u.id}">${u.realname || u.username}</option>`).join('')}</optgroup>` : ''}
+      ${groomers.length ? `<optgroup label="ช่าง">${groomers.map(g =>
+        `<option value="groomer:${g.id}">${g.name}${g.nickname ? ` (${g.nickname})` : ''}</option>`).join('')}</optgroup>` : ''}`;
+    select.value = selectedValue || '';
+  }
+
+  getDriverName(driverType, driverId) {
+    if (driverType === 'user') {
+      const user = this.store.getUserById(driverId);
+      return user ? (user.realname || user.username) : '';
+    }
+    return this.store.getGroomerById(driverId)?.name || '';
+  }
+
+  // Show the transport fields when ticked. transport: saved details when editing a queue;
+  // otherwise empty fields are filled from the customer and the appointment time.
+  updateTransportSection(transport = null) {
+    const section = document.getElementById('queue-transport-section');
+    if (!section) return;
+    const enabled = document.getElementById('queue-transport').checked;
+    section.classList.toggle('hidden', !enabled);
+    if (!enabled) return;
+
+    const customer = this.store.getCustomerById(document.getElementById('queue-customer').value);
+    const addressInput = document.getElementById('queue-transport-address');
+    const mapInput = document.getElementById('queue-transport-map');
+    const zoneSelect = document.getElementById('queue-transport-zone');
+
+    if (transport) {
+      document.getElementById('queue-transport-direction').value = transport.direction || 'both';
+      document.getElementById('queue-pickup-time').value = transport.pickupTime || '';
+      document.getElementById('queue-return-time').value = transport.returnTime || '';
+      addressInput.value = transport.address || '';
+      mapInput.value = transport.mapUrl || '';
+      this.populateTransportZoneSelect('queue-transport-zone', transport.zoneId);
+      this.populateDriverSelect('queue-transport-driver', transport.driverId ? `${transport.driverType}:${transport.driverId}` : '');
+      return;
+    }
+
+    this.populateTransportZoneSelect('queue-transport-zone', zoneSelect.value);
+    this.populateDriverSelect('queue-transport-driver', document.getElementById('queue-transport-driver').value);
+    if (customer) {
+      if (!addressInput.value) addressInput.value = customer.address || '';
+      if (!mapInput.value) mapInput.value = customer.mapUrl || '';
+      if (!zoneSelect.value && customer.transportZoneId) zoneSelect.value = customer.transportZoneId;
+    }
+
+    // Pickup 30 minutes before the appointment
+    const appointmentTime = document.getElementById('queue-time-slot').value;
+    const pickupInput = document.getElementById('queue-pickup-time');
+    if (!pickupInput.value && appointmentTime) {
+      pickupInput.value = this.calculateEndTime(appointmentTime, -30);
+    }
+  }
+
+  readTransportForm() {
+    const zoneId = document.getElementById('queue-transport-zone').value;
+    const zone = this.getTransportZones().find(z => z.id === zoneId);
+    const [driverType, driverId] = (document.getElementById('queue-transport-driver').value || ':').split(':');
+    const direction = document.getElementById('queue-transport-direction').value;
+
+    return {
+      direction,
+      pickupTime: direction !== 'return' ? document.getElementById('queue-pickup-time').value : '',
+      returnTime: direction !== 'pickup' ? document.getElementById('queue-return-time').value : '',
+      address: document.getElementById('queue-transport-address').value.trim(),
+      mapUrl: document.getElementById('queue-transport-map').value.trim(),
+      zoneId: zone ? zone.id : '',
+      zoneName: zone ? zone.name : '',
+      fee: zone ? zone.fee : 0,
+      driverType: driverId ? driverType : null,
+      driverId: driverId || null,
+      driverName: driverId ? this.getDriverName(driverType, driverId) : ''
+    };
+  }
+
+  // Transport line for the queue modal quote, or null
+  getQueueModalTransportFee() {
+    if (!document.getElementById('queue-transport')?.checked) return null;
+    const transport = this.readTransportForm();
+    if (!transport.zoneId) return null;
+    return QueueRules.getQuoteOptions({ isTransportIncluded: true, transport }).transport;
+  }
+
+  // Stops for the selected dashboard date, in time order
+  showRunSheet() {
+    this.runSheetDate = this.selectedDashboardDate || this.getTodayString();
+    document.getElementById('run-sheet-title').textContent = `ตารางรับ-ส่ง ${this.formatDate(this.runSheetDate)}`;
+    this.populateDriverSelect('run-sheet-driver', '', 'ทุกคน');
+    this.renderRunSheet();
+    this.openModal('modal-run-sheet');
+  }
+
+  getRunSheetStops() {
+    const driver = document.getElementById('run-sheet-driver').value;
+    return QueueRules.getTransportStops(this.store.getQueue(), this.runSheetDate)
+      .filter(stop => !driver || `${stop.queue.transport.driverType}:${stop.queue.transport.driverId}` === driver);
+  }
+
+  renderRunSheet() {
+    document.getElementById('run-sheet-content').innerHTML = this.renderRunSheetHTML(this.getRunSheetStops());
+  }
+
+  // Self-contained markup (inline styles) so the same HTML is shown and printed
+  renderRunSheetHTML(stops) {
+    if (stops.length === 0) {
+      return '<p style="text-align: center; color: #666;">ไม่มีรายการรับ-ส่งในวันนี้</p>';
+    }
+    const cell = 'padding: 6px 4px; border-bottom: 1px solid #ddd; vertical-align: top;';
+
+    return `
+      <table style="width: 100%; border-collapse: collapse; font-family: 'Sarabun', 'Prompt', sans-serif; font-size: 14px;">
+        <thead>
+          <tr style="font-weight: 700; text-align: left;">
+            <th style="${cell}">#</th>
+            <th style="${cell}">เวลา</th>
+            <th style="${cell}">งาน</th>
+            <th style="${cell}">สัตว์เลี้ยง / ลูกค้า</th>
+            <th style="${cell}">ที่อยู่</th>
+            <th style="${cell}">คนขับ</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${stops.map((stop, i) => {
+            const { queue } = stop;
+            const customer = this.store.getCustomerById(queue.customerId);
+            const pet = this.store.getPetById(queue.petId);
+            const transport = queue.transport;
+            return `
+              <tr>
+                <td style="${cell}">${i + 1}</td>
+                <td style="${cell} font-weight: 700;">${stop.time || '-'}</td>
+                <td style="${cell}">${stop.type === 'pickup' ? '⬆️ รับเข้าร้าน' : '⬇️ ส่งกลับบ้าน'}<br><small>คิว #${queue.queueNumber}</small></td>
+                <td style="${cell}">
+                  ${this.getPetIcon(pet)} ${pet?.name || '-'} ${pet?.breed ? `(${pet.breed})` : ''}<br>
+                  ${customer?.name || '-'} · <a href="tel:${customer?.phone || ''}">${customer?.phone || '-'}</a>
+                </td>
+                <td style="${cell}">
+                  ${transport.address || '-'}
+                  ${transport.mapUrl ? `<br><a href="${transport.mapUrl}" target="_blank" rel="noopener">📍 แผนที่</a>` : ''}
+                  ${transport.zoneName ? `<br><small>${transport.zoneName}</small>` : ''}
+                </td>
+                <td style="${cell}">${transport.driverName || '<span style="color: #D32F2F;">ยังไม่กำหนด</span>'}</td>
+              </tr>`;
+          }).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  printRunSheet() {
+    const printWindow = window.open('', '_blank', 'width=900,height=700');
+    if (!printWindow) {
+      alert('กรุณาอนุญาตป๊อปอัปเพื่อพิมพ์รายงาน');
+      return;
+    }
+    const driverSelect = document.getElementById('run-sheet-driver');
+    const driverLabel = driverSelect.value ? ` - ${driverSelect.selectedOptions[0].textContent}` : '';
+    printWindow.document.write(`<!DOCTYPE html><html lang="th"><head><meta charset="UTF-8">
+      <title>รับ-ส่ง ${this.runSheetDate}</title></head>
+      <body style="margin: 16px;">
+        <h3 style="font-family: sans-serif;">ตารางรับ-ส่ง ${this.formatDate(this.runSheetDate)}${driverLabel}</h3>
+        ${this.renderRunSheetHTML(this.getRunSheetStops())}
+      </body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  // ===================================
+  // RECURRING APPOINTMENTS
+  // ===================================
+
+  // { intervalWeeks, endDate } from the queue modal, or null when 'คิวประจำ' isn't ticked
+  readRecurrenceForm() {
+    if (!document.getElementById('queue-recurring')?.checked) return null;
+    return {
+      intervalWeeks: parseInt(document.getElementById('queue-recur-weeks').value, 10) || 0,
+      endDate: document.getElementById('queue-recur-until').value || null
+    };
+  }
+
+  // Later dates of the series being booked; dates whose slot is taken are flagged
+  updateRecurrenceSection() {
+    const section = document.getElementById('queue-recurrence-section');
+    if (!section) return;
+    const recurrence = this.editingQueueId ? null : this.readRecurrenceForm();
+    section.classList.toggle('hidden', !recurrence);
+    if (!recurrence) return;
+
+    const preview = document.getElementById('queue-recurrence-preview');
+    const date = document.getElementById('queue-date').value;
+    const dates = QueueRules.getRecurrenceDates(date, recurrence.intervalWeeks, recurrence.endDate);
+    if (dates.length === 0) {
+      preview.textContent = 'ไม่มีนัดครั้งถัดไปในช่วงที่เลือก';
+      return;
+    }
+
+    const occurrence = {
+      petId: document.getElementById('queue-pet').value,
+      serviceType: this.getQueueModalJob().services,
+      appointmentTime: document.getElementById('queue-time-slot').value,
+      duration: this.getQueueModalDuration().minutes,
+      assignedGroomerId: document.getElementById('queue-groomer').value || null
+    };
+
+    const openCount = dates.filter(d => !this.store.getClosure(d)).length;
+    preview.innerHTML = `<span>นัดครั้งถัดไป ${openCount} ครั้ง:</span>` + dates.map(d => {
+      const closure = this.store.getClosure(d);
+      if (closure) {
+        return `<span class="recurrence-date skipped" title="ร้านปิด (${this.escapeHtml(closure.reason)}) ข้ามนัดนี้">🚫 ${this.formatDate(d)}</span>`;
+      }
+      const clash = this.store.getBookingClash({ ...occurrence, date: d });
+      return `<span class="recurrence-date ${clash ? 'clash' : ''}" title="${clash || 'ว่าง'}">${clash ? '⚠️ ' : ''}${this.formatDate(d)}</span>`;
+    }).join('');
+  }
+
+  // Series line on a queue card, with a warning while an unconfirmed occurrence's slot is taken
+  renderRecurrenceInfo(queue) {
+    if (!queue.recurrence) return '';
+    const clash = queue.status === 'booking' ? this.store.getBookingClash(queue, queue.id) : null;
+    return `
+      <div>🔁 คิวประจำทุก ${queue.recurrence.intervalWeeks} สัปดาห์ (ครั้งที่ ${queue.recurrence.index + 1})</div>
+      ${clash ? `<div style="color: var(--error); font-weight: 600;">⚠️ ชนคิว: ${clash} กรุณาเลื่อนเวลาหรือเปลี่ยนช่าง</div>` : ''}`;
+  }
+
+  // ===================================
+  // WAITLIST
+  // ===================================
+
+  showAddWaitlistModal(prefill = {}) {
+    document.getElementById('form-waitlist').reset();
+    this.renderServiceCheckboxes();
+    this.populateCustomerDropdown('waitlist-customer');
+    document.getElementById('waitlist-customer').value = prefill.customerId || '';
+    this.loadWaitlistPets();
+    document.getElementById('waitlist-pet').value = prefill.petId || '';
+
+    const services = prefill.services || [];
+    document.querySelectorAll('input[name="waitlist-service-type"], input[name="waitlist-service-addon"]').forEach(cb => {
+      cb.checked = services.includes(cb.value);
+    });
+
+    const date = prefill.date || this.getTodayString();
+    document.getElementById('waitlist-date-from').value = date;
+    document.getElementById('waitlist-date-to').value = date;
+    this.openModal('modal-waitlist');
+  }
+
+  // Day the customer wanted is full: move what's been filled in on the booking form to the waitlist
+  addWaitlistFromQueueModal() {
+    const prefill = {
+      customerId: document.getElementById('queue-customer').value,
+      petId: document.getElementById('queue-pet').value,
+      services: this.getCheckedServices('service-type', 'service-addon'),
+      date: document.getElementById('queue-date').value
+    };
+    this.closeModal('modal-queue');
+    this.showAddWaitlistModal(prefill);
+  }
+
+  loadWaitlistPets() {
+    const customerId = document.getElementById('waitlist-customer').value;
+    const petSelect = document.getElementById('waitlist-pet');
+    const pets = customerId ? this.store.getPetsByCustomer(customerId) : [];
+    petSelect.innerHTML = '<option value="">-- เลือกสัตว์เลี้ยง --</option>' +
+      pets.map(p => `<option value="${p.id}">${this.getPetIcon(p)} ${p.name}</option>`).join('');
+  }
+
+  async saveWaitlistEntry() {
+    const entry = {
+      customerId: document.getElementById('waitlist-customer').value,
+      petId: document.getElementById('waitlist-pet').value,
+      serviceTypes: Array.from(document.querySelectorAll('input[name="waitlist-service-type"]:checked')).map(cb => cb.value),
+      addons: Array.from(document.querySelectorAll('input[name="waitlist-service-addon"]:checked')).map(cb => cb.value),
+      dateFrom: document.getElementById('waitlist-date-from').value,
+      dateTo: document.getElementById('waitlist-date-to').value,
+      timeFrom: document.getElementById('waitlist-time-from').value,
+      timeTo: document.getElementById('waitlist-time-to').value,
+      notes: document.getElementById('waitlist-notes').value.trim(),
+      createdBy: this.currentUser
+    };
+
+    if (!entry.customerId || !entry.petId || entry.serviceTypes.length === 0) {
+      alert('กรุณาเลือกลูกค้า สัตว์เลี้ยง และบริการหลัก');
+      return;
+    }
+    if (!entry.dateFrom || !entry.dateTo || entry.dateTo < entry.dateFrom) {
+      alert('กรุณาระบุช่วงวันที่ให้ถูกต้อง');
+      return;
+    }
+    if (entry.timeFrom && entry.timeTo && entry.timeTo <= entry.timeFrom) {
+      alert('เวลาสิ้นสุดต้องหลังเวลาเริ่ม');
+      return;
+    }
+
+    const created = await this.store.addWaitlistEntry(entry);
+    if (!created) return;
+    this.closeModal('modal-waitlist');
+    this.showPage('waitlist');
+  }
+
+  // Offers whose slot is still free
+  getOpenWaitlistOffers() {
+    return this.store.getWaitlist().filter(e => this.store.isWaitlistOfferOpen(e));
+  }
 
-    this.openModal('modal-completion');
+  updateWaitlistBadge() {
+    const badge = document.getElementById('nav-waitlist-count');
+    if (!badge) return;
+    const count = this.getOpenWaitlistOffers().length;
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
   }
 
-  previewImages(input) {
-    const files = input.files;
-    const preview = document.getElementById('image-preview');
+  // Called by DataStore after a cancellation or deletion freed time that waiting customers can take
+  onWaitlistMatched(entries) {
+    this.updateWaitlistBadge();
+    if (this.currentPage === 'waitlist') this.renderWaitlist();
 
-    if (files.length === 0) return;
+    const lines = entries.map(e => {
+      const pet = this.store.getPetById(e.petId);
+      return `- ${this.store.getCustomerById(e.customerId)?.name || '-'} (${pet?.name || '-'}): ${this.formatDate(e.offer.date)} ${e.offer.time}`;
+    });
+    alert(`🔔 มีเวลาว่างตรงกับรายการรอคิว ${entries.length} ราย\n${lines.join('\n')}\n\nดูและจองได้ที่เมนู "รายการรอคิว"`);
+  }
 
-    Array.from(files).forEach((file) => {
-      // Check if HEIC
-      const isHeic = file.name.toLowerCase().endsWith('.heic') || file.type === 'image/heic';
+  renderWaitlist() {
+    const tbody = document.getElementById('waitlist-tbody');
+    if (!tbody) return;
+    this.updateWaitlistBadge();
 
-      if (isHeic && window.heic2any) {
-        console.log('Converting HEIC file...', file.name);
-        // Show a temporary loading indicator
-        const loadingDiv = document.createElement('div');
-        loadingDiv.className = 'image-preview-item loading';
-        loadingDiv.innerHTML = '<div class="spinner"></div><span>Converting...</span>';
-        preview.appendChild(loadingDiv);
+    // Entries with a free slot first
+    const entries = this.store.getWaitlist()
+      .map(entry => ({ entry, open: this.store.isWaitlistOfferOpen(entry) }))
+      .sort((a, b) => b.open - a.open);
 
-        heic2any({
-          blob: file,
-          toType: "image/jpeg",
-          quality: 0.7
-        })
-          .then((conversionResult) => {
-            // Remove loading indicator
-            if (loadingDiv.parentNode) loadingDiv.parentNode.removeChild(loadingDiv);
+    if (entries.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="6" style="text-align: center; padding: 2rem; color: var(--text-gray);">
+            ไม่มีรายการรอคิว
+          </td>
+        </tr>`;
+      return;
+    }
 
-            // conversionResult can be a blob or array of blobs.
-            const blob = Array.isArray(conversionResult) ? conversionResult[0] : conversionResult;
-            // Create a new File object for consistency if needed, or just pass blob
-            this.readAndPreviewImage(blob, preview);
-          })
-          .catch((e) => {
-            console.error('HEIC conversion failed', e);
-            if (loadingDiv.parentNode) loadingDiv.parentNode.removeChild(loadingDiv);
+    tbody.innerHTML = entries.map(({ entry, open }) => {
+      const customer = this.store.getCustomerById(entry.customerId);
+      const pet = this.store.getPetById(entry.petId);
+      const dates = entry.dateFrom === entry.dateTo
+        ? this.formatDate(entry.dateFrom)
+        : `${this.formatDate(entry.dateFrom)} - ${this.formatDate(entry.dateTo)}`;
 
-            // Fallback: Try to use the original file
-            console.log('Falling back to original file:', file.name);
-            alert(`ไม่สามารถแปลงไฟล์ HEIC ได้: ${file.name}\nระบบจะใช้ไฟล์ต้นฉบับแทน (อาจไม่แสดงผลในบางอุปกรณ์)`);
-            this.readAndPreviewImage(file, preview);
-          });
-      } else {
-        this.readAndPreviewImage(file, preview);
+      let offerText = '-';
+      if (open) {
+        offerText = `<span class="waitlist-offer-slot">✨ ${this.formatDate(entry.offer.date)} ${entry.offer.time}-${entry.offer.endTime}</span>
+          ${entry.offer.freedQueueNumber ? `<br><small>จากคิว #${entry.offer.freedQueueNumber} ที่ยกเลิก</small>` : ''}`;
+      } else if (entry.offer) {
+        offerText = '<small class="text-muted">เวลาที่เคยว่างถูกจองไปแล้ว</small>';
       }
-    });
+
+      return `
+        <tr class="${open ? 'waitlist-offer' : ''}">
+          <td>
+            <strong>${customer?.name || '-'}</strong> ${customer?.phone ? `<br><small>${customer.phone}</small>` : ''}
+            <br>${this.getPetIcon(pet)} ${pet?.name || '-'}
+          </td>
+          <td>${[...entry.serviceTypes, ...(entry.addons || [])].join(', ')}
+            <br><small>${this.store.estimateServiceDuration(entry.serviceTypes, entry.petId).minutes} นาที</small>
+            ${entry.notes ? `<br><small>📝 ${entry.notes}</small>` : ''}</td>
+          <td>${dates}</td>
+          <td>${entry.timeFrom || entry.timeTo ? `${entry.timeFrom || 'เปิดร้าน'} - ${entry.timeTo || 'ปิดร้าน'}` : 'ทั้งวัน'}</td>
+          <td>${offerText}</td>
+          <td>
+            ${open
+          ? `<button class="btn btn-sm btn-success" onclick="app.convertWaitlistEntry('${entry.id}')">📅 จองเวลานี้</button>`
+          : `<button class="btn btn-sm btn-secondary" onclick="app.findWaitlistSlot('${entry.id}')">🔍 หาเวลาว่าง</button>`}
+            <button class="btn btn-sm btn-danger" onclick="app.removeWaitlistEntry('${entry.id}')">ลบ</button>
+          </td>
+        </tr>`;
+    }).join('');
+  }
+
+  // Look through the entry's whole date range for a free slot (e.g. after the roster changed)
+  async findWaitlistSlot(id) {
+    const entry = this.store.getWaitlistEntryById(id);
+    if (!entry) return;
+    for (let date = entry.dateFrom; date <= entry.dateTo; date = QueueRules.addDays(date, 1)) {
+      const slot = this.store.findWaitlistSlot(entry, date);
+      if (slot) {
+        await this.store.updateWaitlistEntry(id, { offer: { ...slot, freedQueueNumber: '', offeredAt: new Date().toISOString() } });
+        this.renderWaitlist();
+        return;
+      }
+    }
+    alert('ยังไม่มีเวลาว่างในช่วงที่ลูกค้าต้องการ');
   }
 
-  async readAndPreviewImage(file, preview) {
-    try {
-      // Compress image to JPEG (1024px max, 0.7 quality)
-      const imgData = await this.resizeImage(file, 1024, 0.7);
+  // One click: book the offered slot for the waiting customer
+  async convertWaitlistEntry(id) {
+    const entry = this.store.getWaitlistEntryById(id);
+    if (!entry || !this.store.isWaitlistOfferOpen(entry)) {
+      alert('เวลานี้ถูกจองไปแล้ว กรุณาค้นหาเวลาว่างใหม่');
+      this.renderWaitlist();
+      return;
+    }
 
-      this.completionImages.push({
-        id: this.store.generateId(),
-        base64: imgData,
-        timestamp: new Date().toISOString()
-      });
+    const { date, time } = entry.offer;
+    const services = [...entry.serviceTypes, ...(entry.addons || [])];
+    const duration = this.store.estimateServiceDuration(entry.serviceTypes, entry.petId).minutes;
+    const quote = this.store.getQuote(entry.petId, services);
+    const queueData = {
+      customerId: entry.customerId,
+      petId: entry.petId,
+      groomerId: null,
+      assignedGroomerId: null,
+      serviceType: services,
+      date,
+      bookingAt: new Date().toISOString(),
+      status: 'booking',
+      priority: false,
+      isTransportIncluded: false,
+      marketingSource: '',
+      notes: entry.notes || '',
+      health: '',
+      ticks: '',
+      createdBy: this.currentUser,
+      bookerName: this.currentUser,
+      appointmentTime: time,
+      estimatedEndTime: this.calculateEndTime(time, duration),
+      duration,
+      quotedPrice: quote.total,
+      priceItems: quote.items,
+      waitlistId: id
+    };
 
-      // Use the current length - 1 as the index, which is correct for the newly added item
-      const newIndex = this.completionImages.length - 1;
+    const queue = await this.store.addQueue(queueData);
+    if (!queue) return;
+    await this.store.updateWaitlistEntry(id, { status: 'booked', queueId: queue.id });
 
-      const imgDiv = document.createElement('div');
-      imgDiv.className = 'image-preview-item';
-      imgDiv.innerHTML = `
-        <img src="${imgData}" alt="Preview">
-        <button class="image-preview-remove" onclick="app.removeCompletionImage(${newIndex}); return false;">✕</button>
-      `;
-      preview.appendChild(imgDiv);
-    } catch (e) {
-      console.error('Image resize/read failed', e);
-      // If it's a blob from heic2any, name might be missing
-      const fileName = file.name || 'ไฟล์ที่ถูกแปลง';
-      alert('ไม่สามารถประมวลผลรูปภาพได้: ' + fileName);
-    }
+    this.renderWaitlist();
+    this.renderDashboard();
+    this.showBookingSummary(queue, queueData);
   }
 
-  resizeImage(file, maxWidth = 1024, quality = 0.7) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-          const canvas = document.createElement('canvas');
-          let width = img.width;
-          let height = img.height;
+  async removeWaitlistEntry(id) {
+    if (!confirm('ต้องการลบรายการรอคิวนี้หรือไม่?')) return;
+    await this.store.updateWaitlistEntry(id, { status: 'removed' });
+    this.renderWaitlist();
+  }
 
-          // Calculate new dimensions
-          if (width > maxWidth) {
-            height = Math.round((height * maxWidth) / width);
-            width = maxWidth;
-          }
+  // ===================================
+  // BOARDING (ฝากเลี้ยง)
+  // ===================================
 
-          canvas.width = width;
-          canvas.height = height;
+  // Nights of the stay being entered in the queue modal (0 when 'ฝากเลี้ยง' isn't selected)
+  getQueueModalNights() {
+    if (!this.getCheckedServices('service-type', 'service-addon').includes(Pricing.BOARDING_SERVICE)) return 0;
+    return QueueRules.countNights(
+      document.getElementById('queue-date').value,
+      document.getElementById('queue-checkout-date').value
+    );
+  }
 
-          const ctx = canvas.getContext('2d');
-          ctx.drawImage(img, 0, 0, width, height);
+  // Show the check-out/kennel fields for 'ฝากเลี้ยง' and list kennels free for the whole stay
+  updateBoardingSection(selectedKennelId = null) {
+    const section = document.getElementById('queue-boarding-section');
+    if (!section) return;
 
-          // Export as compressed JPEG
-          const dataUrl = canvas.toDataURL('image/jpeg', quality);
-          resolve(dataUrl);
-        };
-        img.onerror = (err) => {
-          console.error('Image loading error:', err);
-          reject(new Error('Failed to load image into canvas'));
-        };
-        img.src = e.target.result;
-      };
-      reader.onerror = (err) => {
-        console.error('FileReader error:', err);
-        reject(new Error('Failed to read file'));
-      };
-      reader.readAsDataURL(file);
-    });
-  }
+    const isBoarding = Array.from(document.querySelectorAll('input[name="service-type"]:checked'))
+      .some(cb => cb.value === Pricing.BOARDING_SERVICE);
+    section.classList.toggle('hidden', !isBoarding);
+    if (!isBoarding) return;
 
-  removeCompletionImage(index) {
-    this.completionImages.splice(index, 1);
+    const checkInDate = document.getElementById('queue-date').value;
+    const checkOutInput = document.getElementById('queue-checkout-date');
+    checkOutInput.min = checkInDate ? QueueRules.addDays(checkInDate, 1) : '';
+    if (checkInDate && (!checkOutInput.value || checkOutInput.value <= checkInDate)) {
+      checkOutInput.value = QueueRules.addDays(checkInDate, 1);
+    }
 
-    // Re-render preview
-    const preview = document.getElementById('image-preview');
-    preview.innerHTML = '';
+    const kennelSelect = document.getElementById('queue-kennel');
+    const current = selectedKennelId || kennelSelect.value;
+    const kennels = this.store.getKennels();
+    const free = this.store.getFreeKennels(checkInDate, checkOutInput.value, this.editingQueueId);
+    const freeIds = free.map(k => k.id);
 
-    this.completionImages.forEach((img, idx) => {
-      const imgDiv = document.createElement('div');
-      imgDiv.className = 'image-preview-item';
-      imgDiv.innerHTML = `
-        <img src="${img.base64}" alt="Preview ${idx + 1}">
-        <button class="image-preview-remove" onclick="app.removeCompletionImage(${idx}); return false;">✕</button>
-      `;
-      preview.appendChild(imgDiv);
-    });
+    kennelSelect.innerHTML = '<option value="">-- เลือกห้องพัก --</option>' + kennels.map(k => `
+      <option value="${this.escapeHtml(k.id)}" ${freeIds.includes(k.id) ? '' : 'disabled'}>
+        ${this.escapeHtml(k.name)}${k.note ? ` (${this.escapeHtml(k.note)})` : ''}${freeIds.includes(k.id) ? '' : ' (ไม่ว่าง)'}
+      </option>`).join('');
+    kennelSelect.value = freeIds.includes(current) ? current : (free[0]?.id || '');
+
+    const nights = QueueRules.countNights(checkInDate, checkOutInput.value);
+    document.getElementById('queue-boarding-info').textContent = kennels.length === 0
+      ? 'ยังไม่ได้ตั้งค่าห้องพัก (ไปที่หน้าตั้งค่า)'
+      : `${nights} คืน · ห้องว่างตลอดช่วง ${free.length}/${kennels.length} ห้อง`;
   }
 
-  async saveCompletion() {
-    console.log('[DEBUG] saveCompletion started for', this.currentQueueId);
-    const groomerId = document.getElementById('completion-groomer').value;
-    const notes = document.getElementById('completion-notes').value;
+  // Card line for a stay; viewDate says which night of the stay the card is shown on
+  renderStayInfo(queue, viewDate = null) {
+    if (!QueueRules.isBoardingQueue(queue)) return '';
+    const { checkOutDate, nights, kennelId, careLog } = queue.boarding;
+    const kennel = this.store.getKennels().find(k => k.id === kennelId);
+    const nightIndex = viewDate ? QueueRules.getStayNights(queue).indexOf(viewDate) : -1;
+    const dayLabel = viewDate === checkOutDate ? ' · วันรับกลับ'
+      : (nightIndex >= 0 ? ` · คืนที่ ${nightIndex + 1}/${nights}` : '');
+    const logged = viewDate && careLog && careLog[viewDate] ? ' ✔️ บันทึกแล้ว' : '';
 
-    if (!groomerId) {
-      alert('กรุณาเลือกช่างผู้ให้บริการ');
+    return `<div style="color: var(--secondary-color); font-weight: 600;">
+      🏠 ฝากเลี้ยง ${this.formatDate(queue.date)} - ${this.formatDate(checkOutDate)} (${nights} คืน) ·
+      ${kennel ? this.escapeHtml(kennel.name) : 'ไม่ระบุห้อง'}${dayLabel}${logged}
+    </div>`;
+  }
+
+  showCareLog(queueId, date = null) {
+    const queue = this.store.getQueueById(queueId);
+    if (!QueueRules.isBoardingQueue(queue)) return;
+    const pet = this.store.getPetById(queue.petId);
+    const nights = QueueRules.getStayNights(queue);
+
+    this.currentCareLogQueueId = queueId;
+    document.getElementById('care-log-title').textContent = `บันทึกการดูแล ${pet?.name || ''}`;
+    const today = this.getTodayString();
+    const defaultNight = nights.includes(date) ? date : (nights.includes(today) ? today : nights[0]);
+    document.getElementById('care-log-date').innerHTML = nights.map((night, i) =>
+      `<option value="${night}" ${night === defaultNight ? 'selected' : ''}>คืนที่ ${i + 1} - ${this.formatDate(night)}</option>`).join('');
+
+    this.fillCareLogForm();
+    this.renderCareLogHistory(queue);
+    this.openModal('modal-care-log');
+  }
+
+  fillCareLogForm() {
+    const queue = this.store.getQueueById(this.currentCareLogQueueId);
+    const date = document.getElementById('care-log-date').value;
+    const entry = (queue?.boarding?.careLog || {})[date] || {};
+    document.getElementById('care-log-feeding').value = entry.feeding || '';
+    document.getElementById('care-log-medication').value = entry.medication || '';
+    document.getElementById('care-log-notes').value = entry.notes || '';
+  }
+
+  renderCareLogHistory(queue) {
+    const careLog = queue.boarding.careLog || {};
+    const dates = Object.keys(careLog).sort();
+    document.getElementById('care-log-history').innerHTML = dates.length === 0 ? '' : `
+      <h4 style="margin: 1rem 0 0.5rem;">บันทึกที่ผ่านมา</h4>
+      ${dates.map(date => {
+        const entry = careLog[date];
+        return `<div class="price-quote" style="margin-bottom: 0.5rem;">
+          <strong>${this.formatDate(date)}</strong>
+          <small class="text-muted"> · ${entry.loggedBy || '-'} ${this.formatDateTime(entry.loggedAt)}</small>
+          ${entry.feeding ? `<div>🍽️ ${entry.feeding}</div>` : ''}
+          ${entry.medication ? `<div>💊 ${entry.medication}</div>` : ''}
+          ${entry.notes ? `<div>📝 ${entry.notes}</div>` : ''}
+        </div>`;
+      }).join('')}
+    `;
+  }
+
+  async saveCareLog() {
+    const queueId = this.currentCareLogQueueId;
+    const date = document.getElementById('care-log-date').value;
+    const entry = {
+      feeding: document.getElementById('care-log-feeding').value.trim(),
+      medication: document.getElementById('care-log-medication').value.trim(),
+      notes: document.getElementById('care-log-notes').value.trim(),
+      loggedBy: this.currentUser || '',
+      loggedAt: new Date().toISOString()
+    };
+    if (!entry.feeding && !entry.medication && !entry.notes) {
+      alert('กรุณากรอกบันทึกอย่างน้อย 1 ช่อง');
       return;
     }
 
-    if (this.completionImages.length === 0) {
-      if (!confirm('ไม่มีรูปภาพตรวจสอบความเรียบร้อย ต้องการดำเนินการต่อหรือไม่?')) {
-        return;
-      }
-    }
+    const result = await this.store.saveCareLog(queueId, date, entry);
+    if (!result) return;
 
-    try {
-      const result = await this.store.updateQueue(this.currentQueueId, {
-        status: 'completed',
-        groomerId,
-        completionImages: this.completionImages,
-        notes: notes || ''
-      });
+    this.renderCareLogHistory(this.store.getQueueById(queueId));
+    this.renderDashboard();
+    alert('บันทึกการดูแลเรียบร้อย');
+  }
 
-      if (result) {
-        console.log('[DEBUG] saveCompletion updateQueue success');
-        this.closeModal('modal-completion');
-        this.renderQueue();
-        this.renderDashboard();
-        alert('ปิดงานสำเร็จ!');
-      } else {
-        console.error('[DEBUG] saveCompletion updateQueue returned null');
-        alert('ไม่สามารถอัปเดตสถานะได้ กรุณาลองใหม่');
-      }
-    } catch (e) {
-      console.error('[DEBUG] saveCompletion error:', e);
-      alert('เกิดข้อผิดพลาดในการบันทึก: ' + e.message);
+  // Kennel x night grid, one week per page, starting from the selected dashboard date
+  showKennelCalendar() {
+    this.kennelCalendarStart = this.selectedDashboardDate || this.getTodayString();
+    this.renderKennelCalendar();
+    this.openModal('modal-kennel-calendar');
+  }
+
+  shiftKennelCalendar(days) {
+    this.kennelCalendarStart = QueueRules.addDays(this.kennelCalendarStart, days);
+    this.renderKennelCalendar();
+  }
+
+  renderKennelCalendar() {
+    const days = Array.from({ length: 14 }, (_, i) => QueueRules.addDays(this.kennelCalendarStart, i));
+    const kennels = this.store.getKennels();
+    const shortDate = (date) => this.formatDate(date).split(' ').slice(0, 2).join(' ');
+
+    document.getElementById('kennel-calendar-range').textContent =
+      `${this.formatDate(days[0])} - ${this.formatDate(days[days.length - 1])}`;
+
+    const table = document.getElementById('kennel-calendar-table');
+    if (kennels.length === 0) {
+      table.innerHTML = '<tr><td>ยังไม่ได้ตั้งค่าห้องพัก (ไปที่หน้าตั้งค่า)</td></tr>';
+      return;
     }
+
+    const occupancyByDay = days.map(day => this.store.getKennelOccupancy(day));
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>ห้อง</th>
+          ${days.map((day, i) => `<th class="${occupancyByDay[i].length >= kennels.length ? 'kennel-full' : ''}">
+            ${shortDate(day)}<br><small>${occupancyByDay[i].length}/${kennels.length}</small>
+          </th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${kennels.map(kennel => `
+          <tr>
+            <td><strong>${this.escapeHtml(kennel.name)}</strong></td>
+            ${occupancyByDay.map(stays => {
+              const stay = stays.find(q => q.boarding.kennelId === kennel.id);
+              if (!stay) return '<td class="kennel-free"></td>';
+              const pet = this.store.getPetById(stay.petId);
+              return `<td class="kennel-occupied" title="คิว #${stay.queueNumber}" onclick="app.showCareLog('${stay.id}')">
+                ${this.getPetIcon(pet)} ${pet?.name || '-'}
+              </td>`;
+            }).join('')}
+          </tr>`).join('')}
+      </tbody>
+    `;
   }
 
   // NEW: Edit Service Modal
@@ -4141,34 +7847,51 @@ class PetGroomingApp {
     const serviceCheckboxes = document.querySelectorAll('input[name="service-type"]:checked');
     const serviceTypes = Array.from(serviceCheckboxes).map(cb => cb.value);
 
-    // Calculate service duration for display (if services selected)
+    // Calculate service duration (defaults to 1 hour until services are selected)
+    const estimate = this.getQueueModalDuration();
+    const duration = estimate.minutes;
     let durationText = '';
     if (serviceTypes.length > 0) {
-      const duration = this.store.calculateServiceDuration(serviceTypes);
       const hours = Math.floor(duration / 60);
       const mins = duration % 60;
       durationText = hours > 0 ? `${hours}:${String(mins).padStart(2, '0')} ชม.` : `${mins} นาที`;
     }
+    this.renderDurationEstimate(serviceTypes.length > 0 ? estimate : null);
 
-    // Generate time slot buttons from 9:00 to 19:00 with 30-minute intervals
-    let buttonsHTML = '';
-    const currentSelectedTime = timeSlotInput.value; // Store current selection
+    const date = document.getElementById('queue-date')?.value;
+    if (!date) {
+      timeSlotContainer.innerHTML = '<div class="time-slot-placeholder">เลือกวันที่ก่อนเพื่อดูเวลาว่าง</div>';
+      this.updateGroomerAvailability();
+      return;
+    }
 
-    for (let hour = 9; hour <= 19; hour++) {
-      // 00 minutes
-      const time00 = `${String(hour).padStart(2, '0')}:00`;
-      const selected00 = time00 === currentSelectedTime ? 'selected' : '';
-      buttonsHTML += `<button type="button" class="time-slot-button ${selected00}" data-time="${time00}">${time00}</button>`;
-
-      // 30 minutes (only up to 18:30, assuming 19:00 is the last slot)
-      if (hour < 19) {
-        const time30 = `${String(hour).padStart(2, '0')}:30`;
-        const selected30 = time30 === currentSelectedTime ? 'selected' : '';
-        buttonsHTML += `<button type="button" class="time-slot-button ${selected30}" data-time="${time30}">${time30}</button>`;
-      }
+    const closure = this.store.getClosure(date);
+    if (closure) {
+      timeSlotContainer.innerHTML = `<div class="time-slot-placeholder">🚫 ร้านปิด (${this.escapeHtml(closure.reason)})</div>`;
+      infoText.textContent = 'ร้านปิดวันที่เลือก กรุณาเลือกวันอื่น';
+      infoText.style.color = 'var(--danger-color)';
+      this.currentSlotAvailability = [];
+      this.updateGroomerAvailability();
+      return;
     }
 
-    timeSlotContainer.innerHTML = buttonsHTML;
+    // Slots where no groomer who can take the job is free for the whole duration are disabled
+    const slots = this.store.getSlotAvailability(date, duration, this.editingQueueId, this.getQueueModalJob());
+    const currentSelectedTime = timeSlotInput.value; // Store current selection
+    this.currentSlotAvailability = slots;
+
+    let buttonsHTML = '';
+    slots.forEach(slot => {
+      const selected = slot.time === currentSelectedTime ? 'selected' : '';
+      // Keep the current booking's own time clickable when editing
+      const disabled = !slot.available && !selected ? 'disabled' : '';
+      const title = slot.available
+        ? `ช่างว่าง ${slot.groomers.length} คน (ถึง ${slot.endTime})`
+        : 'ไม่มีช่างที่รับงานนี้ได้ว่างในช่วงเวลานี้';
+      buttonsHTML += `<button type="button" class="time-slot-button ${selected}" data-time="${slot.time}" title="${title}" ${disabled}>${slot.time}</button>`;
+    });
+
+    timeSlotContainer.innerHTML = buttonsHTML || '<div class="time-slot-placeholder">ไม่มีช่วงเวลาที่รองรับบริการนี้</div>';
 
     // Add click event listeners to buttons
     const buttons = timeSlotContainer.querySelectorAll('.time-slot-button');
@@ -4180,16 +7903,92 @@ class PetGroomingApp {
         button.classList.add('selected');
         // Update hidden input value
         timeSlotInput.value = button.dataset.time;
+        this.updateGroomerAvailability();
+        this.updateRecurrenceSection();
       });
     });
 
     // Update info text
-    if (durationText) {
-      infoText.textContent = `เลือกเวลาเริ่มบริการ (ใช้เวลา ${durationText})`;
+    const hasFreeSlot = slots.some(slot => slot.available);
+    if (!hasFreeSlot) {
+      infoText.textContent = 'ไม่มีเวลาว่างในวันที่เลือก กรุณาเลือกวันอื่น';
+      infoText.style.color = 'var(--danger-color)';
+    } else {
+      infoText.textContent = durationText ? `เลือกเวลาเริ่มบริการ (ใช้เวลา ${durationText})` : 'เลือกเวลาเริ่มบริการ';
+      infoText.style.color = 'var(--text-gray)';
+    }
+
+    this.updateGroomerAvailability();
+  }
+
+  // Booking length for the modal's pet, main services and groomer (see DataStore.estimateServiceDuration)
+  getQueueModalDuration() {
+    const serviceTypes = Array.from(document.querySelectorAll('input[name="service-type"]:checked')).map(cb => cb.value);
+    return this.store.estimateServiceDuration(serviceTypes, document.getElementById('queue-pet')?.value, {
+      groomerId: document.getElementById('queue-groomer')?.value || null
+    });
+  }
+
+  // Settings-table time next to the average of similar past jobs
+  renderDurationEstimate(estimate) {
+    const info = document.getElementById('queue-duration-estimate');
+    if (!info) return;
+    if (!estimate) {
+      info.textContent = '';
+    } else if (estimate.history) {
+      const { average, count, basis } = estimate.history;
+      info.textContent = `⏱️ ตามตั้งค่า ${estimate.tableMinutes} นาที · เฉลี่ยจริง ${average} นาที (${count} ครั้ง, ${basis}) → จองไว้ ${estimate.minutes} นาที`;
+    } else {
+      info.textContent = `⏱️ ตามตั้งค่า ${estimate.tableMinutes} นาที (ยังมีประวัติงานแบบนี้ไม่พอ)`;
+    }
+  }
+
+  // Pet type and every service ticked in the queue modal (for groomer skill matching)
+  getQueueModalJob() {
+    const services = Array.from(document.querySelectorAll('input[name="service-type"]:checked, input[name="service-addon"]:checked'))
+      .map(cb => cb.value);
+    return this.store.getJob(document.getElementById('queue-pet')?.value, services);
+  }
+
+  // Rank the groomer dropdown for the job, mark busy and unqualified groomers,
+  // and warn when the picked groomer can't take the job
+  updateGroomerAvailability() {
+    const select = document.getElementById('queue-groomer');
+    const infoText = document.getElementById('queue-groomer-info');
+    if (!select || !infoText) return;
+
+    const selectedTime = document.getElementById('queue-time-slot').value;
+    const slot = selectedTime && (this.currentSlotAvailability || []).find(s => s.time === selectedTime);
+    const freeIds = slot ? slot.groomers.map(g => g.groomerId || g.id) : null;
+
+    const job = this.getQueueModalJob();
+    const currentValue = select.value;
+    const options = Array.from(select.options).filter(option => option.value);
+    const records = options.map(option => this.store.getGroomerById(option.value) || { id: option.value });
+    const ranked = QueueRules.rankGroomersForJob(records, job, this.store.data.settings);
+    ranked.forEach(({ groomer, issue }) => {
+      const option = options.find(o => o.value === groomer.id);
+      const name = groomer.name || option.textContent;
+      const busy = freeIds && !issue && !freeIds.includes(groomer.id);
+      option.textContent = issue ? `${name} (${issue})` : busy ? `${name} (ไม่ว่าง)` : name;
+      select.appendChild(option); // Re-append in ranked order
+    });
+    select.value = currentValue;
+
+    const pickedIssue = currentValue ? ranked.find(r => r.groomer.id === currentValue)?.issue : null;
+    if (pickedIssue) {
+      infoText.textContent = `⚠️ ช่างที่เลือกไม่เหมาะกับงานนี้: ${pickedIssue}`;
+      infoText.style.color = 'var(--danger-color)';
+    } else if (!selectedTime) {
+      infoText.textContent = '';
+    } else if (!freeIds || freeIds.length === 0) {
+      infoText.textContent = 'ไม่มีช่างว่างในเวลานี้';
+      infoText.style.color = 'var(--danger-color)';
     } else {
-      infoText.textContent = 'เลือกเวลาเริ่มบริการ';
+      const names = freeIds.map(id => this.store.getGroomerById(id)?.name).filter(Boolean);
+      infoText.textContent = `ช่างที่ว่าง: ${names.join(', ')}`;
+      infoText.style.color = 'var(--success-color)';
     }
-    infoText.style.color = 'var(--text-gray)';
   }
 
   // NEW: Format date to Thai format
@@ -4207,18 +8006,94 @@ class PetGroomingApp {
     return `${day} ${month} ${year}`;
   }
 
+  // ISO timestamp -> '5 ม.ค. 2568 14:05'
+  formatDateTime(isoStr) {
+    if (!isoStr) return '-';
+    const date = new Date(isoStr);
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return `${this.formatDate(QueueRules.getLocalDateString(date))} ${time}`;
+  }
+
   // NEW: Setup event listeners for queue modal
   setupQueueModalListeners() {
     // Listen for date change
     const dateInput = document.getElementById('queue-date');
     if (dateInput) {
-      dateInput.addEventListener('change', () => this.updateTimeSlots());
+      dateInput.addEventListener('change', () => {
+        // Closed days can't be picked: move to the next day the shop is open
+        const closure = this.store.getClosure(dateInput.value);
+        if (closure) {
+          alert(`ร้านปิดวันที่ ${this.formatDate(dateInput.value)} (${closure.reason}) กรุณาเลือกวันอื่น`);
+          dateInput.value = this.store.getNextOpenDate(dateInput.value);
+        }
+        this.updateTimeSlots();
+        this.refreshGroomerBusyTimes();
+        this.updateBoardingSection();
+        this.updateRecurrenceSection();
+        this.updateQueueQuote();
+      });
+    }
+
+    // Transport: details appear when ticked; the zone fee goes into the quote
+    document.getElementById('queue-transport')?.addEventListener('change', () => {
+      this.updateTransportSection();
+      this.updateQueueQuote();
+    });
+    ['queue-transport-zone', 'queue-transport-direction'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.updateQueueQuote());
+    });
+
+    // Skill warning for a groomer picked by hand
+    // (the groomer's own past jobs also change the estimated length)
+    document.getElementById('queue-groomer')?.addEventListener('change', () => this.updateTimeSlots());
+
+    // Recurring series: preview the later dates whenever the slot or the rule changes
+    ['queue-recurring', 'queue-recur-weeks', 'queue-recur-until', 'queue-groomer'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.updateRecurrenceSection());
+    });
+
+    document.getElementById('queue-checkout-date')?.addEventListener('change', () => {
+      this.updateBoardingSection();
+      this.updateQueueQuote();
+    });
+
+    // Listen for service checkbox changes (delegated: checkboxes are rebuilt from settings)
+    const servicesContainer = document.getElementById('queue-services-container');
+    if (servicesContainer) {
+      servicesContainer.addEventListener('change', (e) => {
+        if (e.target.name === 'service-type') {
+          this.updateTimeSlots();
+          this.updateBoardingSection();
+        }
+        this.updateQueueQuote();
+      });
+    }
+
+    const addonsContainer = document.getElementById('queue-addons-container');
+    if (addonsContainer) {
+      addonsContainer.addEventListener('change', () => {
+        this.updateTimeSlots();
+        this.updateQueueQuote();
+      });
+    }
+
+    // Pet decides the price (type, weight, coat) and which add-ons apply
+    const petSelect = document.getElementById('queue-pet');
+    if (petSelect) {
+      petSelect.addEventListener('change', () => {
+        const pet = this.store.getPetById(petSelect.value);
+        this.renderAddonCheckboxes('queue-addons-container', 'service-addon', pet?.type);
+        this.updateTimeSlots();
+        this.updateQueueQuote();
+      });
     }
+  }
 
-    // Listen for service checkbox changes
-    const serviceCheckboxes = document.querySelectorAll('input[name="service-type"]');
-    serviceCheckboxes.forEach(checkbox => {
-      checkbox.addEventListener('change', () => this.updateTimeSlots());
+  // Check-in modal: live quote from the measured weight
+  setupCheckInListeners() {
+    document.getElementById('checkin-weight')?.addEventListener('input', () => this.updateCheckInQuote());
+    ['checkin-services-container', 'checkin-addons-container'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.updateCheckInQuote());
     });
   }
 
@@ -4233,7 +8108,7 @@ class PetGroomingApp {
 
     const dateInput = document.getElementById('queue-date');
     if (dateInput) {
-      dateInput.value = todayString;
+      dateInput.value = this.store.getNextOpenDate(todayString);
       dateInput.min = todayString; // Can't book in the past
     }
 
@@ -4251,6 +8126,23 @@ class PetGroomingApp {
 
     // Update time slots in case services are already selected
     this.updateTimeSlots();
+    this.refreshGroomerBusyTimes();
+    this.updateBoardingSection();
+    this.updateTransportSection();
+
+    // A series is set up when booking; edits of an occurrence ask about the rest of the series
+    document.getElementById('queue-recurring-label')?.classList.toggle('hidden', !!this.editingQueueId);
+    this.updateRecurrenceSection();
+  }
+
+  // Fetch groomers' personal calendar events for the selected date, then redraw the slots
+  async refreshGroomerBusyTimes() {
+    const date = document.getElementById('queue-date')?.value;
+    if (!date) return;
+    await this.store.loadGroomerBusyTimes(date);
+    if (document.getElementById('queue-date')?.value === date) {
+      this.updateTimeSlots();
+    }
   }
 
   // Helper: Get today's date string in YYYY-MM-DD format
@@ -4378,8 +8270,9 @@ class PetGroomingApp {
 
   escapeHtml(text) {
     const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    div.textContent = text ?? '';
+    // textContent leaves quotes as they are; escape them too so the result is safe in attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
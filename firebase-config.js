@@ -10,38 +10,43 @@ const firebaseConfig = {
     // measurementId: "G-3W82XJBRWF" // Disable Analytics for Safari compatibility
 };
 
-// Initialize Firebase
-firebase.initializeApp(firebaseConfig);
-const db = firebase.firestore();
+if (typeof module !== 'undefined' && module.exports) {
+    // Node (server.js / firestore-adapter.js): share the config only
+    module.exports = { firebaseConfig };
+} else {
+    // Initialize Firebase
+    firebase.initializeApp(firebaseConfig);
+    const db = firebase.firestore();
 
-// firebase.firestore.setLogLevel('debug'); // Turn off for production to reduce console noise
+    // firebase.firestore.setLogLevel('debug'); // Turn off for production to reduce console noise
 
-// Standard settings (Bypass experimental settings if onSnapshot is no longer used)
-db.settings({
-    merge: true
-});
+    // Standard settings (Bypass experimental settings if onSnapshot is no longer used)
+    db.settings({
+        merge: true
+    });
 
-console.log('🔥 Firestore settings applied:', db._settings);
+    console.log('🔥 Firestore settings applied:', db._settings);
 
-window.db = db; // Make available globally for app.js
+    window.db = db; // Make available globally for app.js
 
 
-// TEST: Enable persistence for offline support and faster loads
-try {
-    // Note: synchronizeTabs: true can sometimes hang in Safari/WebKit but is generally recommended
-    db.enablePersistence({ synchronizeTabs: true })
-        .then(() => {
-            console.log('✓ Offline persistence enabled');
-        })
-        .catch((err) => {
-            if (err.code === 'failed-precondition') {
-                console.warn('⚠️ Persistence disabled: Multiple tabs open');
-            } else if (err.code === 'unimplemented') {
-                // console.warn('⚠️ Persistence not supported by browser');
-            } else {
-                console.warn('⚠️ Persistence failed:', err.code);
-            }
-        });
-} catch (err) {
-    console.warn('⚠️ Persistence initialization failed:', err);
+    // TEST: Enable persistence for offline support and faster loads
+    try {
+        // Note: synchronizeTabs: true can sometimes hang in Safari/WebKit but is generally recommended
+        db.enablePersistence({ synchronizeTabs: true })
+            .then(() => {
+                console.log('✓ Offline persistence enabled');
+            })
+            .catch((err) => {
+                if (err.code === 'failed-precondition') {
+                    console.warn('⚠️ Persistence disabled: Multiple tabs open');
+                } else if (err.code === 'unimplemented') {
+                    // console.warn('⚠️ Persistence not supported by browser');
+                } else {
+                    console.warn('⚠️ Persistence failed:', err.code);
+                }
+            });
+    } catch (err) {
+        console.warn('⚠️ Persistence initialization failed:', err);
+    }
 }
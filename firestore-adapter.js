@@ -0,0 +1,202 @@
+// ===================================
+// DATA ADAPTERS FOR THE REST API (server.js)
+// Both adapters expose the same async interface:
+//   list(collection, filters)   filters: [[field, op, value], ...] with op '==', '>=', '<='
+//   get(collection, id)         -> document or null
+//   add(collection, data)       -> created document (with id)
+//   set(collection, id, data)   -> document (create or replace)
+//   update(collection, id, updates) -> merged document, or null if not found
+//   remove(collection, id)      -> true if deleted, false if not found
+//   increment(collection, id, field, extra, initial) -> new value of a counter field, allocated atomically
+//                               (starts from `initial` when the document doesn't exist yet)
+//   updateWithCounter(collection, id, counter, buildUpdates) -> merged document, or null if not found;
+//                               counter { collection, id, field, extra, initial } is incremented in the same
+//                               transaction and buildUpdates(newValue) gives the document's updates
+//   addToFields(collection, id, deltas, initial) -> document after adding { field: delta } to its number fields
+//                               atomically; null if not found, unless `initial` is given (then the document
+//                               is created from `initial` with the deltas as its first values)
+// ===================================
+
+const { initializeApp } = require('firebase/app');
+const {
+    getFirestore, collection, doc, query, where,
+    getDocs, getDoc, addDoc, setDoc, updateDoc, deleteDoc, runTransaction, increment
+} = require('firebase/firestore');
+const { firebaseConfig } = require('./firebase-config');
+
+// Firestore (same project as the browser app)
+function createFirestoreAdapter(config = firebaseConfig) {
+    const firebaseApp = initializeApp(config, 'rest-api');
+    const db = getFirestore(firebaseApp);
+
+    return {
+        name: 'firestore',
+
+        async list(col, filters = []) {
+            const constraints = filters.map(([field, op, value]) => where(field, op, value));
+            const snapshot = await getDocs(query(collection(db, col), ...constraints));
+            return snapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+        },
+
+        async get(col, id) {
+            const snapshot = await getDoc(doc(db, col, id));
+            return snapshot.exists() ? { ...snapshot.data(), id: snapshot.id } : null;
+        },
+
+        async add(col, data) {
+            const docRef = await addDoc(collection(db, col), data);
+            return { id: docRef.id, ...data };
+        },
+
+        async set(col, id, data) {
+            await setDoc(doc(db, col, id), data);
+            return { id, ...data };
+        },
+
+        async update(col, id, updates) {
+            const ref = doc(db, col, id);
+            const snapshot = await getDoc(ref);
+            if (!snapshot.exists()) return null;
+            await updateDoc(ref, updates);
+            return { ...snapshot.data(), ...updates, id };
+        },
+
+        async updateWithCounter(col, id, counter, buildUpdates) {
+            const ref = doc(db, col, id);
+            const counterRef = doc(db, counter.collection, counter.id);
+            return runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                if (!snapshot.exists()) return null;
+                const counterSnapshot = await transaction.get(counterRef);
+                const value = (counterSnapshot.exists() ? (counterSnapshot.data()[counter.field] || 0) : (counter.initial || 0)) + 1;
+                const updates = buildUpdates(value);
+                transaction.set(counterRef, { ...(counter.extra || {}), [counter.field]: value }, { merge: true });
+                transaction.update(ref, updates);
+                return { ...snapshot.data(), ...updates, id };
+            });
+        },
+
+        async remove(col, id) {
+            const ref = doc(db, col, id);
+            const snapshot = await getDoc(ref);
+            if (!snapshot.exists()) return false;
+            await deleteDoc(ref);
+            return true;
+        },
+
+        async increment(col, id, field, extra = {}, initial = 0) {
+            const ref = doc(db, col, id);
+            return runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                const value = (snapshot.exists() ? (snapshot.data()[field] || 0) : initial) + 1;
+                transaction.set(ref, { ...extra, [field]: value }, { merge: true });
+                return value;
+            });
+        },
+
+        async addToFields(col, id, deltas, initial = null) {
+            const ref = doc(db, col, id);
+            const updates = Object.fromEntries(Object.entries(deltas).map(([field, delta]) => [field, increment(delta)]));
+            if (initial) {
+                await setDoc(ref, { ...initial, ...updates }, { merge: true });
+            } else {
+                const snapshot = await getDoc(ref);
+                if (!snapshot.exists()) return null;
+                await updateDoc(ref, updates);
+            }
+            const after = await getDoc(ref);
+            return { ...after.data(), id };
+        }
+    };
+}
+
+// In-memory stand-in for tests and offline development (DATA_ADAPTER=memory)
+function createMemoryAdapter(seed = {}) {
+    const collections = {};
+    let nextId = 1;
+
+    Object.entries(seed).forEach(([col, docs]) => {
+        collections[col] = new Map(docs.map(d => [d.id, { ...d }]));
+    });
+
+    const getCollection = (col) => {
+        if (!collections[col]) collections[col] = new Map();
+        return collections[col];
+    };
+
+    const matches = (data, [field, op, value]) => {
+        if (op === '==') return data[field] === value;
+        if (op === '>=') return data[field] >= value;
+        if (op === '<=') return data[field] <= value;
+        throw new Error(`Unsupported filter operator: ${op}`);
+    };
+
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+
+    return {
+        name: 'memory',
+
+        async list(col, filters = []) {
+            return [...getCollection(col).entries()]
+                .filter(([, data]) => filters.every(f => matches(data, f)))
+                .map(([id, data]) => ({ ...clone(data), id }));
+        },
+
+        async get(col, id) {
+            const data = getCollection(col).get(id);
+            return data ? { ...clone(data), id } : null;
+        },
+
+        async add(col, data) {
+            const id = `mem${String(nextId++).padStart(6, '0')}`;
+            getCollection(col).set(id, clone(data));
+            return { id, ...clone(data) };
+        },
+
+        async set(col, id, data) {
+            getCollection(col).set(id, clone(data));
+            return { id, ...clone(data) };
+        },
+
+        async update(col, id, updates) {
+            const existing = getCollection(col).get(id);
+            if (!existing) return null;
+            const merged = { ...existing, ...clone(updates) };
+            getCollection(col).set(id, merged);
+            return { ...clone(merged), id };
+        },
+
+        async updateWithCounter(col, id, counter, buildUpdates) {
+            if (!getCollection(col).has(id)) return null;
+            const value = await this.increment(counter.collection, counter.id, counter.field, counter.extra, counter.initial);
+            return this.update(col, id, buildUpdates(value));
+        },
+
+        async remove(col, id) {
+            return getCollection(col).delete(id);
+        },
+
+        async increment(col, id, field, extra = {}, initial = 0) {
+            const existing = getCollection(col).get(id);
+            const value = (existing ? (existing[field] || 0) : initial) + 1;
+            getCollection(col).set(id, { ...existing, ...clone(extra), [field]: value });
+            return value;
+        },
+
+        async addToFields(col, id, deltas, initial = null) {
+            if (initial && !getCollection(col).has(id)) getCollection(col).set(id, clone(initial));
+            const existing = getCollection(col).get(id);
+            if (!existing) return null;
+            Object.entries(deltas).forEach(([field, delta]) => {
+                existing[field] = (existing[field] || 0) + delta;
+            });
+            return { ...clone(existing), id };
+        }
+    };
+}
+
+function createAdapter() {
+    return process.env.DATA_ADAPTER === 'memory' ? createMemoryAdapter() : createFirestoreAdapter();
+}
+
+module.exports = { createFirestoreAdapter, createMemoryAdapter, createAdapter };
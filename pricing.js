@@ -0,0 +1,255 @@
+// ===================================
+// PRICING ENGINE
+// One place that turns a pet + selected services into an itemised quote.
+// Used by the browser (window.Pricing) and by queue-rules.js / server.js (require)
+// ===================================
+
+(function (root) {
+  const LARGE_BREED_SERVICE = 'หมาใหญ่';
+  const CAT_BATH_SERVICE = 'อาบน้ำ';
+  const BOARDING_SERVICE = 'ฝากเลี้ยง';
+  const TRANSPORT_SERVICE = 'รับ-ส่ง';
+
+  // Weight tier for a cat; unknown weight uses the lightest tier
+  function getCatTier(weight, weightTiers) {
+    if (!weightTiers || weightTiers.length === 0) return null;
+    if (!weight) return weightTiers[0];
+    return weightTiers.find(t => weight <= t.max) || weightTiers[weightTiers.length - 1];
+  }
+
+  /**
+   * input: {
+   *   petType: 'dog' | 'cat' | 'other',
+   *   weight: kg (check-in weight when known),
+   *   coatLength: 'short' | 'long',
+   *   isLargeBreed: true for big dogs (adds the 'หมาใหญ่' surcharge),
+   *   services: main services and add-ons, as stored in queue.serviceType,
+   *   nights: nights of a boarding stay ('ฝากเลี้ยง' is charged per night),
+   *   transport: { fee, label } when pickup/drop-off is booked (fee by distance zone)
+   * }
+   * returns { items: [{ service, label, amount, type: 'main' | 'addon' | 'surcharge' }], total }
+   */
+  function calculateQuote(input, settings) {
+    const { petType, weight, coatLength, isLargeBreed, nights, transport } = input || {};
+    const services = (input && input.services) || [];
+    const priceList = (settings && settings.priceList) || {};
+    const mainServices = (settings && settings.serviceTypes) || [];
+    const catPricing = settings && settings.catPricing;
+    const isCat = petType === 'cat';
+    const isLongCoat = coatLength === 'long';
+
+    const items = [];
+
+    services.forEach(service => {
+      // Size surcharge is added once below, whether picked as a service or set on the pet
+      if (service === LARGE_BREED_SERVICE) return;
+
+      const type = mainServices.includes(service) ? 'main' : 'addon';
+
+      // Cat bath is priced by weight tier and coat length
+      const tier = isCat && service === CAT_BATH_SERVICE && catPricing ? getCatTier(weight, catPricing.weightTiers) : null;
+      if (tier) {
+        const weightText = weight ? `${weight} กก.` : 'ไม่ทราบน้ำหนัก';
+        items.push({
+          service,
+          label: `${service} (แมว${isLongCoat ? 'ขนยาว' : 'ขนสั้น'}, ${weightText})`,
+          amount: isLongCoat ? tier.long : tier.short,
+          type
+        });
+        return;
+      }
+
+      // Boarding: nightly rate from settings.boarding times the nights of the stay
+      if (service === BOARDING_SERVICE && nights > 0) {
+        const nightlyRate = settings.boarding && settings.boarding.nightlyRate != null
+          ? settings.boarding.nightlyRate
+          : (priceList[service] || 0);
+        items.push({ service, label: `${service} (${nights} คืน × ${nightlyRate})`, amount: nightlyRate * nights, type });
+        return;
+      }
+
+      // Cat-specific add-on prices take precedence over the general price list
+      if (isCat && type === 'addon' && catPricing && catPricing.addons && catPricing.addons[service] != null) {
+        items.push({ service, label: service, amount: catPricing.addons[service], type });
+        return;
+      }
+
+      items.push({ service, label: service, amount: priceList[service] || 0, type });
+    });
+
+    if (!isCat && (isLargeBreed || services.includes(LARGE_BREED_SERVICE))) {
+      items.push({
+        service: LARGE_BREED_SERVICE,
+        label: LARGE_BREED_SERVICE,
+        amount: priceList[LARGE_BREED_SERVICE] || 0,
+        type: 'surcharge'
+      });
+    }
+
+    if (transport) {
+      items.push({
+        service: TRANSPORT_SERVICE,
+        label: transport.label || TRANSPORT_SERVICE,
+        amount: Number(transport.fee) || 0,
+        type: 'surcharge'
+      });
+    }
+
+    const total = items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    return { items, total };
+  }
+
+  // Quote for a pet record; weight overrides the stored weight (e.g. measured at check-in)
+  // options: { nights, transport } as in calculateQuote (see QueueRules.getQuoteOptions)
+  function quoteForPet(pet, services, settings, weight, options = {}) {
+    return calculateQuote({
+      petType: pet ? pet.type : null,
+      weight: weight || (pet ? pet.weight : null),
+      coatLength: pet ? pet.coatLength : null,
+      isLargeBreed: pet ? !!pet.isLargeBreed : false,
+      services,
+      nights: options.nights,
+      transport: options.transport
+    }, settings);
+  }
+
+  // Bill totals for a quote: discount first, then what was already paid (deposit and earlier payments)
+  function calculateBill(quote, { discount = 0, deposit = 0 } = {}) {
+    const subtotal = quote ? quote.total : 0;
+    const safeDiscount = Math.min(Math.max(Number(discount) || 0, 0), subtotal);
+    const safeDeposit = Math.max(Number(deposit) || 0, 0);
+    const total = subtotal - safeDiscount;
+    return {
+      subtotal,
+      discount: safeDiscount,
+      total,
+      deposit: safeDeposit,
+      balanceDue: Math.max(total - safeDeposit, 0)
+    };
+  }
+
+  /**
+   * Payment ledger of a queue (queue/{id}/payments).
+   * entries: [{ type: 'deposit' | 'payment' | 'refund', amount, method, status: 'pending' | 'confirmed', createdAt }]
+   * amountDue: what the customer owes in total (bill total, or 0 once the queue is cancelled)
+   * returns { entries (oldest first, each with balanceAfter), paid, refunded, pending, net, balance }
+   *   balance > 0 is still owed by the customer, balance < 0 is owed back to the customer
+   */
+  function summarizePayments(entries, amountDue = 0) {
+    const sorted = [...(entries || [])].sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+    let paid = 0;
+    let refunded = 0;
+    let pending = 0;
+    let balance = Number(amountDue) || 0;
+
+    const withBalance = sorted.map(entry => {
+      const amount = Number(entry.amount) || 0;
+      if (entry.status === 'pending') {
+        pending += entry.type === 'refund' ? -amount : amount;
+      } else if (entry.type === 'refund') {
+        refunded += amount;
+        balance += amount;
+      } else {
+        paid += amount;
+        balance -= amount;
+      }
+      return { ...entry, balanceAfter: balance };
+    });
+
+    return { entries: withBalance, paid, refunded, pending, net: paid - refunded, balance };
+  }
+
+  // Queues booked before the ledger only have depositAmount on the queue document. Until the ledger
+  // has a deposit entry of its own, that deposit counts as one (marked legacy: true).
+  function withLegacyDeposit(entries, queue) {
+    const list = entries || [];
+    const amount = Number(queue && queue.depositAmount) || 0;
+    if (amount <= 0 || list.some(entry => entry.type === 'deposit')) return list;
+    return [{
+      type: 'deposit',
+      amount,
+      method: queue.depositMethod || null,
+      status: queue.depositStatus === 'pending' ? 'pending' : 'confirmed',
+      note: 'มัดจำที่บันทึกไว้บนคิว',
+      createdAt: queue.depositAt || queue.createdAt || '',
+      legacy: true
+    }, ...list];
+  }
+
+  /**
+   * End-of-day cash drawer for one date.
+   * entries: ledger entries taken that day, each with queueDate (the appointment date of its queue)
+   * returns {
+   *   byMethod: { method: { received, refunded, net } } (confirmed entries only),
+   *   received, refunded, pending,
+   *   futureDeposits: { count, total } (deposits for appointments after `date`),
+   *   expectedCash, countedCash, discrepancy (counted - expected; negative = drawer is short)
+   * }
+   */
+  function summarizeCashDrawer(entries, { date, openingFloat = 0, countedCash = 0 } = {}) {
+    const byMethod = {};
+    let received = 0;
+    let refunded = 0;
+    let pending = 0;
+    const futureDeposits = { count: 0, total: 0 };
+
+    (entries || []).forEach(entry => {
+      const amount = Number(entry.amount) || 0;
+      if (entry.status === 'pending') {
+        pending += amount;
+        return;
+      }
+
+      const method = entry.method || 'cash';
+      if (!byMethod[method]) byMethod[method] = { received: 0, refunded: 0, net: 0 };
+
+      if (entry.type === 'refund') {
+        byMethod[method].refunded += amount;
+        byMethod[method].net -= amount;
+        refunded += amount;
+      } else {
+        byMethod[method].received += amount;
+        byMethod[method].net += amount;
+        received += amount;
+      }
+
+      if (entry.type === 'deposit' && entry.queueDate > date) {
+        futureDeposits.count++;
+        futureDeposits.total += amount;
+      }
+    });
+
+    const expectedCash = (Number(openingFloat) || 0) + (byMethod.cash ? byMethod.cash.net : 0);
+    const counted = Number(countedCash) || 0;
+
+    return {
+      byMethod,
+      received,
+      refunded,
+      pending,
+      futureDeposits,
+      expectedCash,
+      countedCash: counted,
+      discrepancy: counted - expectedCash
+    };
+  }
+
+  const Pricing = {
+    LARGE_BREED_SERVICE,
+    BOARDING_SERVICE,
+    TRANSPORT_SERVICE,
+    getCatTier,
+    calculateQuote,
+    quoteForPet,
+    calculateBill,
+    summarizePayments,
+    withLegacyDeposit,
+    summarizeCashDrawer
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pricing;
+  } else {
+    root.Pricing = Pricing;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,74 @@
+// ===================================
+// PROMPTPAY QR PAYLOAD (EMVCo merchant-presented QR, Thai PromptPay)
+// Used by the browser (window.PromptPay); the QR image itself is drawn by qrcodejs
+// ===================================
+
+(function (root) {
+  const PROMPTPAY_AID = 'A000000677010111';
+
+  // Tag + 2-digit length + value
+  function field(id, value) {
+    return `${id}${String(value.length).padStart(2, '0')}${value}`;
+  }
+
+  // CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as 4 uppercase hex digits
+  function crc16(text) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < text.length; i++) {
+      crc ^= text.charCodeAt(i) << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+        crc &= 0xFFFF;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  // PromptPay ID -> [sub-tag, value]: mobile number (01), national/tax ID (02) or e-wallet ID (03)
+  function formatTarget(promptPayId) {
+    const digits = String(promptPayId || '').replace(/\D/g, '');
+    if (digits.length >= 15) return ['03', digits];
+    if (digits.length === 13) return ['02', digits];
+    if (digits.length === 10 && digits.startsWith('0')) {
+      return ['01', `0066${digits.slice(1)}`];
+    }
+    return null;
+  }
+
+  function isValidId(promptPayId) {
+    return formatTarget(promptPayId) !== null;
+  }
+
+  // amount: baht; omitted or 0 gives a reusable QR where the customer types the amount
+  function buildPayload(promptPayId, amount) {
+    const target = formatTarget(promptPayId);
+    if (!target) throw new Error('Invalid PromptPay ID');
+
+    const hasAmount = Number(amount) > 0;
+    const merchantInfo = field('00', PROMPTPAY_AID) + field(target[0], target[1]);
+
+    const payload = [
+      field('00', '01'),                    // Payload format indicator
+      field('01', hasAmount ? '12' : '11'), // 12 = single use (amount fixed), 11 = reusable
+      field('29', merchantInfo),
+      field('58', 'TH'),
+      field('53', '764'),                   // THB
+      hasAmount ? field('54', Number(amount).toFixed(2)) : ''
+    ].join('') + '6304';
+
+    return payload + crc16(payload);
+  }
+
+  const PromptPay = {
+    crc16,
+    formatTarget,
+    isValidId,
+    buildPayload
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptPay;
+  } else {
+    root.PromptPay = PromptPay;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
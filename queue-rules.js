@@ -0,0 +1,1020 @@
+// ===================================
+// SHARED BOOKING RULES
+// Used by the browser (app.js -> window.QueueRules) and the REST API (server.js -> require)
+// ===================================
+
+(function (root) {
+  const Pricing = typeof module !== 'undefined' && module.exports ? require('./pricing') : root.Pricing;
+
+  function getDefaultSettings() {
+    return {
+      shopName: 'QueSanrue Grooming',
+      queueNumberPrefix: 'Q',
+      receiptNumberPrefix: 'R',
+      promptPayId: '',
+      serviceTypes: [
+        'อาบน้ำ',
+        'อาบ Set C',
+        'อาบประกวด',
+        'อาบน้ำ-ตัดขน ด้วยกรรไกร',
+        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน',
+        'อาบน้ำ พร้อมทำสปา',
+        'หมาใหญ่',
+        'ฝากเลี้ยง',
+        'อื่นๆ'
+      ],
+      // Services a bath-only groomer ('ช่างอาบน้ำ') can't take (see getGroomerSkillIssue),
+      // including the cat cut add-ons from catPricing.addons
+      cuttingServices: [
+        'อาบน้ำ-ตัดขน ด้วยกรรไกร',
+        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน',
+        'ตัดขน-กรรไกร',
+        'ตัดขน-ปัตตาเลี่ยน'
+      ],
+      addonServices: [
+        'ตัดเล็บ',
+        'ไถขนอุ้งเท้า/ท้อง/ก้น',
+        'เช็ดหู',
+        'สางสังกะตัง',
+        'กำจัดเห็บหมัด',
+        'แปรงฟัน'
+      ],
+      priceList: {
+        'อาบน้ำ': 0,
+        'อาบ Set C': 0,
+        'อาบประกวด': 0,
+        'อาบน้ำ-ตัดขน ด้วยกรรไกร': 0,
+        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน': 0,
+        'อาบน้ำ พร้อมทำสปา': 0,
+        'หมาใหญ่': 0,
+        'ฝากเลี้ยง': 0,
+        'อื่นๆ': 0,
+        'ตัดเล็บ': 0,
+        'ไถขนอุ้งเท้า/ท้อง/ก้น': 0,
+        'เช็ดหู': 0,
+        'สางสังกะตัง': 0,
+        'กำจัดเห็บหมัด': 0,
+        'แปรงฟัน': 0
+      },
+      serviceDurations: {
+        'อาบน้ำ': 60,
+        'อาบ Set C': 60,
+        'อาบประกวด': 60,
+        'อาบน้ำ-ตัดขน ด้วยกรรไกร': 120,
+        'อาบน้ำ-ตัดขน ด้วยปัตตาเลี่ยน': 120, // Formerly 90-120
+        'อาบน้ำ พร้อมทำสปา': 90,
+        'หมาใหญ่': 60,
+        'ฝากเลี้ยง': 0,
+        'อื่นๆ': 30
+      },
+      defaultWorkingHours: {
+        start: '09:00',
+        end: '18:00'
+      },
+      // Cleanup after each appointment (table, dryers): per main service, else bufferMinutes
+      bufferMinutes: 0,
+      serviceBufferMinutes: {},
+      catPricing: {
+        weightTiers: [
+          { max: 2, short: 300, long: 400 },
+          { max: 3.5, short: 350, long: 450 },
+          { max: 5, short: 400, long: 500 },
+          { max: 7, short: 500, long: 600 },
+          { max: 10, short: 600, long: 700 },
+          { max: 999, short: 700, long: 800 }
+        ],
+        addons: {
+          'ตัดขน-ปัตตาเลี่ยน': 150,
+          'ตัดขน-กรรไกร': 250,
+          'ตัดเฉพาะจุด': 50,
+          'แปรงฟัน': 50,
+          'เชื้อรา': 80,
+          'ทรีตเมนต์': 50,
+          'ขจัดคราบมัน': 250, // Full body
+          'หยดเห็บหมัด': 50,
+          'สางสังกะตัง': 50, // Per spot
+          'เครื่องเป่าขน': 50
+        }
+      },
+      // Pickup/drop-off fee by distance from the shop (zones sorted by maxKm)
+      transport: {
+        zones: [
+          { id: 'Z1', name: 'ไม่เกิน 3 กม.', maxKm: 3, fee: 100 },
+          { id: 'Z2', name: '3-7 กม.', maxKm: 7, fee: 150 },
+          { id: 'Z3', name: '7-15 กม.', maxKm: 15, fee: 250 }
+        ]
+      },
+      // 'ฝากเลี้ยง' stays: charged per night, one pet per kennel per night
+      boarding: {
+        nightlyRate: 300,
+        kennels: [
+          { id: 'K1', name: 'ห้อง 1' },
+          { id: 'K2', name: 'ห้อง 2' },
+          { id: 'K3', name: 'ห้อง 3' },
+          { id: 'K4', name: 'ห้อง 4' }
+        ]
+      },
+      // Days the shop doesn't take bookings (see getClosure)
+      closures: {
+        weeklyDays: [],
+        dates: []
+      },
+      // Arrivals this many minutes after the appointment count as late; customers with
+      // depositAfterNoShows no-shows must pay a deposit (0 = never)
+      reliability: {
+        lateMinutes: 15,
+        depositAfterNoShows: 2
+      }
+    };
+  }
+
+  // Stored settings document (settings/shop) over the defaults.
+  // Lists, catPricing, transport, boarding, closures and reliability are taken whole from the document; price and duration
+  // tables are merged so services added to the defaults later still get a value.
+  function mergeSettings(stored) {
+    const defaults = getDefaultSettings();
+    if (!stored) return defaults;
+    return {
+      ...defaults,
+      ...stored,
+      priceList: { ...defaults.priceList, ...(stored.priceList || {}) },
+      serviceDurations: { ...defaults.serviceDurations, ...(stored.serviceDurations || {}) },
+      defaultWorkingHours: { ...defaults.defaultWorkingHours, ...(stored.defaultWorkingHours || {}) }
+    };
+  }
+
+  // Calculate service duration based on services selected
+  function calculateServiceDuration(serviceTypes, settings) {
+    if (!serviceTypes || serviceTypes.length === 0) return 60;
+
+    // Safety check for serviceDurations
+    const durations = settings && settings.serviceDurations;
+    if (!durations) {
+      // Default durations if not found
+      const defaultDurations = {
+        'อาบน้ำ': 60,
+        'ตัดขน': 90,
+        'ตัดเล็บ': 30,
+        'ทำสปา': 45,
+        'ดูแลพิเศษ': 60
+      };
+      let total = 0;
+      serviceTypes.forEach(service => {
+        total += defaultDurations[service] || 60;
+      });
+      return total;
+    }
+
+    const servicesKey = [...serviceTypes].sort().join(',');
+
+    // Check for combo override
+    if (durations[servicesKey]) {
+      return durations[servicesKey];
+    }
+
+    // Sum individual services
+    let total = 0;
+    serviceTypes.forEach(service => {
+      total += durations[service] || 60;
+    });
+
+    return total;
+  }
+
+  // Cleanup time after an appointment: the longest per-service buffer among the booked services,
+  // else the shop default. It only holds the groomer (availability); estimatedEndTime, the time
+  // given to the customer, never includes it.
+  function getBufferMinutes(serviceTypes, settings) {
+    const perService = (settings && settings.serviceBufferMinutes) || {};
+    const buffers = (serviceTypes || [])
+      .filter(s => perService[s] != null)
+      .map(s => Number(perService[s]) || 0);
+    return buffers.length ? Math.max(...buffers) : (Number(settings && settings.bufferMinutes) || 0);
+  }
+
+  // Minutes of the day a booking holds its groomer, cleanup buffer included: { start, end }, or null when untimed
+  function getHeldRange(queue, settings) {
+    if (!queue.appointmentTime) return null;
+    const start = timeToMinutes(queue.appointmentTime);
+    return { start, end: start + (queue.duration || 60) + getBufferMinutes(queue.serviceType, settings) };
+  }
+
+  // Active bookings among `queues` on a date that overlap [startMinutes, endMinutes).
+  // excludeQueueId: the queue being edited, so it doesn't clash with itself
+  function getOverlappingQueues(queues, date, startMinutes, endMinutes, settings, excludeQueueId = null) {
+    return (queues || []).filter(q => {
+      if (q.date !== date || q.id === excludeQueueId || isReleasedQueue(q)) return false;
+      const held = getHeldRange(q, settings);
+      return !!held && startMinutes < held.end && endMinutes > held.start;
+    });
+  }
+
+  // Existing booking of this groomer that overlaps the slot, or null
+  function findGroomerBookingConflict(queues, groomerId, date, startMinutes, endMinutes, settings, excludeQueueId = null) {
+    if (!groomerId) return null;
+    return getOverlappingQueues(queues, date, startMinutes, endMinutes, settings, excludeQueueId)
+      .find(q => q.assignedGroomerId === groomerId) || null;
+  }
+
+  // ---------- Learned durations ----------
+  // Real job lengths from service records (check-in to completion), grouped like the job being booked
+
+  const WEIGHT_BANDS = [
+    { max: 5, label: 'ไม่เกิน 5 กก.' },
+    { max: 10, label: '5-10 กก.' },
+    { max: 20, label: '10-20 กก.' },
+    { max: Infinity, label: 'เกิน 20 กก.' }
+  ];
+
+  // Fewer past jobs than this and the settings table is used instead
+  const MIN_DURATION_SAMPLES = 3;
+
+  function getWeightBand(weight) {
+    const kg = parseFloat(weight);
+    return kg > 0 ? WEIGHT_BANDS.find(b => kg <= b.max).label : null;
+  }
+
+  // Main services only, as one key ('a,b'); add-ons don't set the booking length
+  function getServicesKey(services, settings) {
+    const main = (settings && settings.serviceTypes) || [];
+    return (services || []).filter(s => main.includes(s)).sort().join(',');
+  }
+
+  // Timing of a service record as { services, petType, breed, weight, groomerId, duration },
+  // or null for boarding stays and records without believable timings
+  function getDurationSample(record, pet) {
+    if (!record || record.boarding || !record.checkInAt) return null;
+    if (!(record.duration >= 10 && record.duration <= 8 * 60)) return null;
+    return {
+      services: record.servicesPerformed || [],
+      petType: record.petType || (pet && pet.type) || null,
+      breed: record.breed || (pet && pet.breed) || null,
+      weight: record.checkInWeight || (pet && pet.weight) || null,
+      groomerId: record.groomerId || null,
+      duration: record.duration
+    };
+  }
+
+  /**
+   * Groups of past jobs a job is compared with, most specific first: breed and weight band, breed,
+   * weight band, then any pet of the same type - at each step the groomer's own jobs first when groomerId is given.
+   * entry: a duration sample or a job { services, petType, breed, weight, groomerId }
+   * returns [{ key (durationStats group), basis (shown in the queue modal) }]
+   */
+  function getDurationGroups(entry, settings) {
+    const servicesKey = getServicesKey(entry && entry.services, settings);
+    if (!servicesKey) return [];
+
+    const { breed, groomerId } = entry;
+    const band = getWeightBand(entry.weight);
+    const levels = [
+      breed && band ? { level: `breed:${breed}|band:${band}`, basis: `${breed} ${band}` } : null,
+      breed ? { level: `breed:${breed}`, basis: `${breed}` } : null,
+      band ? { level: `band:${band}`, basis: `${band}` } : null,
+      { level: 'all', basis: 'สัตว์ประเภทเดียวกัน' }
+    ].filter(Boolean);
+    const prefix = `${entry.petType || ''}|${servicesKey}|`;
+    return levels.flatMap(({ level, basis }) => [
+      ...(groomerId ? [{ key: `${prefix}${level}|${groomerId}`, basis: `${basis} (ช่างคนนี้)` }] : []),
+      { key: `${prefix}${level}|*`, basis }
+    ]);
+  }
+
+  // Firestore document id of a durationStats group (keys may contain '/')
+  function getDurationStatsDocId(key) {
+    return encodeURIComponent(key);
+  }
+
+  // samples -> { groupKey: { count, total } }, the running totals kept in the durationStats collection
+  function summarizeDurationSamples(samples, settings) {
+    const stats = {};
+    (samples || []).forEach(sample => {
+      getDurationGroups(sample, settings).forEach(({ key }) => {
+        const stat = stats[key] || (stats[key] = { count: 0, total: 0 });
+        stat.count += 1;
+        stat.total += sample.duration;
+      });
+    });
+    return stats;
+  }
+
+  /**
+   * stats: { groupKey: { count, total } } (durationStats); job: { services, petType, breed, weight, groomerId }
+   * Uses the first group of getDurationGroups with enough samples.
+   * returns { minutes (average rounded up to 15), average, count, basis } or null
+   */
+  function estimateDurationFromStats(stats, job, settings) {
+    for (const group of getDurationGroups(job, settings)) {
+      const stat = stats && stats[group.key];
+      if (stat && stat.count >= MIN_DURATION_SAMPLES) {
+        const average = Math.round(stat.total / stat.count);
+        return { minutes: Math.ceil(average / 15) * 15, average, count: stat.count, basis: group.basis };
+      }
+    }
+    return null;
+  }
+
+  // HH:mm + minutes -> HH:mm
+  function calculateEndTime(startTime, duration) {
+    if (!startTime || !duration) return null;
+
+    const [hours, minutes] = startTime.split(':').map(Number);
+    const endMinutes = hours * 60 + minutes + duration;
+
+    const endHours = Math.floor(endMinutes / 60);
+    const endMins = endMinutes % 60;
+
+    return `${String(endHours).padStart(2, '0')}:${String(endMins).padStart(2, '0')}`;
+  }
+
+  // Flat price of the services without pet details (see pricing.js for the full quote)
+  function calculatePrice(services, settings) {
+    return Pricing.calculateQuote({ services }, settings).total;
+  }
+
+  function getLocalDateString(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  // ---------- Validation (returns an error message, or null when valid) ----------
+
+  const QUEUE_STATUSES = ['booking', 'deposit', 'check-in', 'completed', 'cancelled', 'no-show'];
+
+  // Fields a REST client may change on an existing queue. Numbering, timestamps, duration/end time
+  // (recomputed from the services) and payment records are kept by the server.
+  const EDITABLE_QUEUE_FIELDS = [
+    'date', 'appointmentTime', 'serviceType', 'status', 'assignedGroomerId', 'groomerId',
+    'priority', 'notes', 'health', 'ticks', 'marketingSource', 'bookerName',
+    'isTransportIncluded', 'transport', 'boarding',
+    'depositAmount', 'depositMethod', 'checkInWeight', 'checkInNotes', 'lateMinutes'
+  ];
+
+  // Fields a REST client may set when booking. Status, deposit, check-in, payments, calendar ids
+  // and timestamps only come later through the queue's own steps.
+  const CREATABLE_QUEUE_FIELDS = [
+    'customerId', 'petId', 'date', 'appointmentTime', 'serviceType', 'assignedGroomerId', 'groomerId',
+    'priority', 'notes', 'health', 'ticks', 'marketingSource', 'bookerName', 'createdBy',
+    'isTransportIncluded', 'transport', 'boarding'
+  ];
+
+  function pickFields(body, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (body && body[field] !== undefined) picked[field] = body[field];
+    });
+    return picked;
+  }
+
+  function pickQueueUpdates(body) {
+    return pickFields(body, EDITABLE_QUEUE_FIELDS);
+  }
+
+  function pickNewQueueFields(body) {
+    return pickFields(body, CREATABLE_QUEUE_FIELDS);
+  }
+
+  function validateQueue(queueItem) {
+    if (!queueItem) return 'ไม่มีข้อมูลคิว';
+    if (queueItem.status != null && !QUEUE_STATUSES.includes(queueItem.status)) return 'สถานะคิวไม่ถูกต้อง';
+    if (!queueItem.customerId || !queueItem.petId) return 'กรุณาเลือกลูกค้าและสัตว์เลี้ยง';
+    if (!Array.isArray(queueItem.serviceType) || queueItem.serviceType.length === 0) return 'กรุณาเลือกบริการ';
+    if (!queueItem.date || !/^\d{4}-\d{2}-\d{2}$/.test(queueItem.date)) return 'กรุณาเลือกวันที่นัดหมาย (YYYY-MM-DD)';
+    if (queueItem.appointmentTime && !/^\d{2}:\d{2}$/.test(queueItem.appointmentTime)) return 'รูปแบบเวลานัดหมายไม่ถูกต้อง (HH:mm)';
+    if (queueItem.boarding) {
+      const { checkOutDate, kennelId } = queueItem.boarding;
+      if (!checkOutDate || !/^\d{4}-\d{2}-\d{2}$/.test(checkOutDate)) return 'กรุณาเลือกวันรับกลับ (YYYY-MM-DD)';
+      if (checkOutDate <= queueItem.date) return 'วันรับกลับต้องอยู่หลังวันเข้าพัก';
+      if (!kennelId) return 'กรุณาเลือกห้องพัก';
+    }
+    return null;
+  }
+
+  function validateCustomer(customer) {
+    if (!customer || !customer.name || !customer.phone) return 'กรุณากรอกชื่อและเบอร์โทร';
+    return null;
+  }
+
+  function validatePet(pet) {
+    if (!pet || !pet.customerId || !pet.name || !pet.type) return 'กรุณากรอกข้อมูลที่จำเป็น';
+    return null;
+  }
+
+  function validateGroomer(groomer) {
+    if (!groomer || !groomer.name || !groomer.phone) return 'กรุณากรอกชื่อและเบอร์โทร';
+    return null;
+  }
+
+  // ---------- Boarding (ฝากเลี้ยง) ----------
+  // A stay is a queue whose date is the check-in day, with
+  // boarding: { checkOutDate, nights, kennelId, nightlyRate, careLog: { 'YYYY-MM-DD': {...} } }
+
+  // 'YYYY-MM-DD' + days, in local time
+  function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return getLocalDateString(date);
+  }
+
+  // Signed number of days from one 'YYYY-MM-DD' to another
+  function daysBetween(fromDate, toDate) {
+    const diff = new Date(`${toDate}T00:00:00`) - new Date(`${fromDate}T00:00:00`);
+    return Math.round(diff / 86400000);
+  }
+
+  function countNights(checkInDate, checkOutDate) {
+    if (!checkInDate || !checkOutDate) return 0;
+    return Math.max(daysBetween(checkInDate, checkOutDate), 0);
+  }
+
+  function isBoardingQueue(queue) {
+    return !!(queue && queue.boarding && queue.boarding.checkOutDate);
+  }
+
+  // Nights the stay holds a kennel: check-in day up to the night before check-out
+  function getStayNights(queue) {
+    if (!isBoardingQueue(queue)) return [];
+    const nights = [];
+    for (let date = queue.date; date < queue.boarding.checkOutDate; date = addDays(date, 1)) {
+      nights.push(date);
+    }
+    return nights;
+  }
+
+  // Days the stay shows up on: every night plus the check-out day
+  function getStayDates(queue) {
+    if (!isBoardingQueue(queue)) return queue && queue.date ? [queue.date] : [];
+    return [...getStayNights(queue), queue.boarding.checkOutDate];
+  }
+
+  function queueCoversDate(queue, date) {
+    if (!isBoardingQueue(queue)) return queue.date === date;
+    return date >= queue.date && date <= queue.boarding.checkOutDate;
+  }
+
+  // Another active stay in the same kennel on any night of this stay, or null.
+  // Check-out day is free for the next guest (the kennel is cleaned and re-let that afternoon).
+  function findKennelClash(stay, queues, excludeQueueId = null) {
+    if (!isBoardingQueue(stay)) return null;
+    return (queues || []).find(q =>
+      q.id !== excludeQueueId &&
+      !isReleasedQueue(q) &&
+      isBoardingQueue(q) &&
+      q.boarding.kennelId === stay.boarding.kennelId &&
+      q.date < stay.boarding.checkOutDate &&
+      stay.date < q.boarding.checkOutDate
+    ) || null;
+  }
+
+  // ---------- Transport (รับ-ส่ง) ----------
+  // queue.transport: { direction: 'both' | 'pickup' | 'return', pickupTime, returnTime, address, mapUrl,
+  //                    zoneId, zoneName, fee, driverType: 'user' | 'groomer', driverId, driverName }
+
+  function hasPickup(queue) {
+    return !!(queue.isTransportIncluded && queue.transport && queue.transport.direction !== 'return');
+  }
+
+  function hasReturn(queue) {
+    return !!(queue.isTransportIncluded && queue.transport && queue.transport.direction !== 'pickup');
+  }
+
+  // Stops on a date for the run sheet: pickups on the appointment day, returns on the
+  // appointment day (or the check-out day of a boarding stay). Sorted by time; untimed stops last.
+  function getTransportStops(queues, date) {
+    const stops = [];
+    (queues || []).forEach(queue => {
+      if (isReleasedQueue(queue) || !queue.isTransportIncluded || !queue.transport) return;
+      const returnDate = isBoardingQueue(queue) ? queue.boarding.checkOutDate : queue.date;
+      if (hasPickup(queue) && queue.date === date) {
+        stops.push({ type: 'pickup', time: queue.transport.pickupTime || '', queue });
+      }
+      if (hasReturn(queue) && returnDate === date) {
+        stops.push({ type: 'return', time: queue.transport.returnTime || '', queue });
+      }
+    });
+    return stops.sort((a, b) => (a.time || '99:99').localeCompare(b.time || '99:99'));
+  }
+
+  // Extra quote inputs stored on a queue (boarding nights, transport fee)
+  function getQuoteOptions(queue) {
+    const transport = queue && queue.isTransportIncluded && queue.transport;
+    return {
+      nights: queue && queue.boarding ? queue.boarding.nights : 0,
+      transport: transport
+        ? { fee: transport.fee, label: `${Pricing.TRANSPORT_SERVICE}${transport.zoneName ? ` (${transport.zoneName})` : ''}` }
+        : null
+    };
+  }
+
+  // ---------- Groomer roster ----------
+  // groomer.weeklySchedule: 7 entries, Sunday first: { off, start, end, breakStart, breakEnd }
+  // dailySchedules/{id}: { date, override: true, groomers: [{ groomerId, name, workingHours: { start, end },
+  //   breaks: [{ start, end }], status: 'available' | 'off' | 'leave', note }] }
+  // Only days changed by hand are stored; every other day is built from the weekly templates.
+
+  // 'HH:mm' -> minutes since midnight
+  function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  // A groomer's roster entry for a date from their weekly template (shop hours, no break when there is none)
+  function getTemplateEntry(groomer, date, settings) {
+    const hours = settings.defaultWorkingHours;
+    const template = groomer.weeklySchedule && groomer.weeklySchedule[new Date(`${date}T00:00:00`).getDay()];
+    const entry = {
+      groomerId: groomer.id,
+      name: groomer.name,
+      workingHours: { start: hours.start, end: hours.end },
+      breaks: [],
+      status: 'available',
+      note: ''
+    };
+    if (!template) return entry;
+
+    return {
+      ...entry,
+      workingHours: { start: template.start || hours.start, end: template.end || hours.end },
+      breaks: template.breakStart && template.breakEnd ? [{ start: template.breakStart, end: template.breakEnd }] : [],
+      status: template.off ? 'off' : 'available',
+      note: template.off ? 'วันหยุดประจำสัปดาห์' : ''
+    };
+  }
+
+  // Same status, hours, breaks and note (ids and names aside)
+  function isSameRosterEntry(a, b) {
+    const normalize = e => JSON.stringify([
+      e.status || 'available',
+      e.note || '',
+      e.workingHours ? [e.workingHours.start, e.workingHours.end] : null,
+      (e.breaks || []).map(br => [br.start, br.end])
+    ]);
+    return normalize(a) === normalize(b);
+  }
+
+  function buildDailySchedule(date, groomers, settings) {
+    return {
+      date,
+      generated: true,
+      groomers: (groomers || []).map(g => getTemplateEntry(g, date, settings))
+    };
+  }
+
+  // On duty for the whole of [startMinutes, endMinutes): working that day, inside working hours, clear of breaks
+  function isOnDuty(entry, startMinutes, endMinutes) {
+    if (!entry || (entry.status && entry.status !== 'available')) return false;
+    const hours = entry.workingHours;
+    if (!hours || startMinutes < timeToMinutes(hours.start) || endMinutes > timeToMinutes(hours.end)) return false;
+    return !(entry.breaks || []).some(b =>
+      startMinutes < timeToMinutes(b.end) && endMinutes > timeToMinutes(b.start));
+  }
+
+  // ---------- Groomer skills ----------
+  // groomer.specialty: ['dog' | 'cat' | 'both'], groomer.experienceLevel: 'ช่างอาบน้ำ-ตัดขน' | 'ช่างอาบน้ำ'
+  // job: { petType, services } - the pet's type and every service booked (main and add-ons)
+
+  const BATH_ONLY_LEVEL = 'ช่างอาบน้ำ';
+
+  // Why a groomer can't take the job, or null when qualified
+  function getGroomerSkillIssue(groomer, job, settings) {
+    if (!groomer || !job) return null;
+    const specialty = groomer.specialty && groomer.specialty.length ? groomer.specialty : ['both'];
+    if ((job.petType === 'dog' || job.petType === 'cat') &&
+      !specialty.includes('both') && !specialty.includes(job.petType)) {
+      return job.petType === 'cat' ? 'ไม่รับงานแมว' : 'ไม่รับงานสุนัข';
+    }
+
+    if (groomer.experienceLevel === BATH_ONLY_LEVEL) {
+      const cutting = (settings && settings.cuttingServices) || [];
+      const service = (job.services || []).find(s => cutting.includes(s));
+      if (service) return `ช่างอาบน้ำ ไม่ได้ตัดขน (${service})`;
+    }
+    return null;
+  }
+
+  // Groomers for a job as [{ groomer, issue }]: qualified first, then specialists in the pet's type,
+  // and bath-only groomers ahead for jobs without cutting so the cutters stay free
+  function rankGroomersForJob(groomers, job, settings) {
+    const cutting = (settings && settings.cuttingServices) || [];
+    const needsCutting = !!job && (job.services || []).some(s => cutting.includes(s));
+    const score = (groomer) => {
+      const specialty = groomer.specialty || [];
+      let points = 0;
+      if (job && specialty.length === 1 && specialty[0] === job.petType) points += 2;
+      if (!needsCutting && groomer.experienceLevel === BATH_ONLY_LEVEL) points += 1;
+      return points;
+    };
+
+    return (groomers || [])
+      .map((groomer, index) => ({ groomer, issue: getGroomerSkillIssue(groomer, job, settings), points: score(groomer), index }))
+      .sort((a, b) => (!!a.issue - !!b.issue) || (b.points - a.points) || (a.index - b.index))
+      .map(({ groomer, issue }) => ({ groomer, issue }));
+  }
+
+  // ---------- Shop closures ----------
+  // settings.closures: { weeklyDays: [0-6, Sunday = 0], dates: [{ date, type: 'holiday' | 'adhoc', reason }] }
+
+  // Thai public holidays on a fixed date. The lunar ones (มาฆบูชา, วิสาขบูชา, อาสาฬหบูชา, เข้าพรรษา)
+  // and substitution days move every year and are added by hand.
+  const THAI_FIXED_HOLIDAYS = [
+    ['01-01', 'วันขึ้นปีใหม่'],
+    ['04-06', 'วันจักรี'],
+    ['04-13', 'วันสงกรานต์'],
+    ['04-14', 'วันสงกรานต์'],
+    ['04-15', 'วันสงกรานต์'],
+    ['05-01', 'วันแรงงานแห่งชาติ'],
+    ['05-04', 'วันฉัตรมงคล'],
+    ['06-03', 'วันเฉลิมพระชนมพรรษาพระราชินี'],
+    ['07-28', 'วันเฉลิมพระชนมพรรษาพระบาทสมเด็จพระเจ้าอยู่หัว'],
+    ['08-12', 'วันแม่แห่งชาติ'],
+    ['10-13', 'วันนวมินทรมหาราช'],
+    ['10-23', 'วันปิยมหาราช'],
+    ['12-05', 'วันพ่อแห่งชาติ'],
+    ['12-10', 'วันรัฐธรรมนูญ'],
+    ['12-31', 'วันสิ้นปี']
+  ];
+
+  function getThaiPublicHolidays(year) {
+    return THAI_FIXED_HOLIDAYS.map(([monthDay, reason]) => ({ date: `${year}-${monthDay}`, type: 'holiday', reason }));
+  }
+
+  // Why the shop is closed on a date: { type: 'weekly' | 'holiday' | 'adhoc', reason }, or null when open
+  function getClosure(date, settings) {
+    const closures = settings && settings.closures;
+    if (!closures || !date) return null;
+
+    const listed = (closures.dates || []).find(c => c.date === date);
+    if (listed) return { type: listed.type || 'adhoc', reason: listed.reason || 'ร้านปิด' };
+
+    const weekday = new Date(`${date}T00:00:00`).getDay();
+    if ((closures.weeklyDays || []).includes(weekday)) return { type: 'weekly', reason: 'วันหยุดประจำสัปดาห์' };
+    return null;
+  }
+
+  // First date from `date` on (inclusive) that isn't closed; looks a year ahead at most
+  function getNextOpenDate(date, settings) {
+    for (let i = 0; i <= 366; i++) {
+      const candidate = addDays(date, i);
+      if (!getClosure(candidate, settings)) return candidate;
+    }
+    return date;
+  }
+
+  // ---------- Attendance (no-shows and late arrivals) ----------
+  // Customer counters kept on the customer document: arrivalCount (checked in), lateCount, noShowCount
+
+  // A queue in one of these statuses no longer holds its groomer, kennel or transport slot
+  const RELEASED_STATUSES = ['cancelled', 'no-show'];
+
+  function isReleasedQueue(queue) {
+    return RELEASED_STATUSES.includes(queue.status);
+  }
+
+  function getReliabilitySettings(settings) {
+    return { ...getDefaultSettings().reliability, ...((settings && settings.reliability) || {}) };
+  }
+
+  // Minutes between the appointment time and `at` (a Date) on the appointment day; 0 when early or untimed
+  function getLateMinutes(queue, at = new Date()) {
+    if (!queue.appointmentTime || queue.date !== getLocalDateString(at)) return 0;
+    return Math.max(at.getHours() * 60 + at.getMinutes() - timeToMinutes(queue.appointmentTime), 0);
+  }
+
+  // Only an open booking whose appointment time has passed can be a no-show (an untimed one once its day is over)
+  function canMarkNoShow(queue, at = new Date()) {
+    if (!queue || (queue.status !== 'booking' && queue.status !== 'deposit')) return false;
+    const today = getLocalDateString(at);
+    if (queue.date < today) return true;
+    return queue.date === today && !!queue.appointmentTime && getLateMinutes(queue, at) > 0;
+  }
+
+  function isLateArrival(queue, settings) {
+    return (Number(queue.lateMinutes) || 0) >= getReliabilitySettings(settings).lateMinutes;
+  }
+
+  // Counter changes when a queue goes from `queue` to `updated`, as { field: +1 | -1 }.
+  // A no-show marked by mistake and reverted (or a late time corrected) takes its count back off.
+  function getAttendanceDeltas(queue, updated, settings) {
+    const deltas = {};
+    const add = (field, delta) => { deltas[field] = (deltas[field] || 0) + delta; };
+
+    const wasNoShow = queue.status === 'no-show';
+    const isNoShow = updated.status === 'no-show';
+    if (wasNoShow !== isNoShow) add('noShowCount', isNoShow ? 1 : -1);
+
+    if (!queue.checkInAt && updated.checkInAt) add('arrivalCount', 1);
+
+    const wasLate = isLateArrival(queue, settings);
+    const isLate = isLateArrival(updated, settings);
+    if (wasLate !== isLate) add('lateCount', isLate ? 1 : -1);
+
+    return deltas;
+  }
+
+  // The customer document updates for those changes (counters never go below 0)
+  function applyAttendanceDeltas(customer, deltas) {
+    const updates = {};
+    Object.entries(deltas).forEach(([field, delta]) => {
+      updates[field] = Math.max((Number(customer && customer[field]) || 0) + delta, 0);
+    });
+    return updates;
+  }
+
+  const RELIABILITY_LABELS = {
+    new: 'ลูกค้าใหม่',
+    good: 'มาตามนัด',
+    watch: 'เฝ้าระวัง',
+    risk: 'ผิดนัดบ่อย'
+  };
+
+  // Reliability of a customer from their counters.
+  // score: share of booked visits they turned up for (a late arrival counts half), 0-100, null with no history.
+  // returns { level: 'new' | 'good' | 'watch' | 'risk', label, score, arrivals, lates, noShows, requireDeposit }
+  function getCustomerReliability(customer, settings) {
+    const { depositAfterNoShows } = getReliabilitySettings(settings);
+    const arrivals = Number(customer && customer.arrivalCount) || 0;
+    const lates = Math.min(Number(customer && customer.lateCount) || 0, arrivals);
+    const noShows = Number(customer && customer.noShowCount) || 0;
+    const booked = arrivals + noShows;
+
+    const score = booked ? Math.round((arrivals - lates / 2) / booked * 100) : null;
+    const requireDeposit = depositAfterNoShows > 0 && noShows >= depositAfterNoShows;
+
+    let level = 'new';
+    if (requireDeposit || (score !== null && score < 60)) level = 'risk';
+    else if (noShows > 0 || (score !== null && score < 85)) level = 'watch';
+    else if (booked > 0) level = 'good';
+
+    return { level, label: RELIABILITY_LABELS[level], score, arrivals, lates, noShows, requireDeposit };
+  }
+
+  // ---------- Recurring appointments ----------
+  // Regulars who come back every few weeks. Each occurrence is its own queue document with
+  // recurrence: { seriesId, intervalWeeks, endDate, index } (index 0 is the booking made in the modal)
+
+  // Series without an end date are booked about six months ahead
+  const RECURRENCE_HORIZON_DAYS = 182;
+
+  // Dates of the later occurrences: same weekday every intervalWeeks weeks after startDate,
+  // up to endDate (inclusive) or the horizon
+  function getRecurrenceDates(startDate, intervalWeeks, endDate = null) {
+    const step = (parseInt(intervalWeeks, 10) || 0) * 7;
+    if (!startDate || step <= 0) return [];
+    const lastDate = endDate || addDays(startDate, RECURRENCE_HORIZON_DAYS);
+    const dates = [];
+    for (let date = addDays(startDate, step); date <= lastDate; date = addDays(date, step)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  // ---------- Queue numbering ----------
+
+  // Counter document (collection 'counters') holding the last number issued for a date
+  function getQueueCounterId(date) {
+    return `queue-${date}`;
+  }
+
+  // 7 -> 'Q007' using settings.queueNumberPrefix
+  function formatQueueNumber(number, settings) {
+    const prefix = (settings && settings.queueNumberPrefix) || '';
+    return `${prefix}${String(number).padStart(3, '0')}`;
+  }
+
+  // Sort helper for queueNumber values: older documents hold plain numbers (1, 2, ...),
+  // newer ones prefixed strings ('Q001'). Compare by the trailing number, then as text.
+  function compareQueueNumbers(a, b) {
+    const toNumber = (value) => {
+      const match = String(value == null ? '' : value).match(/(\d+)$/);
+      return match ? parseInt(match[1], 10) : Infinity;
+    };
+    const diff = toNumber(a) - toNumber(b);
+    if (diff !== 0 && !isNaN(diff)) return diff;
+    return String(a == null ? '' : a).localeCompare(String(b == null ? '' : b));
+  }
+
+  // ---------- Queue lifecycle ----------
+
+  // Build a new queue document. queueNumber: allocated from the per-date counter.
+  // duration: the booking length decided by the caller (learned estimate), else the settings table;
+  // duration and end time in queueItem itself are ignored
+  function buildNewQueue(queueItem, queueNumber, settings, duration = null) {
+    const selectedDate = queueItem.date || getLocalDateString();
+
+    duration = duration || calculateServiceDuration(queueItem.serviceType, settings);
+    const estimatedEndTime = queueItem.appointmentTime ? calculateEndTime(queueItem.appointmentTime, duration) : null;
+    const now = new Date().toISOString();
+
+    return {
+      date: selectedDate,
+      appointmentTime: queueItem.appointmentTime || null,
+      assignedGroomerId: queueItem.assignedGroomerId || null,
+      status: 'booking',
+      bookingAt: now,
+      depositAmount: null,
+      depositMethod: null,
+      depositAt: null,
+      checkInWeight: null,
+      checkInNotes: '',
+      checkInAt: null,
+      completionImages: [],
+      completedAt: null,
+      ...queueItem,
+      estimatedEndTime,
+      duration,
+      queueNumber,
+      createdAt: now
+    };
+  }
+
+  // Timestamps set the first time a queue reaches each status
+  function getStatusTimestamps(queue, updates) {
+    const timestampUpdates = {};
+    const now = new Date().toISOString();
+    if (updates.status === 'deposit' && !queue.depositAt) {
+      timestampUpdates.depositAt = now;
+    }
+    if (updates.status === 'check-in' && !queue.checkInAt) {
+      timestampUpdates.checkInAt = now;
+    }
+    if (updates.status === 'completed' && !queue.completedAt) {
+      timestampUpdates.completedAt = now;
+    }
+    if (updates.status === 'no-show' && !queue.noShowAt) {
+      timestampUpdates.noShowAt = now;
+    }
+    return timestampUpdates;
+  }
+
+  // pet: used with the check-in weight for the itemised price
+  function buildServiceRecord(queue, settings, pet) {
+    // Calculate duration from check-in to completion
+    const checkInTime = queue.checkInAt ? new Date(queue.checkInAt) : new Date();
+    const endTime = queue.completedAt ? new Date(queue.completedAt) : new Date();
+    const duration = Math.round((endTime - checkInTime) / 60000); // minutes
+    const quote = Pricing.quoteForPet(pet, queue.serviceType, settings, parseFloat(queue.checkInWeight) || null,
+      getQuoteOptions(queue));
+
+    return {
+      queueId: queue.id,
+      customerId: queue.customerId,
+      petId: queue.petId,
+      petType: pet ? pet.type : null,
+      breed: pet ? (pet.breed || null) : null,
+      groomerId: queue.groomerId || null,
+      date: queue.date,
+      status: 'completed',
+      servicesPerformed: queue.serviceType,
+
+      // Workflow timestamps
+      bookingAt: queue.bookingAt || null,
+      depositAt: queue.depositAt || null,
+      checkInAt: queue.checkInAt || null,
+      completedAt: queue.completedAt || new Date().toISOString(),
+      duration,
+
+      // Appointment info
+      appointmentTime: queue.appointmentTime,
+      estimatedEndTime: queue.estimatedEndTime,
+
+      // Boarding stay (check-out date, kennel, nightly care log)
+      boarding: queue.boarding || null,
+
+      // Pickup/drop-off
+      transport: !!queue.isTransportIncluded,
+      transportDetails: queue.isTransportIncluded ? (queue.transport || null) : null,
+
+      // Check-in data
+      checkInWeight: queue.checkInWeight,
+      checkInNotes: queue.checkInNotes || '',
+
+      // Completion data
+      completionImages: queue.completionImages || [],
+      receipt: queue.receipt || null,
+
+      // Charged amount: the receipt issued at completion, otherwise the quote
+      price: queue.receipt ? queue.receipt.total : quote.total,
+      priceItems: queue.receipt ? queue.receipt.items : quote.items,
+      notes: queue.notes || '',
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // One-line summary for the calendar event: times and where to go
+  function describeTransport(queue) {
+    const transport = queue.isTransportIncluded && queue.transport;
+    if (!transport) return '';
+    return [
+      hasPickup(queue) && transport.pickupTime ? `รับ ${transport.pickupTime}` : (hasPickup(queue) ? 'รับ' : ''),
+      hasReturn(queue) && transport.returnTime ? `ส่ง ${transport.returnTime}` : (hasReturn(queue) ? 'ส่ง' : ''),
+      transport.address || '',
+      transport.driverName ? `คนขับ: ${transport.driverName}` : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  // Payload for server.js createEventPayload
+  function buildCalendarPayload(queue, { customer, pet, groomer }) {
+    const health = queue.health || (pet && pet.notes) || 'ไม่มี';
+    const ticks = queue.ticks || 'ไม่มี';
+
+    return {
+      id: queue.id,
+      googleEventId: queue.googleEventId || null,
+      // Route to the groomer's own calendar (server falls back to the shop calendar)
+      calendarId: (groomer && groomer.calendarId) || null,
+      previousCalendarId: queue.googleCalendarId || null,
+      date: queue.date,
+      appointmentTime: queue.appointmentTime,
+      duration: queue.duration,
+      customerName: customer ? customer.name : '-',
+      customerPhone: customer ? customer.phone : '-',
+      petName: pet ? pet.name : '-',
+      petType: pet ? pet.type : '-',
+      petBreed: pet ? pet.breed : '-',
+      services: queue.serviceType || [],
+      groomerName: groomer ? groomer.name : (queue.bookerName && queue.bookerName !== '-' ? queue.bookerName : 'Admin'),
+      checkInWeight: queue.checkInWeight || (pet ? pet.weight : null) || '-',
+      checkInNotes: `${health} เห็บหมัด: ${ticks}`,
+      specialRequests: queue.notes || '-',
+      depositAmount: queue.depositAmount,
+      marketingSource: queue.marketingSource,
+      transport: !!queue.isTransportIncluded,
+      transportDetails: describeTransport(queue)
+    };
+  }
+
+  const QueueRules = {
+    getDefaultSettings,
+    mergeSettings,
+    calculateServiceDuration,
+    getBufferMinutes,
+    getHeldRange,
+    getOverlappingQueues,
+    findGroomerBookingConflict,
+    getWeightBand,
+    getDurationSample,
+    getDurationGroups,
+    getDurationStatsDocId,
+    summarizeDurationSamples,
+    estimateDurationFromStats,
+    calculateEndTime,
+    calculatePrice,
+    getLocalDateString,
+    getQueueCounterId,
+    formatQueueNumber,
+    compareQueueNumbers,
+    addDays,
+    daysBetween,
+    countNights,
+    isBoardingQueue,
+    getStayNights,
+    getStayDates,
+    queueCoversDate,
+    findKennelClash,
+    hasPickup,
+    hasReturn,
+    getTransportStops,
+    getQuoteOptions,
+    describeTransport,
+    timeToMinutes,
+    getTemplateEntry,
+    isSameRosterEntry,
+    buildDailySchedule,
+    isOnDuty,
+    BATH_ONLY_LEVEL,
+    getGroomerSkillIssue,
+    rankGroomersForJob,
+    getThaiPublicHolidays,
+    getClosure,
+    getNextOpenDate,
+    isReleasedQueue,
+    getReliabilitySettings,
+    getLateMinutes,
+    canMarkNoShow,
+    isLateArrival,
+    getAttendanceDeltas,
+    applyAttendanceDeltas,
+    getCustomerReliability,
+    RECURRENCE_HORIZON_DAYS,
+    getRecurrenceDates,
+    QUEUE_STATUSES,
+    pickQueueUpdates,
+    pickNewQueueFields,
+    validateQueue,
+    validateCustomer,
+    validatePet,
+    validateGroomer,
+    buildNewQueue,
+    getStatusTimestamps,
+    buildServiceRecord,
+    buildCalendarPayload
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueueRules;
+  } else {
+    root.QueueRules = QueueRules;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -2,20 +2,45 @@ const express = require('express');
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const QueueRules = require('./queue-rules');
+const Pricing = require('./pricing');
+const { createAdapter } = require('./firestore-adapter');
 
 const app = express();
 const PORT = 3000;
 
 // Configuration
 const KEY_FILE = path.join(__dirname, 'service_account.json');
-const CALENDAR_ID = 'primary';
+const CALENDAR_ID = 'primary'; // Shop calendar, used when the groomer has no calendar of their own
+
+// Data access for the REST API (Firestore, or DATA_ADAPTER=memory for a local stand-in)
+const store = createAdapter();
+
+// REST API clients send `Authorization: Bearer <API_TOKEN>`; without API_TOKEN set the API is closed
+const API_TOKEN = process.env.API_TOKEN || '';
+// Other sites allowed to call the server from a browser (comma separated); the dashboard itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 app.use(express.json());
 app.use(express.static(__dirname)); // Serve static files (frontend)
 
+// Every API route (calendar and REST) needs the API token; the dashboard sends the one saved on the device
+function requireApiToken(req, res, next) {
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    const given = Buffer.from(match ? match[1] : '');
+    const expected = Buffer.from(API_TOKEN);
+    if (!API_TOKEN || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ success: false, error: 'unauthorized' });
+    }
+    next();
+}
+
+app.use(['/api/calendar', '/api/queue', '/api/customers', '/api/pets', '/api/groomers'], requireApiToken);
+
 // Explicit route for dashboard
 app.get('/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'dashboard.html'));
@@ -95,40 +120,569 @@ function createEventPayload(queue) {
     };
 }
 
-// API Endpoint to Create Event
-app.post('/api/calendar/create-event', async (req, res) => {
-    try {
-        if (!fs.existsSync(KEY_FILE)) {
-            throw new Error('service_account.json not found');
+// Helper: Authorised Calendar client
+function getCalendarClient() {
+    if (!fs.existsSync(KEY_FILE)) {
+        throw new Error('service_account.json not found');
+    }
+
+    const auth = new google.auth.GoogleAuth({
+        keyFile: KEY_FILE,
+        scopes: ['https://www.googleapis.com/auth/calendar'],
+    });
+
+    return google.calendar({ version: 'v3', auth });
+}
+
+// Helper: Deterministic event id from queue id
+// Google only accepts base32hex characters (a-v, 0-9), so the Firestore id is hex-encoded.
+// Re-sending the same queue therefore always targets the same event instead of creating a duplicate.
+function getEventIdForQueue(queueId) {
+    return 'que' + Buffer.from(String(queueId), 'utf8').toString('hex');
+}
+
+// Helper: HTTP status from a googleapis error
+function getErrorStatus(error) {
+    return (error.response && error.response.status) || Number(error.code) || 500;
+}
+
+// Helper: Insert the event, or update it if it already exists
+async function upsertEvent(calendar, queueData) {
+    const eventId = queueData.googleEventId || getEventIdForQueue(queueData.id);
+    const calendarId = queueData.calendarId || CALENDAR_ID;
+    const eventPayload = {
+        ...createEventPayload(queueData),
+        extendedProperties: { private: { queueId: String(queueData.id) } }
+    };
+
+    // Groomer changed: move the existing event to the new groomer's calendar first
+    const previousCalendarId = queueData.previousCalendarId;
+    if (previousCalendarId && previousCalendarId !== calendarId) {
+        try {
+            await calendar.events.move({
+                calendarId: previousCalendarId,
+                eventId,
+                destination: calendarId,
+            });
+        } catch (error) {
+            const status = getErrorStatus(error);
+            if (status !== 404 && status !== 410) throw error;
         }
+    }
 
+    try {
+        const response = await calendar.events.update({
+            calendarId,
+            eventId,
+            resource: eventPayload,
+        });
+        return { data: response.data, calendarId, created: false };
+    } catch (error) {
+        const status = getErrorStatus(error);
+        if (status !== 404 && status !== 410) throw error;
+    }
+
+    try {
+        const response = await calendar.events.insert({
+            calendarId,
+            resource: { ...eventPayload, id: eventId },
+        });
+        return { data: response.data, calendarId, created: true };
+    } catch (error) {
+        // 409: an event with this id was deleted earlier (cancelled). Restore it with the new details.
+        if (getErrorStatus(error) !== 409) throw error;
+        const response = await calendar.events.update({
+            calendarId,
+            eventId,
+            resource: { ...eventPayload, status: 'confirmed' },
+        });
+        return { data: response.data, calendarId, created: false };
+    }
+}
+
+// Helper: Delete an event; deleting twice is not an error
+async function deleteEvent(calendar, calendarId, eventId) {
+    try {
+        await calendar.events.delete({
+            calendarId,
+            eventId,
+        });
+    } catch (error) {
+        const status = getErrorStatus(error);
+        if (status !== 404 && status !== 410) throw error;
+    }
+}
+
+// Helper: Calendars this server may touch: the shop calendar and the groomers' own calendars
+async function getAllowedCalendarIds() {
+    const groomers = await store.list('groomers');
+    return new Set([CALENDAR_ID, ...groomers.map(g => g.calendarId).filter(Boolean)]);
+}
+
+// Helper: The first of calendarIds (undefined ones skipped) that isn't allowed, or null
+async function findForeignCalendarId(calendarIds) {
+    const allowed = await getAllowedCalendarIds();
+    return calendarIds.find(id => id && !allowed.has(id)) || null;
+}
+
+function foreignCalendarError(res, calendarId) {
+    return res.status(403).json({ success: false, error: `calendarId not allowed: ${calendarId}` });
+}
+
+// Helper: Validate queue body before touching the calendar
+function validateQueueForCalendar(queueData) {
+    if (!queueData || !queueData.id) return 'queue id is required';
+    if (!queueData.date || !queueData.appointmentTime) return 'date and appointmentTime are required';
+    return null;
+}
+
+// API Endpoint to Create Event (idempotent: re-sending the same queue updates the existing event)
+app.post('/api/calendar/create-event', async (req, res) => {
+    try {
         const queueData = req.body;
+        const validationError = validateQueueForCalendar(queueData);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        const foreign = await findForeignCalendarId([queueData.calendarId, queueData.previousCalendarId]);
+        if (foreign) return foreignCalendarError(res, foreign);
         console.log('Received queue data for calendar:', queueData.id);
 
-        const auth = new google.auth.GoogleAuth({
-            keyFile: KEY_FILE,
-            scopes: ['https://www.googleapis.com/auth/calendar'],
+        const calendar = getCalendarClient();
+        const { data, calendarId, created } = await upsertEvent(calendar, queueData);
+
+        console.log(created ? '✅ Calendar Event Created:' : '✅ Calendar Event Updated:', data.htmlLink);
+        res.json({ success: true, eventId: data.id, calendarId, link: data.htmlLink, created });
+
+    } catch (error) {
+        console.error('❌ Calendar Error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// API Endpoint to Update Event (keyed by queue id)
+app.put('/api/calendar/events/:queueId', async (req, res) => {
+    try {
+        const queueData = { ...req.body, id: req.params.queueId };
+        const validationError = validateQueueForCalendar(queueData);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        const foreign = await findForeignCalendarId([queueData.calendarId, queueData.previousCalendarId]);
+        if (foreign) return foreignCalendarError(res, foreign);
+        console.log('Updating calendar event for queue:', queueData.id);
+
+        const calendar = getCalendarClient();
+        const { data, calendarId, created } = await upsertEvent(calendar, queueData);
+
+        console.log('✅ Calendar Event Updated:', data.htmlLink);
+        res.json({ success: true, eventId: data.id, calendarId, link: data.htmlLink, created });
+
+    } catch (error) {
+        console.error('❌ Calendar Update Error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// API Endpoint to Delete Event (keyed by queue id)
+app.delete('/api/calendar/events/:queueId', async (req, res) => {
+    try {
+        const queueId = req.params.queueId;
+        const eventId = req.query.eventId || getEventIdForQueue(queueId);
+        const calendarId = req.query.calendarId || CALENDAR_ID;
+        const foreign = await findForeignCalendarId([calendarId]);
+        if (foreign) return foreignCalendarError(res, foreign);
+        console.log('Deleting calendar event for queue:', queueId);
+
+        const calendar = getCalendarClient();
+        await deleteEvent(calendar, calendarId, eventId);
+
+        console.log('🗑️ Calendar Event Deleted:', eventId);
+        res.json({ success: true, eventId });
+
+    } catch (error) {
+        console.error('❌ Calendar Delete Error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Helper: Busy intervals of one calendar, ignoring events this app created for queues
+// (freebusy.query cannot tell those apart, and they are already counted as bookings)
+async function getPersonalBusyTimes(calendar, calendarId, timeMin, timeMax) {
+    const busy = [];
+    let pageToken;
+
+    do {
+        const response = await calendar.events.list({
+            calendarId,
+            timeMin,
+            timeMax,
+            singleEvents: true,
+            showDeleted: false,
+            maxResults: 250,
+            pageToken,
         });
 
-        const calendar = google.calendar({ version: 'v3', auth });
-        const eventPayload = createEventPayload(queueData);
+        (response.data.items || []).forEach(event => {
+            if (event.status === 'cancelled' || event.transparency === 'transparent') return;
+            const privateProps = (event.extendedProperties && event.extendedProperties.private) || {};
+            if (privateProps.queueId) return;
 
-        const response = await calendar.events.insert({
-            calendarId: CALENDAR_ID,
-            resource: eventPayload,
+            busy.push({
+                start: event.start.dateTime || event.start.date,
+                end: event.end.dateTime || event.end.date,
+                allDay: !event.start.dateTime,
+                summary: event.summary || ''
+            });
         });
 
-        console.log('✅ Calendar Event Created:', response.data.htmlLink);
-        res.json({ success: true, link: response.data.htmlLink });
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return busy;
+}
+
+// API Endpoint for groomer free/busy (personal events such as leave or doctor visits)
+// Body: { timeMin, timeMax, calendars: { <groomerId>: <calendarId> } }
+app.post('/api/calendar/freebusy', async (req, res) => {
+    try {
+        const { timeMin, timeMax, calendars } = req.body || {};
+        if (!timeMin || !timeMax || !calendars || typeof calendars !== 'object') {
+            return res.status(400).json({ success: false, error: 'timeMin, timeMax and calendars are required' });
+        }
+        const foreign = await findForeignCalendarId(Object.values(calendars));
+        if (foreign) return foreignCalendarError(res, foreign);
+
+        const calendar = getCalendarClient();
+        const busy = {};
+        const errors = {};
+
+        await Promise.all(Object.entries(calendars).map(async ([groomerId, calendarId]) => {
+            try {
+                busy[groomerId] = await getPersonalBusyTimes(calendar, calendarId, timeMin, timeMax);
+            } catch (error) {
+                console.error(`❌ Free/busy failed for ${calendarId}:`, error.message);
+                errors[groomerId] = error.message;
+            }
+        }));
+
+        res.json({ success: true, busy, errors });
 
     } catch (error) {
-        console.error('❌ Calendar Error:', error);
+        console.error('❌ Calendar Free/Busy Error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ===================================
+// REST API: queue, customers, pets, groomers
+// Same rules as DataStore in app.js (see queue-rules.js)
+// ===================================
+
+// Helper: Shop settings (settings/shop edited on the dashboard Settings page), with defaults as fallback
+async function getSettings() {
+    const stored = await store.get('settings', 'shop');
+    return QueueRules.mergeSettings(stored);
+}
+
+// Helper: Strip fields the client must not set directly
+function sanitizeBody(body) {
+    const data = { ...(body || {}) };
+    delete data.id;
+    return data;
+}
+
+// Helper: Another stay already in the kennel on one of this stay's nights (only stays starting before check-out can overlap)
+async function findKennelClash(stay, excludeQueueId = null) {
+    if (!QueueRules.isBoardingQueue(stay)) return null;
+    const candidates = await store.list('queue', [['date', '<=', stay.boarding.checkOutDate]]);
+    return QueueRules.findKennelClash(stay, candidates, excludeQueueId);
+}
+
+// Helper: Per-date queue number counter shared with the browser (DataStore.allocateQueueNumber), as the
+// adapter's counter spec. A date booked before counters existed continues after its highest number.
+async function getQueueCounter(date) {
+    const queuesOnDate = await store.list('queue', [['date', '==', date]]);
+    const highestExisting = queuesOnDate.reduce((max, q) => {
+        const match = String(q.queueNumber ?? '').match(/(\d+)$/);
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    return {
+        collection: 'counters',
+        id: QueueRules.getQueueCounterId(date),
+        field: 'lastNumber',
+        extra: { date, updatedAt: new Date().toISOString() },
+        initial: highestExisting
+    };
+}
+
+// Helper: Another booking of the same groomer in the time this one holds them (cleanup buffer included), or null
+async function findGroomerClash(booking, settings, excludeQueueId = null) {
+    if (!booking.assignedGroomerId || QueueRules.isReleasedQueue(booking)) return null;
+    const held = QueueRules.getHeldRange(booking, settings);
+    if (!held) return null;
+    const sameDay = await store.list('queue', [['date', '==', booking.date]]);
+    return QueueRules.findGroomerBookingConflict(sameDay, booking.assignedGroomerId, booking.date,
+        held.start, held.end, settings, excludeQueueId);
+}
+
+function groomerClashError(clash) {
+    return `ช่างมีคิวอื่นในช่วงเวลานี้แล้ว (#${clash.queueNumber} ${clash.appointmentTime}-${clash.estimatedEndTime || ''})`;
+}
+
+// Helper: Booking length as DataStore.estimateServiceDuration gives it: the average of similar past jobs
+// (durationStats) when there is enough history, otherwise the settings table
+async function estimateServiceDuration(serviceTypes, pet, settings, groomerId = null) {
+    const tableMinutes = QueueRules.calculateServiceDuration(serviceTypes, settings);
+    if (!pet || serviceTypes.includes(Pricing.BOARDING_SERVICE)) return tableMinutes;
+
+    const job = { services: serviceTypes, petType: pet.type, breed: pet.breed, weight: pet.weight, groomerId };
+    const stats = {};
+    await Promise.all(QueueRules.getDurationGroups(job, settings).map(async ({ key }) => {
+        const stat = await store.get('durationStats', QueueRules.getDurationStatsDocId(key));
+        if (stat) stats[key] = { count: stat.count, total: stat.total };
+    }));
+    const history = QueueRules.estimateDurationFromStats(stats, job, settings);
+    return history ? history.minutes : tableMinutes;
+}
+
+// Helper: Add a finished job to the learned-duration totals the browser books with (durationStats)
+async function recordDurationSample(record, pet, settings) {
+    const sample = QueueRules.getDurationSample(record, pet);
+    if (!sample) return;
+    await Promise.all(QueueRules.getDurationGroups(sample, settings).map(({ key }) =>
+        store.addToFields('durationStats', QueueRules.getDurationStatsDocId(key),
+            { count: 1, total: sample.duration }, { key })));
+}
+
+// Helper: Customer no-show / late / arrival counters after a queue update (see QueueRules.getAttendanceDeltas)
+async function updateAttendanceCounts(before, after, settings) {
+    const deltas = QueueRules.getAttendanceDeltas(before, after, settings);
+    if (Object.keys(deltas).length === 0 || !before.customerId) return;
+    // Added atomically: the browser may be counting for the same customer at the same time
+    await store.addToFields('customers', before.customerId, deltas);
+}
+
+// Helper: Keep the calendar in step with REST changes (skipped when no service account is configured)
+async function syncQueueCalendar(queue) {
+    if (!fs.existsSync(KEY_FILE) || !queue.appointmentTime) return;
+    try {
+        const groomerId = queue.assignedGroomerId || queue.groomerId;
+        const [customer, pet, groomer] = await Promise.all([
+            queue.customerId ? store.get('customers', queue.customerId) : null,
+            queue.petId ? store.get('pets', queue.petId) : null,
+            groomerId ? store.get('groomers', groomerId) : null
+        ]);
+        const payload = QueueRules.buildCalendarPayload(queue, { customer, pet, groomer });
+        const { data, calendarId } = await upsertEvent(getCalendarClient(), payload);
+        await store.update('queue', queue.id, { googleEventId: data.id, googleCalendarId: calendarId });
+    } catch (error) {
+        console.error('❌ Calendar sync failed for queue', queue.id, error.message);
+    }
+}
+
+async function removeQueueCalendar(queue) {
+    if (!fs.existsSync(KEY_FILE)) return;
+    try {
+        const eventId = queue.googleEventId || getEventIdForQueue(queue.id);
+        await deleteEvent(getCalendarClient(), queue.googleCalendarId || CALENDAR_ID, eventId);
+    } catch (error) {
+        console.error('❌ Calendar delete failed for queue', queue.id, error.message);
+    }
+}
+
+// Helper: Wrap async handlers with the standard error response
+function handle(label, fn) {
+    return async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            console.error(`❌ ${label} Error:`, error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+}
+
+// Generic CRUD routes for simple collections
+function registerCrudRoutes(col, validate, defaults = () => ({})) {
+    app.get(`/api/${col}`, handle(`GET ${col}`, async (req, res) => {
+        res.json({ success: true, data: await store.list(col) });
+    }));
+
+    app.get(`/api/${col}/:id`, handle(`GET ${col}`, async (req, res) => {
+        const item = await store.get(col, req.params.id);
+        if (!item) return res.status(404).json({ success: false, error: 'not found' });
+        res.json({ success: true, data: item });
+    }));
+
+    app.post(`/api/${col}`, handle(`POST ${col}`, async (req, res) => {
+        const data = { ...sanitizeBody(req.body), ...defaults(), createdAt: new Date().toISOString() };
+        const validationError = await validate(data);
+        if (validationError) return res.status(400).json({ success: false, error: validationError });
+        res.status(201).json({ success: true, data: await store.add(col, data) });
+    }));
+
+    app.patch(`/api/${col}/:id`, handle(`PATCH ${col}`, async (req, res) => {
+        const existing = await store.get(col, req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'not found' });
+        const updates = sanitizeBody(req.body);
+        const validationError = await validate({ ...existing, ...updates });
+        if (validationError) return res.status(400).json({ success: false, error: validationError });
+        res.json({ success: true, data: await store.update(col, req.params.id, updates) });
+    }));
+
+    app.delete(`/api/${col}/:id`, handle(`DELETE ${col}`, async (req, res) => {
+        const removed = await store.remove(col, req.params.id);
+        if (!removed) return res.status(404).json({ success: false, error: 'not found' });
+        res.json({ success: true });
+    }));
+}
+
+registerCrudRoutes('customers', QueueRules.validateCustomer, () => ({ lastVisit: new Date().toISOString() }));
+registerCrudRoutes('groomers', QueueRules.validateGroomer);
+
+// Pets must belong to an existing customer
+registerCrudRoutes('pets', async (pet) => {
+    const validationError = QueueRules.validatePet(pet);
+    if (validationError) return validationError;
+    const customer = await store.get('customers', pet.customerId);
+    return customer ? null : 'ไม่พบข้อมูลลูกค้า';
+});
+
+// Queue: list by date (?date=YYYY-MM-DD) or from a date onwards (?from=YYYY-MM-DD)
+app.get('/api/queue', handle('GET queue', async (req, res) => {
+    const filters = [];
+    if (req.query.date) filters.push(['date', '==', req.query.date]);
+    if (req.query.from) filters.push(['date', '>=', req.query.from]);
+    res.json({ success: true, data: await store.list('queue', filters) });
+}));
+
+app.get('/api/queue/:id', handle('GET queue', async (req, res) => {
+    const queue = await store.get('queue', req.params.id);
+    if (!queue) return res.status(404).json({ success: false, error: 'not found' });
+    res.json({ success: true, data: queue });
+}));
+
+// Create a booking (same numbering and defaults as DataStore.addQueue)
+app.post('/api/queue', handle('POST queue', async (req, res) => {
+    const queueItem = QueueRules.pickNewQueueFields(req.body);
+    const validationError = QueueRules.validateQueue(queueItem);
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+
+    const [customer, pet] = await Promise.all([
+        store.get('customers', queueItem.customerId),
+        store.get('pets', queueItem.petId)
+    ]);
+    if (!customer) return res.status(400).json({ success: false, error: 'ไม่พบข้อมูลลูกค้า' });
+    if (!pet || pet.customerId !== customer.id) return res.status(400).json({ success: false, error: 'ไม่พบข้อมูลสัตว์เลี้ยงของลูกค้ารายนี้' });
+    if (await findKennelClash(queueItem)) return res.status(409).json({ success: false, error: 'ห้องพักนี้ถูกจองแล้วในช่วงวันที่เลือก' });
+
+    const settings = await getSettings();
+    const closure = QueueRules.getClosure(queueItem.date, settings);
+    if (closure) return res.status(400).json({ success: false, error: `ร้านปิดวันที่เลือก (${closure.reason})` });
+
+    // The booking length is decided here, never taken from the client
+    const duration = await estimateServiceDuration(queueItem.serviceType, pet, settings, queueItem.assignedGroomerId || null);
+    const groomerClash = await findGroomerClash({ ...queueItem, duration, status: 'booking' }, settings);
+    if (groomerClash) return res.status(409).json({ success: false, error: groomerClashError(groomerClash) });
+
+    const counter = await getQueueCounter(queueItem.date);
+    const number = await store.increment(counter.collection, counter.id, counter.field, counter.extra, counter.initial);
+    const newQueue = QueueRules.buildNewQueue(queueItem, QueueRules.formatQueueNumber(number, settings), settings, duration);
+    newQueue.status = 'booking';
+
+    const created = await store.add('queue', newQueue);
+    console.log('✅ Queue created via API:', created.id);
+    syncQueueCalendar(created);
+    res.status(201).json({ success: true, data: created });
+}));
+
+// Update a booking (same status timestamps and side effects as DataStore.updateQueue)
+app.patch('/api/queue/:id', handle('PATCH queue', async (req, res) => {
+    const queue = await store.get('queue', req.params.id);
+    if (!queue) return res.status(404).json({ success: false, error: 'not found' });
+
+    const updates = QueueRules.pickQueueUpdates(req.body);
+    const validationError = QueueRules.validateQueue({ ...queue, ...updates });
+    if (validationError) return res.status(400).json({ success: false, error: validationError });
+    if (!QueueRules.isReleasedQueue(updates) && await findKennelClash({ ...queue, ...updates }, queue.id)) {
+        return res.status(409).json({ success: false, error: 'ห้องพักนี้ถูกจองแล้วในช่วงวันที่เลือก' });
+    }
+
+    const settings = await getSettings();
+    // Moving a booking onto a closed day is refused; one already there can still be updated
+    const closure = updates.date && updates.date !== queue.date ? QueueRules.getClosure(updates.date, settings) : null;
+    if (closure) return res.status(400).json({ success: false, error: `ร้านปิดวันที่เลือก (${closure.reason})` });
+
+    if (updates.status === 'no-show' && queue.status !== 'no-show' && !QueueRules.canMarkNoShow(queue)) {
+        return res.status(400).json({ success: false, error: 'ยังไม่ถึงเวลานัด บันทึกว่าไม่มาตามนัดได้หลังเลยเวลานัดแล้วเท่านั้น' });
+    }
+
+    // New services: a new estimate (as the browser makes it); new time: the end time follows
+    if ('serviceType' in updates) {
+        const pet = queue.petId ? await store.get('pets', queue.petId) : null;
+        const groomerId = 'assignedGroomerId' in updates ? updates.assignedGroomerId : queue.assignedGroomerId;
+        updates.duration = await estimateServiceDuration(updates.serviceType, pet, settings, groomerId || null);
+    }
+    if ('appointmentTime' in updates || 'serviceType' in updates) {
+        const appointmentTime = 'appointmentTime' in updates ? updates.appointmentTime : queue.appointmentTime;
+        const duration = updates.duration || queue.duration || QueueRules.calculateServiceDuration(queue.serviceType, settings);
+        updates.estimatedEndTime = appointmentTime ? QueueRules.calculateEndTime(appointmentTime, duration) : null;
+    }
+
+    // Moved, re-serviced, reassigned or brought back from cancelled/no-show: the groomer must be free
+    const holdsNewTime = ['date', 'appointmentTime', 'serviceType', 'assignedGroomerId'].some(field => field in updates) ||
+        (QueueRules.isReleasedQueue(queue) && 'status' in updates);
+    const groomerClash = holdsNewTime ? await findGroomerClash({ ...queue, ...updates }, settings, queue.id) : null;
+    if (groomerClash) return res.status(409).json({ success: false, error: groomerClashError(groomerClash) });
+
+    const timestampUpdates = QueueRules.getStatusTimestamps(queue, updates);
+    const finalUpdates = { ...updates, ...timestampUpdates };
+
+    if (timestampUpdates.completedAt) {
+        const pet = queue.petId ? await store.get('pets', queue.petId) : null;
+        const record = await store.add('serviceRecords', QueueRules.buildServiceRecord({ ...queue, ...finalUpdates }, settings, pet));
+        await recordDurationSample(record, pet, settings);
+    }
+
+    // Update pet's weight if provided during check-in
+    if (updates.checkInWeight && queue.petId) {
+        await store.update('pets', queue.petId, { weight: parseFloat(updates.checkInWeight) });
+    }
+
+    // Moved to another date: a number from that date's counter, allocated with the move itself
+    const updated = updates.date && updates.date !== queue.date
+        ? await store.updateWithCounter('queue', queue.id, await getQueueCounter(updates.date),
+            number => ({ ...finalUpdates, queueNumber: QueueRules.formatQueueNumber(number, settings) }))
+        : await store.update('queue', queue.id, finalUpdates);
+    await updateAttendanceCounts(queue, updated, settings);
+    if (QueueRules.isReleasedQueue(finalUpdates)) {
+        removeQueueCalendar(updated);
+    } else {
+        syncQueueCalendar(updated);
+    }
+    res.json({ success: true, data: updated });
+}));
+
+app.delete('/api/queue/:id', handle('DELETE queue', async (req, res) => {
+    const queue = await store.get('queue', req.params.id);
+    if (!queue) return res.status(404).json({ success: false, error: 'not found' });
+    // The ledger is cash history for the daily close: a queue with payments is cancelled, not deleted
+    const payments = await store.list(`queue/${queue.id}/payments`);
+    if (payments.length > 0 || Number(queue.depositAmount) > 0) {
+        return res.status(409).json({ success: false, error: 'คิวนี้มีรายการชำระเงินแล้ว ลบไม่ได้ กรุณายกเลิกคิวแทน' });
+    }
+    await store.remove('queue', queue.id);
+    removeQueueCalendar(queue);
+    res.json({ success: true });
+}));
+
 // Start Server
 app.listen(PORT, () => {
     console.log(`\n🚀 Server running at http://localhost:${PORT}`);
     console.log(`📅 Calendar API ready at http://localhost:${PORT}/api/calendar/create-event`);
+    console.log(`📅 Calendar update/delete at http://localhost:${PORT}/api/calendar/events/:queueId`);
+    console.log(`📅 Groomer free/busy at http://localhost:${PORT}/api/calendar/freebusy`);
+    console.log(`🗂️ REST API (${store.name}) at http://localhost:${PORT}/api/{queue,customers,pets,groomers}`);
+    if (!API_TOKEN) console.warn('⚠️ API_TOKEN is not set: calendar and REST API requests will be refused');
 });